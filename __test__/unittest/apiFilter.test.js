@@ -0,0 +1,129 @@
+jest.mock("../../src/redis-client", () => ({
+    lock: jest.fn(async () => () => null),
+    hgetallAsync: jest.fn(async () => null),
+}));
+const redisClient = require("../../src/redis-client");
+const CacheHandler = require("../../src/cache_handler");
+const QEdge = require("../../src/query_edge");
+const QNode = require("../../src/query_node");
+const QueryExecutionEdge = require("../../src/query_execution_edge");
+const QEdge2APIEdgeHandler = require("../../src/qedge2apiedge");
+const QueryPlanner = require("../../src/planner/query_planner");
+const BTEError = require("../../src/exceptions/bte_error");
+const { TRAPIQueryHandler } = require("../../src/index");
+
+describe("Test selecting APIs by option apis", () => {
+    const operation = (api_name, infores) => ({
+        association: {
+            api_name,
+            smartapi: { id: `${api_name}-id` },
+            "x-translator": { infores },
+            input_type: "Gene",
+            predicate: "related_to",
+            output_type: "Disease",
+        },
+        query_operation: {},
+        tags: [],
+    });
+    const metaKG = {
+        ops: [
+            operation("MyGene API", "infores:mygene"),
+            operation("SEMMED API", "infores:semmeddb"),
+            operation("Text Mining KP", "infores:text-mining-provider-targeted"),
+        ],
+        filter() {
+            return this.ops;
+        },
+    };
+    const qXEdge = () => {
+        const subject = new QNode("n0", { categories: ["biolink:Gene"], ids: ["NCBIGene:1"] });
+        const object = new QNode("n1", { categories: ["biolink:Disease"] });
+        return new QueryExecutionEdge(new QEdge("e0", { subject, object }));
+    };
+    const apiNames = (metaXEdges) => metaXEdges.map((metaXEdge) => metaXEdge.association.api_name);
+
+    test("Without the option every API should be used", () => {
+        const edge = qXEdge();
+        const edgeConverter = new QEdge2APIEdgeHandler([edge], metaKG);
+        expect(edgeConverter.getMetaXEdges(edge).length).toEqual(3);
+        expect(edgeConverter.skippedAPIs).toEqual({});
+    })
+
+    test("APIs should be excluded by name, SmartAPI ID or infores curie", () => {
+        const edge = qXEdge();
+        const exclude = (ids) => apiNames(new QEdge2APIEdgeHandler([edge], metaKG, { apis: { exclude: ids } }).getMetaXEdges(edge));
+        expect(exclude(["SEMMED API"])).toEqual(["MyGene API", "Text Mining KP"]);
+        expect(exclude(["SEMMED API-id"])).toEqual(["MyGene API", "Text Mining KP"]);
+        expect(exclude(["infores:semmeddb", "infores:text-mining-provider-targeted"])).toEqual(["MyGene API"]);
+    })
+
+    test("Only included APIs should be used, less any excluded", () => {
+        const edge = qXEdge();
+        const edgeConverter = new QEdge2APIEdgeHandler([edge], metaKG, {
+            apis: { include: ["infores:mygene", "SEMMED API"], exclude: ["infores:semmeddb"] },
+        });
+        expect(apiNames(edgeConverter.getMetaXEdges(edge))).toEqual(["MyGene API"]);
+        expect(edgeConverter.skippedAPIs).toEqual({
+            "SEMMED API": { api_name: "SEMMED API", smartapi_id: "SEMMED API-id", infores: "infores:semmeddb", reason: "excluded" },
+            "Text Mining KP": {
+                api_name: "Text Mining KP",
+                smartapi_id: "Text Mining KP-id",
+                infores: "infores:text-mining-provider-targeted",
+                reason: "not included",
+            },
+        });
+        expect(edgeConverter.logs.map(({ message }) => message)).toContain(
+            "Skipped (2) metaKG edges of e0 by option apis, from APIs: SEMMED API, Text Mining KP",
+        );
+    })
+
+    test("Malformed lists should be rejected", () => {
+        expect(() => new QEdge2APIEdgeHandler([], metaKG, { apis: ["SEMMED API"] })).toThrow(BTEError);
+        expect(() => new QEdge2APIEdgeHandler([], metaKG, { apis: { exclude: "SEMMED API" } })).toThrow(/apis.exclude/);
+    })
+
+    test("The planner should only estimate the APIs used", () => {
+        const planner = new QueryPlanner(metaKG, undefined, { apis: { exclude: ["infores:semmeddb"] } });
+        expect(planner.estimate(qXEdge()).operations.map(({ api }) => api)).toEqual(["MyGene API", "Text Mining KP"]);
+    })
+
+    test("A dryrun should plan without the skipped APIs and list them in the response", async () => {
+        const handler = new TRAPIQueryHandler({ dryrun: true, apis: { exclude: ["infores:semmeddb"] } });
+        handler._initializeResponse();
+        await handler._edgesSupported({ e0: [qXEdge()] }, metaKG);
+        const response = handler.getResponse();
+        expect(response.execution_plan.qEdges[0].operations.map(({ api }) => api)).toEqual(["MyGene API", "Text Mining KP"]);
+        expect(response.skipped_apis).toEqual([
+            { api_name: "SEMMED API", smartapi_id: "SEMMED API-id", infores: "infores:semmeddb", reason: "excluded" },
+        ]);
+    })
+
+    describe("Test caching", () => {
+        const OLD_ENV = process.env;
+        beforeEach(() => {
+            process.env = { ...OLD_ENV, REDIS_HOST: "localhost", REDIS_PORT: "6379" };
+            redisClient.hgetallAsync.mockClear();
+        });
+        afterAll(() => {
+            process.env = OLD_ENV;
+        });
+        const lookedUpKey = async (apis) => {
+            const edge = qXEdge();
+            await new CacheHandler([edge], true, metaKG, {}, [], undefined, apis).categorizeEdges([edge]);
+            return redisClient.hgetallAsync.mock.calls[redisClient.hgetallAsync.mock.calls.length - 1][0];
+        };
+
+        test("Records cached for one selection of APIs shouldn't be looked up for another", async () => {
+            const all = await lookedUpKey(undefined);
+            const excluded = await lookedUpKey({ exclude: ["infores:semmeddb"] });
+            const included = await lookedUpKey({ include: ["infores:semmeddb"] });
+            expect(new Set([all, excluded, included]).size).toEqual(3);
+        })
+
+        test("The same selection of APIs should be looked up under the same key", async () => {
+            expect(await lookedUpKey({ exclude: ["infores:semmeddb", "MyGene API"] })).toEqual(
+                await lookedUpKey({ exclude: ["MyGene API", "infores:semmeddb", "MyGene API"] }),
+            );
+        })
+    })
+})
@@ -0,0 +1,222 @@
+jest.mock("@biothings-explorer/call-apis");
+const http = require("http");
+const call_api = require("@biothings-explorer/call-apis");
+const CallAPIsLogEntry = require("@biothings-explorer/call-apis/src/log_entry");
+const BatchEdgeQueryHandler = require("../../src/batch_edge_query");
+const QEdge2APIEdgeHandler = require("../../src/qedge2apiedge");
+const { APIPolicy, APIPolicies, getQueryLogStatus, getQueryOutcome } = require("../../src/api_policy");
+const BTEError = require("../../src/exceptions/bte_error");
+const config = require("../../src/config");
+
+describe("Test per-API execution policies", () => {
+    const queryLog = (error = undefined) => ({ message: "query", data: { type: "query", error } });
+    const overloaded = queryLog("Request failed with status code 429");
+    const association = { api_name: "Small KP", smartapi: { id: "small-kp-id" }, "x-translator": { infores: "infores:small-kp" } };
+
+    describe("Test adaptive batch size", () => {
+        test("Statuses should be read from the query logs", () => {
+            expect(getQueryLogStatus(overloaded)).toEqual(429);
+            expect(getQueryLogStatus({ data: { type: "query", error: "failed", status: 503 } })).toEqual(503);
+            expect(getQueryLogStatus(queryLog())).toBeUndefined();
+        })
+
+        test("The batch size should shrink when the API is overloaded", () => {
+            const policy = new APIPolicy("Small KP");
+            expect(policy.recordOutcome([overloaded], 1000)).toEqual(["Small KP returned (429), batch size shrunk to (500)."]);
+            expect(policy.getBatchSize(1000)).toEqual(500);
+            // a request sent before the shrink
+            policy.recordOutcome([overloaded], 1000);
+            expect(policy.getBatchSize()).toEqual(500);
+            policy.recordOutcome([queryLog("Request failed with status code 502")], 500);
+            expect(policy.getBatchSize()).toEqual(250);
+            // not an overload
+            policy.recordOutcome([queryLog("Request failed with status code 404")], 250);
+            expect(policy.getBatchSize()).toEqual(250);
+        })
+
+        test("The batch size should grow back once the API recovers", () => {
+            const policy = new APIPolicy("Small KP");
+            policy.recordOutcome([queryLog("Request failed with status code 413")], 400);
+            policy.recordOutcome([queryLog("Request failed with status code 413")], 200);
+            expect(policy.getBatchSize()).toEqual(100);
+            const successes = Array(config.API_BATCH_GROW_AFTER).fill(queryLog());
+            expect(policy.recordOutcome(successes, 100)).toEqual(["Small KP is recovering, batch size grown to (200)."]);
+            expect(policy.recordOutcome(successes, 200)).toEqual(["Small KP recovered, batch size back to full."]);
+            expect(policy.getBatchSize(1000)).toEqual(1000);
+        })
+
+        test("Metakg edges should be split by the current batch size", () => {
+            const policies = new APIPolicies([]);
+            const edgeConverter = new QEdge2APIEdgeHandler([], {}, { apiPolicies: policies });
+            const metaXEdge = { association, query_operation: { batchSize: 300 }, tags: [] };
+            expect(edgeConverter.getBatchSize(metaXEdge)).toEqual(300);
+            policies.get(association).recordOutcome([overloaded], 300);
+            expect(edgeConverter.getBatchSize(metaXEdge)).toEqual(150);
+        })
+    })
+
+    describe("Test the logs of call-apis", () => {
+        // as logged by call-apis for each query it makes
+        const succeeded = new CallAPIsLogEntry(
+            "DEBUG",
+            null,
+            'call-apis: Succesfully made the following query: {"url":"https://kp.org/query"}',
+        ).getLog();
+        const failed = (status) => new CallAPIsLogEntry(
+            "ERROR",
+            null,
+            'call-apis: Failed to make to following query: {"url":"https://kp.org/query"}. ' +
+            `The error is Error: Request failed with status code ${status}`,
+        ).getLog();
+
+        test("Query outcomes should be read from the logs call-apis makes", () => {
+            expect(getQueryOutcome(succeeded)).toEqual({ failed: false, status: undefined });
+            expect(getQueryOutcome(failed(429))).toEqual({ failed: true, status: 429 });
+            expect(getQueryOutcome(new CallAPIsLogEntry("DEBUG", null, "call-apis: Query completes").getLog())).toBeUndefined();
+            expect(getQueryOutcome(overloaded)).toEqual({ failed: true, status: 429 });
+        })
+
+        test("The batch size should adapt to the logs call-apis makes", () => {
+            const policy = new APIPolicy("Small KP");
+            expect(policy.recordOutcome([failed(429)], 1000)).toEqual(["Small KP returned (429), batch size shrunk to (500)."]);
+            expect(policy.getBatchSize(1000)).toEqual(500);
+            policy.recordOutcome(Array(config.API_BATCH_GROW_AFTER).fill(succeeded), 500);
+            expect(policy.getBatchSize(1000)).toEqual(1000);
+        })
+
+        test("An API answering 429 through call-apis should shrink its batch size", async () => {
+            const server = http.createServer((req, res) => {
+                res.statusCode = 429;
+                res.end("{}");
+            });
+            await new Promise((resolve) => server.listen(0, "localhost", resolve));
+            const Query = jest.requireActual("@biothings-explorer/call-apis");
+            call_api.mockImplementation((...args) => new Query(...args));
+            try {
+                const policies = new APIPolicies([]);
+                const handler = new BatchEdgeQueryHandler({}, false, { apiPolicies: policies });
+                await handler._queryAPIEdges([{
+                    association: { ...association, input_type: "Gene", output_type: "Disease", predicate: "related_to" },
+                    query_operation: { server: `http://localhost:${server.address().port}`, path: "/query", method: "post" },
+                    tags: ["bte-trapi"],
+                    input: ["NCBIGene:1", "NCBIGene:2"],
+                    original_input: { "NCBIGene:1": "NCBIGene:1", "NCBIGene:2": "NCBIGene:2" },
+                }], {});
+                expect(policies.get(association).getBatchSize()).toEqual(1);
+                expect(handler.logs.map(({ message }) => message)).toContain("Small KP returned (429), batch size shrunk to (1).");
+            } finally {
+                server.close();
+            }
+        })
+    })
+
+    describe("Test configuring limits", () => {
+        test("Limits should be set by name, SmartAPI ID or infores curie, also after first use", () => {
+            const policies = new APIPolicies([{ id: "small-kp-id", maxBatchSize: 50 }]);
+            const policy = policies.get(association);
+            expect(policy.getBatchSize(1000)).toEqual(50);
+            expect(policy.isThrottled()).toBeFalsy();
+            policies.configure("infores:small-kp", { maxConcurrent: 2 });
+            expect(policy.isThrottled()).toBeTruthy();
+            expect(policies.getState()["Small KP"]).toEqual({
+                maxBatchSize: 50, maxConcurrent: 2, requestsPerSecond: Infinity, batchSize: 50,
+            });
+        })
+
+        test("Unknown or invalid limits should be rejected", () => {
+            const policies = new APIPolicies([]);
+            expect(() => policies.configure("Small KP", { maxRequests: 2 })).toThrow(BTEError);
+            expect(() => policies.configure("Small KP", { maxConcurrent: 0 })).toThrow(/positive number/);
+        })
+    })
+
+    describe("Test throttled queries", () => {
+        let running, maxRunning, starts;
+        beforeEach(() => {
+            running = 0;
+            maxRunning = 0;
+            starts = [];
+            call_api.mockClear();
+            call_api.mockImplementation((APIEdges) => {
+                const executor = {
+                    logs: [],
+                    query: async () => {
+                        running++;
+                        maxRunning = Math.max(running, maxRunning);
+                        starts.push(Date.now());
+                        await new Promise((resolve) => setTimeout(resolve, 10));
+                        running--;
+                        executor.logs.push(APIEdges[0].input === "big" ? overloaded : queryLog());
+                        return APIEdges.map(({ input }) => ({ input }));
+                    },
+                };
+                return executor;
+            });
+        })
+        const APIEdges = (inputs) => inputs.map((input) => ({
+            association,
+            input,
+            original_input: Object.fromEntries([[`NCBIGene:${input}`, `NCBIGene:${input}`]]),
+        }));
+
+        test("Unlimited APIs should get all of their APIEdges in one go", async () => {
+            const handler = new BatchEdgeQueryHandler({}, true, { apiPolicies: new APIPolicies([]) });
+            const records = await handler._queryAPIEdges(APIEdges([1, 2, 3]), {});
+            expect(records.length).toEqual(3);
+            expect(call_api).toHaveBeenCalledTimes(1);
+        })
+
+        test("No more than maxConcurrent requests should run at once", async () => {
+            const policies = new APIPolicies([{ name: "Small KP", maxConcurrent: 2 }]);
+            const handler = new BatchEdgeQueryHandler({}, true, { apiPolicies: policies });
+            const records = await handler._queryAPIEdges(APIEdges([1, 2, 3, 4, 5]), {});
+            expect(records.map(({ input }) => input)).toEqual([1, 2, 3, 4, 5]);
+            expect(maxRunning).toEqual(2);
+        })
+
+        test("Requests should be spaced out to requestsPerSecond", async () => {
+            const policies = new APIPolicies([{ name: "Small KP", requestsPerSecond: 20 }]);
+            const handler = new BatchEdgeQueryHandler({}, true, { apiPolicies: policies });
+            await handler._queryAPIEdges(APIEdges([1, 2, 3]), {});
+            // 50ms apart, give or take the timers' precision
+            expect(starts[2] - starts[0]).toBeGreaterThanOrEqual(90);
+        })
+
+        test("Requests waiting for a slot shouldn't be sent once the API is cut off", async () => {
+            call_api.mockImplementation(() => ({ logs: [], query: () => new Promise((resolve) => setTimeout(() => resolve([]), 50)) }));
+            const policies = new APIPolicies([{ name: "Small KP", maxConcurrent: 1 }]);
+            const handler = new BatchEdgeQueryHandler({}, true, { apiPolicies: policies });
+            await handler._queryAPIEdges(APIEdges([1, 2, 3]), {}, Date.now() + 20);
+            expect(handler.timedOutAPIs).toEqual(["Small KP"]);
+            // the request running at the deadline finishes, the ones waiting behind it are dropped
+            await new Promise((resolve) => setTimeout(resolve, 150));
+            expect(call_api).toHaveBeenCalledTimes(1);
+        })
+
+        test("Requests waiting for a slot shouldn't be sent once the query is aborted", async () => {
+            const signal = { aborted: false };
+            call_api.mockImplementation((edges) => ({
+                logs: [],
+                query: async () => {
+                    signal.aborted = true;
+                    return edges.map(({ input }) => ({ input }));
+                },
+            }));
+            const policies = new APIPolicies([{ name: "Small KP", maxConcurrent: 1 }]);
+            const handler = new BatchEdgeQueryHandler({}, true, { apiPolicies: policies, abortSignal: signal });
+            const records = await handler._queryAPIEdges(APIEdges([1, 2, 3]), {});
+            expect(records.map(({ input }) => input)).toEqual([1]);
+            expect(call_api).toHaveBeenCalledTimes(1);
+        })
+
+        test("An overloaded API should shrink its batch size and say so in the logs", async () => {
+            const policies = new APIPolicies([{ name: "Small KP", maxConcurrent: 1 }]);
+            const handler = new BatchEdgeQueryHandler({}, true, { apiPolicies: policies });
+            const edges = APIEdges(["big"]);
+            edges[0].original_input = { "NCBIGene:1": "NCBIGene:1", "NCBIGene:2": "NCBIGene:2" };
+            await handler._queryAPIEdges(edges, {});
+            expect(policies.get(association).getBatchSize()).toEqual(1);
+            expect(handler.logs.map(({ message }) => message)).toContain("Small KP returned (429), batch size shrunk to (1).");
+        })
+    })
+})
@@ -0,0 +1,103 @@
+const {
+    validateAttributeConstraints,
+    meetsAttributeConstraint,
+    getRecordEdgeAttributeValues,
+} = require("../../src/attribute_constraints");
+const QEdge = require("../../src/query_edge");
+const QueryExecutionEdge = require("../../src/query_execution_edge");
+const InvalidQueryGraphError = require("../../src/exceptions/invalid_query_graph_error");
+
+describe("Test attribute constraints", () => {
+    const node = (id) => ({ id, getCurie: () => undefined, constraints: undefined });
+    const record = (info) => ({
+        subject: { qNodeID: "n0", curie: "NCBIGene:1" },
+        object: { qNodeID: "n1", curie: "MONDO:1" },
+        mappedResponse: {},
+        ...info,
+    });
+
+    describe("Test validation", () => {
+        test("Well-formed constraints should be accepted", () => {
+            expect(() => validateAttributeConstraints([
+                { id: "biolink:p_value", operator: "<", value: 0.05 },
+                { id: "biolink:primary_knowledge_source", operator: "==", value: "infores:semmeddb", not: true },
+            ], "qEdge e0")).not.toThrow();
+        })
+
+        test("Missing keys, unknown operators and bad values should be rejected", () => {
+            expect(() => validateAttributeConstraints([{ id: "x", value: 1 }], "qEdge e0")).toThrow(InvalidQueryGraphError);
+            expect(() => validateAttributeConstraints([{ id: "x", operator: ">=", value: 1 }], "qEdge e0")).toThrow(/unsupported operator/);
+            expect(() => validateAttributeConstraints([{ id: "x", operator: ">", value: "many" }], "qEdge e0")).toThrow(/non-numeric/);
+            expect(() => validateAttributeConstraints([{ id: "x", operator: "matches", value: "(" }], "qEdge e0")).toThrow(/regular expression/);
+        })
+
+        test("QEdge should validate its attribute_constraints", () => {
+            expect(() => new QEdge("e0", { attribute_constraints: [{ id: "x", operator: "~", value: 1 }] })).toThrow(InvalidQueryGraphError);
+            expect(new QEdge("e0", {}).attribute_constraints).toEqual([]);
+        })
+    })
+
+    describe("Test operators", () => {
+        test("== should match any element, loosely typed", () => {
+            expect(meetsAttributeConstraint({ operator: "==", value: "5" }, [5])).toBeTruthy();
+            expect(meetsAttributeConstraint({ operator: "==", value: "b" }, [["a", "b"]])).toBeTruthy();
+            expect(meetsAttributeConstraint({ operator: "==", value: ["c", "a"] }, [["a", "b"]])).toBeTruthy();
+            expect(meetsAttributeConstraint({ operator: "==", value: "c" }, [["a", "b"]])).toBeFalsy();
+        })
+
+        test("=== should match the whole value exactly", () => {
+            expect(meetsAttributeConstraint({ operator: "===", value: ["a", "b"] }, [["a", "b"]])).toBeTruthy();
+            expect(meetsAttributeConstraint({ operator: "===", value: "5" }, [5])).toBeFalsy();
+        })
+
+        test("> and < should compare numbers, and lists of non-numbers by length", () => {
+            expect(meetsAttributeConstraint({ operator: "<", value: 0.05 }, [0.01])).toBeTruthy();
+            expect(meetsAttributeConstraint({ operator: "<", value: 0.05 }, ["0.1"])).toBeFalsy();
+            expect(meetsAttributeConstraint({ operator: ">", value: 2 }, [["PMID:1", "PMID:2", "PMID:3"]])).toBeTruthy();
+            expect(meetsAttributeConstraint({ operator: ">", value: 2 }, [["PMID:1"]])).toBeFalsy();
+        })
+
+        test("matches should apply a regular expression to any element", () => {
+            expect(meetsAttributeConstraint({ operator: "matches", value: "^infores:sem" }, [["infores:semmeddb"]])).toBeTruthy();
+            expect(meetsAttributeConstraint({ operator: "matches", value: "^infores:sem" }, ["infores:mychem"])).toBeFalsy();
+        })
+
+        test("not should negate the operator, but never accept a missing attribute", () => {
+            expect(meetsAttributeConstraint({ operator: "==", value: "a", not: true }, ["b"])).toBeTruthy();
+            expect(meetsAttributeConstraint({ operator: "==", value: "a", not: true }, ["a"])).toBeFalsy();
+            expect(meetsAttributeConstraint({ operator: "==", value: "a", not: true }, [])).toBeFalsy();
+        })
+    })
+
+    describe("Test record attributes", () => {
+        test("Attributes should be found in TRAPI edge-attributes, record fields and the mapped response", () => {
+            const rec = record({
+                publications: ["PMID:1", "PMID:2"],
+                metaEdgeSource: "infores:semmeddb",
+                mappedResponse: {
+                    "edge-attributes": [
+                        { attribute_type_id: "biolink:has_evidence", value: "ECO:1", attributes: [{ attribute_type_id: "biolink:p_value", value: 0.01 }] },
+                    ],
+                    pvalue: 0.2,
+                },
+            });
+            expect(getRecordEdgeAttributeValues(rec, "biolink:publications")).toEqual([["PMID:1", "PMID:2"]]);
+            expect(getRecordEdgeAttributeValues(rec, "biolink:primary_knowledge_source")).toEqual(["infores:semmeddb"]);
+            expect(getRecordEdgeAttributeValues(rec, "biolink:p_value")).toEqual([0.01]);
+            expect(getRecordEdgeAttributeValues(rec, "pvalue")).toEqual([0.2]);
+            expect(getRecordEdgeAttributeValues(rec, "biolink:has_evidence")).toEqual(["ECO:1"]);
+        })
+
+        test("Stored records should be filtered by the qEdge's constraints and drops logged", () => {
+            const qEdge = new QEdge("e0", {
+                subject: node("n0"),
+                object: node("n1"),
+                attribute_constraints: [{ id: "biolink:publications", operator: ">", value: 1 }],
+            });
+            const qXEdge = new QueryExecutionEdge(qEdge);
+            const records = [record({ publications: ["PMID:1", "PMID:2"] }), record({ publications: ["PMID:1"] }), record({})];
+            expect(qXEdge.applyAttributeConstraints(records)).toEqual([records[0]]);
+            expect(qXEdge.logs[0].message).toContain("dropped (2) of (3) records");
+        })
+    })
+})
@@ -0,0 +1,108 @@
+jest.mock("@biothings-explorer/call-apis");
+const call_api = require("@biothings-explorer/call-apis");
+const CallAPIsLogEntry = require("@biothings-explorer/call-apis/src/log_entry");
+const BatchEdgeQueryHandler = require("../../src/batch_edge_query");
+const QEdge = require("../../src/query_edge");
+const QNode = require("../../src/query_node");
+const QueryExecutionEdge = require("../../src/query_execution_edge");
+const { TRAPIQueryHandler } = require("../../src/index");
+const EventEmitter = require("events");
+
+describe("Test BatchEdgeQueryHandler time limit", () => {
+    beforeEach(() => {
+        call_api.mockImplementation((APIEdges) => ({
+            logs: [],
+            query: () => APIEdges[0].association.api_name === "slow"
+                ? new Promise(() => {})
+                : Promise.resolve([{ api: APIEdges[0].association.api_name }]),
+        }));
+    })
+
+    test("APIs which don't respond in time should be cut off", async () => {
+        const handler = new BatchEdgeQueryHandler({}, true, { timeout: 50 });
+        const APIEdges = [
+            { association: { api_name: "fast" } },
+            { association: { api_name: "slow" } },
+        ];
+        const records = await handler._queryAPIEdges(APIEdges, {}, Date.now() + 50);
+        expect(records).toEqual([{ api: "fast" }]);
+        expect(handler.timedOutAPIs).toEqual(["slow"]);
+    })
+
+    test("Without a deadline all APIs are queried together", async () => {
+        const handler = new BatchEdgeQueryHandler({}, true, {});
+        const records = await handler._queryAPIEdges([{ association: { api_name: "fast" } }], {});
+        expect(records).toEqual([{ api: "fast" }]);
+        expect(handler.timedOutAPIs).toEqual([]);
+    })
+})
+
+describe("Test BatchEdgeQueryHandler progress events", () => {
+    test("API queries and cache hits in the logs should be emitted", () => {
+        const emitter = new EventEmitter();
+        const apiCalls = [];
+        const cacheHits = [];
+        emitter.on("apiCallCompleted", (data) => apiCalls.push(data));
+        emitter.on("cacheHit", (data) => cacheHits.push(data));
+        const handler = new BatchEdgeQueryHandler({}, true, { emitter });
+        const failed = new CallAPIsLogEntry(
+            "ERROR",
+            null,
+            "call-apis: Failed to make to following query: {}. The error is Error: Request failed with status code 502",
+        ).getLog();
+        handler._emitLogEvents([
+            { message: "query 1", data: { type: "query", qEdgeID: "e0", hits: 3 } },
+            { message: "cached", data: { type: "cacheHit", qEdgeID: "e1" } },
+            { message: "other", data: null },
+            failed,
+        ], "api1");
+        expect(apiCalls).toEqual([
+            { api: "api1", type: "query", qEdgeID: "e0", hits: 3, failed: false, status: undefined, message: "query 1" },
+            { api: "api1", failed: true, status: 502, message: failed.message },
+        ]);
+        expect(cacheHits).toEqual([{ qEdgeID: "e1" }]);
+    })
+
+    test("The handler should emit each API's calls as soon as its request is done", async () => {
+        const events = [];
+        const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+        call_api.mockImplementation((APIEdges) => {
+            const api = APIEdges[0].association.api_name;
+            const executor = {
+                logs: [],
+                query: async () => {
+                    await sleep(api === "slow" ? 50 : 0);
+                    events.push(`${api} done`);
+                    executor.logs.push(
+                        new CallAPIsLogEntry("DEBUG", null, "call-apis: Succesfully made the following query: {}").getLog(),
+                    );
+                    return [];
+                },
+            };
+            return executor;
+        });
+        const query = jest.spyOn(BatchEdgeQueryHandler.prototype, "query").mockImplementation(function () {
+            return this._queryAPIEdges([{ association: { api_name: "fast" } }, { association: { api_name: "slow" } }], {});
+        });
+        try {
+            const handler = new TRAPIQueryHandler();
+            handler.on("edgeStarted", ({ qEdgeID }) => events.push(`edgeStarted ${qEdgeID}`));
+            handler.on("apiCallCompleted", ({ api }) => events.push(`apiCallCompleted ${api}`));
+            handler.on("edgeFinished", ({ qEdgeID }) => events.push(`edgeFinished ${qEdgeID}`));
+            handler._initializeResponse();
+            const subject = new QNode("n0", { ids: ["NCBIGene:1"], categories: ["biolink:Gene"] });
+            const object = new QNode("n1", { categories: ["biolink:Disease"] });
+            await handler._executeQXEdges({ e0: [new QueryExecutionEdge(new QEdge("e0", { subject, object }))] }, {}, {});
+            expect(events).toEqual([
+                "edgeStarted e0",
+                "fast done",
+                "apiCallCompleted fast",
+                "slow done",
+                "apiCallCompleted slow",
+                "edgeFinished e0",
+            ]);
+        } finally {
+            query.mockRestore();
+        }
+    })
+})
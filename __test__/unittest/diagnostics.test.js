@@ -0,0 +1,101 @@
+const QEdge = require("../../src/query_edge");
+const QNode = require("../../src/query_node");
+const QueryExecutionEdge = require("../../src/query_execution_edge");
+const QueryDiagnostics = require("../../src/diagnostics");
+const { TRAPIQueryHandler } = require("../../src/index");
+const { qNodeTypes, recordNode, storedRecord } = require("./fixtures/records");
+
+describe("Test zero-result diagnostics", () => {
+    describe("Test zero stage", () => {
+        test("The stage after which nothing was left should be marked", () => {
+            expect(QueryDiagnostics.getZeroStage({ metakg: { operations: 0 } })).toEqual("metakg");
+            expect(QueryDiagnostics.getZeroStage({
+                metakg: { operations: 2 },
+                cache: { records: 0 },
+                api_calls: { records: 3 },
+                constraint_filter: { records: 0 },
+                intersection: { records: 0 },
+            })).toEqual("constraint_filter");
+            expect(QueryDiagnostics.getZeroStage({
+                metakg: { operations: 2 },
+                api_calls: { records: 3 },
+                constraint_filter: { records: 3 },
+                intersection: { records: 3 },
+                assembly: { records: 3, results: 0 },
+            })).toEqual("assembly");
+        })
+
+        test("Cached records should make up for API calls returning nothing", () => {
+            expect(QueryDiagnostics.getZeroStage({ cache: { records: 2 }, api_calls: { records: 0 } })).toBeUndefined();
+            expect(QueryDiagnostics.getZeroStage({ cache: { records: 0 }, api_calls: { records: 0 } })).toEqual("api_calls");
+        })
+
+        test("The earliest stage any qEdge lost everything at should be given overall", () => {
+            const diagnostics = new QueryDiagnostics();
+            diagnostics.record("e0", "metakg", { operations: 1 });
+            diagnostics.record("e1", "metakg", { operations: 1 });
+            diagnostics.record("e0", "api_calls", { records: 1 });
+            diagnostics.record("e0", "assembly", { records: 0, results: 0 });
+            diagnostics.record("e1", "api_calls", { records: 0 });
+            expect(diagnostics.toJSON().zero_stage).toEqual({ qEdgeID: "e1", stage: "api_calls" });
+            expect(Object.keys(diagnostics.toJSON().qEdges.e0.stages)).toEqual(["metakg", "api_calls", "assembly"]);
+            expect(() => diagnostics.record("e0", "scoring", {})).toThrow(/Unknown diagnostics stage/);
+        })
+
+        test("Curies should be counted from the query graph's side", () => {
+            const records = [
+                storedRecord(recordNode("n1", "MONDO:1"), recordNode("n0", "NCBIGene:1")),
+                storedRecord(recordNode("n1", "MONDO:2"), recordNode("n0", "NCBIGene:1")),
+            ];
+            expect(QueryDiagnostics.countRecords(records, true)).toEqual({ records: 2, subject_curies: 1, object_curies: 2 });
+        })
+    })
+
+    describe("Test tracing a query", () => {
+        // n0 (pinned) --e0--> n1 --e1--> n2
+        const run = async (recordsByQEdgeID) => {
+            const nodes = Object.fromEntries(
+                Object.entries(qNodeTypes).map(([id, type]) => [id, new QNode(id, { categories: [`biolink:${type}`] })]),
+            );
+            nodes.n0 = new QNode("n0", { ids: ["NCBIGene:1"], categories: ["biolink:Gene"] });
+            const qXEdge = (id, subject, object) => {
+                return new QueryExecutionEdge(new QEdge(id, { subject: nodes[subject], object: nodes[object] }));
+            };
+            const handler = new TRAPIQueryHandler();
+            handler._queryQXEdge = jest.fn(async (currentQXEdge) => {
+                const { cache = [], api_calls = [] } = recordsByQEdgeID[currentQXEdge.getID()];
+                const queryRecords = [...api_calls, ...cache];
+                return { handler: { logs: [], timedOutAPIs: [], stageRecords: { cache, api_calls } }, queryRecords };
+            });
+            handler._initializeResponse();
+            await handler._executeQXEdges({ e0: [qXEdge("e0", "n0", "n1")], e1: [qXEdge("e1", "n1", "n2")] }, {}, {});
+            return handler.getResponse().diagnostics;
+        };
+
+        test("Records lost intersecting with other qEdges should be traced", async () => {
+            const diagnostics = await run({
+                e0: { cache: [storedRecord(recordNode("n0", "NCBIGene:1"), recordNode("n1", "MONDO:1"))] },
+                e1: { api_calls: [storedRecord(recordNode("n1", "MONDO:2"), recordNode("n2", "REACT:1"))] },
+            });
+            expect(diagnostics.qEdges.e0.stages).toMatchObject({
+                cache: { records: 1, subject_curies: 1, object_curies: 1 },
+                api_calls: { records: 0, calls: 0, failed_calls: 0 },
+                // pruned along with n1 once e1 kept nothing
+                intersection: { records: 0 },
+            });
+            expect(diagnostics.qEdges.e1.stages).toMatchObject({
+                api_calls: { records: 1 },
+                constraint_filter: { records: 1 },
+                intersection: { records: 0 },
+            });
+            expect(diagnostics.qEdges.e1.zero_stage).toEqual("intersection");
+            expect(diagnostics.zero_stage.stage).toEqual("intersection");
+        })
+
+        test("qEdges the APIs returned nothing for should be marked", async () => {
+            const diagnostics = await run({ e0: {}, e1: {} });
+            expect(diagnostics.zero_stage).toEqual({ qEdgeID: "e0", stage: "api_calls" });
+            expect(diagnostics.qEdges.e1).toBeUndefined();
+        })
+    })
+})
@@ -0,0 +1,147 @@
+const QueryGraphHandler = require("../../src/query_graph");
+const { TRAPIQueryHandler } = require("../../src/index");
+const InvalidQueryGraphError = require("../../src/exceptions/invalid_query_graph_error");
+const config = require("../../src/config");
+const { record } = require("./fixtures/records");
+
+describe("Test query graphs with disconnected components", () => {
+    const queryGraph = (edges) => ({
+        nodes: { n0: {}, n1: {}, n2: {}, n3: {}, n4: {} },
+        edges,
+    });
+    const twoComponents = {
+        e0: { subject: "n0", object: "n1" },
+        e1: { subject: "n2", object: "n3" },
+        e2: { subject: "n1", object: "n4" },
+    };
+
+    describe("Test component detection", () => {
+        test("Edges should be grouped by the nodes they share", () => {
+            const handler = new QueryGraphHandler(queryGraph(twoComponents));
+            expect(handler.getConnectedComponents()).toEqual([
+                { nodes: ["n0", "n1", "n4"], edges: ["e0", "e2"] },
+                { nodes: ["n2", "n3"], edges: ["e1"] },
+            ]);
+        })
+
+        test("Components joined by a later edge should be merged", () => {
+            const handler = new QueryGraphHandler(queryGraph({ ...twoComponents, e3: { subject: "n3", object: "n4" } }));
+            const components = handler.getConnectedComponents();
+            expect(components.length).toEqual(1);
+            expect(components[0].edges).toEqual(["e0", "e1", "e2", "e3"]);
+        })
+
+        test("Optional and excluded edges should belong to the component they're attached to", () => {
+            const handler = new QueryGraphHandler(queryGraph({
+                ...twoComponents,
+                e3: { subject: "n3", object: "n4", option_group_id: "g0" },
+            }));
+            expect(() => handler.getConnectedComponents()).toThrow(/can't connect separate components/);
+            const attached = new QueryGraphHandler(queryGraph({
+                e0: { subject: "n0", object: "n1" },
+                e1: { subject: "n1", object: "n2", option_group_id: "g0" },
+                e2: { subject: "n2", object: "n3", exclude: true },
+            }));
+            expect(attached.getConnectedComponents()).toEqual([
+                { nodes: ["n0", "n1", "n2", "n3"], edges: ["e0", "e1", "e2"] },
+            ]);
+        })
+    })
+
+    describe("Test validation", () => {
+        test("Disconnected query graphs should be rejected by default", () => {
+            const graph = queryGraph(twoComponents);
+            expect(() => new QueryGraphHandler(graph)._validate(graph)).toThrow(InvalidQueryGraphError);
+            expect(() => new QueryGraphHandler(graph)._validate(graph)).toThrow(/2 disconnected components \(\[e0, e2\], \[e1\]\)/);
+        })
+
+        test("Disconnected query graphs should be accepted when combining results", () => {
+            const graph = queryGraph(twoComponents);
+            expect(() => new QueryGraphHandler(graph, { disconnectedComponents: "cartesian" })._validate(graph)).not.toThrow();
+        })
+    })
+
+    describe("Test combining results", () => {
+
+        test("Results of each component should be combined as a cartesian product", async () => {
+            const handler = new TRAPIQueryHandler({ disconnectedComponents: "cartesian" });
+            handler.setQueryGraph(queryGraph({ e0: twoComponents.e0, e1: twoComponents.e1 }));
+            handler._initializeResponse();
+            await handler._combineComponentResults([
+                {
+                    recordsByQEdgeID: {
+                        e0: { connected_to: [], records: [record("n0", "A:1", "n1", "B:1"), record("n0", "A:2", "n1", "B:1")] },
+                    },
+                    excludedRecordsByQEdgeID: {},
+                },
+                {
+                    recordsByQEdgeID: {
+                        e1: { connected_to: [], records: [record("n2", "C:1", "n3", "D:1")] },
+                    },
+                    excludedRecordsByQEdgeID: {},
+                },
+            ], false);
+            const results = handler.trapiResultsAssembler.getResults();
+            expect(results.length).toEqual(2);
+            expect(results.map((result) => result.node_bindings.n0[0].id).sort()).toEqual(["A:1", "A:2"]);
+            results.forEach((result) => {
+                expect(Object.keys(result.node_bindings).sort()).toEqual(["n0", "n1", "n2", "n3"]);
+                expect(result.edge_bindings.e1).toEqual([{ id: "C:1-D:1" }]);
+            });
+            expect(handler.logs.map(({ message }) => message)).toContain(
+                "Combined the results of (2) query graph components: (2) x (1) = (2) results.",
+            );
+        })
+
+        // no records for a component are given as none by qEdge
+        const component = (qEdgeID, records) => ({
+            recordsByQEdgeID: records.length ? { [qEdgeID]: { connected_to: [], records } } : {},
+            excludedRecordsByQEdgeID: {},
+        });
+        const combine = async (e0Records, e1Records) => {
+            const handler = new TRAPIQueryHandler({ disconnectedComponents: "cartesian" });
+            handler.setQueryGraph(queryGraph({ e0: twoComponents.e0, e1: twoComponents.e1 }));
+            handler._initializeResponse();
+            await handler._combineComponentResults([component("e0", e0Records), component("e1", e1Records)], false);
+            return handler;
+        };
+
+        test("A component without results should leave no results to combine", async () => {
+            const handler = await combine([record("n0", "A:1", "n1", "B:1")], []);
+            expect(handler.trapiResultsAssembler.getResults()).toEqual([]);
+            expect(handler.logs.map(({ message }) => message)).toContain(
+                "Combined the results of (2) query graph components: (1) x (0) = (0) results.",
+            );
+        })
+
+        test("Combining too many results should keep within the limit", async () => {
+            const limit = config.MAX_COMBINED_RESULTS;
+            config.MAX_COMBINED_RESULTS = 4;
+            try {
+                const handler = await combine(
+                    ["A:1", "A:2", "A:3", "A:4"].map((curie) => record("n0", curie, "n1", "B:1")),
+                    ["C:1", "C:2"].map((curie) => record("n2", curie, "n3", "D:1")),
+                );
+                expect(handler.trapiResultsAssembler.getResults().length).toEqual(4);
+                expect(handler.logs.map(({ message }) => message)).toContain(
+                    "Combining (8) results would exceed the limit of (4), " +
+                    "only the best scored results of each component are combined: (2) x (2).",
+                );
+            } finally {
+                config.MAX_COMBINED_RESULTS = limit;
+            }
+        })
+
+        test("Records should only be split by component when combining results", () => {
+            const recordsByQEdgeID = { e0: { connected_to: [], records: [] }, e1: { connected_to: [], records: [] } };
+            const handler = new TRAPIQueryHandler();
+            handler.setQueryGraph(queryGraph({ e0: twoComponents.e0, e1: twoComponents.e1 }));
+            expect(handler._splitComponentRecords(recordsByQEdgeID, {}).length).toEqual(1);
+            handler.options.disconnectedComponents = "cartesian";
+            expect(handler._splitComponentRecords(recordsByQEdgeID, {}).map((component) => Object.keys(component.recordsByQEdgeID))).toEqual([
+                ["e0"],
+                ["e1"],
+            ]);
+        })
+    })
+})
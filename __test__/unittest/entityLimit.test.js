@@ -0,0 +1,75 @@
+const QEdge = require("../../src/query_edge");
+const QNode = require("../../src/query_node");
+const QueryExecutionEdge = require("../../src/query_execution_edge");
+const QueryExecutionEdgeManager = require("../../src/edge_manager");
+const BTEError = require("../../src/exceptions/bte_error");
+const config = require("../../src/config");
+
+describe("Test entity limit strategies", () => {
+    const max = config.ENTITY_MAX;
+    const geneIDs = (count) => Array.from({ length: count }, (_, i) => `NCBIGene:${i}`);
+    const qXEdge = (subjectIDs, objectIDs = undefined) => {
+        const subject = new QNode("n0", { ids: subjectIDs });
+        const object = new QNode("n1", { ids: objectIDs, categories: ["biolink:Disease"] });
+        return new QueryExecutionEdge(new QEdge("e0", { subject, object }));
+    };
+
+    test("error should throw, as before", () => {
+        const edge = qXEdge(geneIDs(max + 1));
+        expect(() => new QueryExecutionEdgeManager([edge]).checkEntityMax(edge)).toThrow(BTEError);
+        expect(() => new QueryExecutionEdgeManager([edge], { entityLimitStrategy: "drop" })).toThrow(/Unknown entity limit strategy/);
+    })
+
+    test("Nodes within the limit, or next to a smaller pinned node, should be left alone", () => {
+        const edge = qXEdge(geneIDs(max + 1), ["MONDO:1"]);
+        const manager = new QueryExecutionEdgeManager([edge], { entityLimitStrategy: "truncate" });
+        manager.checkEntityMax(edge);
+        expect(edge.subject.getEntityCount()).toEqual(max + 1);
+        expect(manager.logs.some(({ level }) => level === "WARNING")).toBeFalsy();
+    })
+
+    test("truncate should keep the curies with the most record support", () => {
+        const edge = qXEdge(geneIDs(max + 2));
+        const executed = new QueryExecutionEdge(new QEdge("e1", {
+            subject: edge.subject,
+            object: new QNode("n2", { categories: ["biolink:Drug"] }),
+        }));
+        const recordNode = (curie) => ({ original: curie, normalizedInfo: [{ curie }] });
+        executed.records = [
+            { subject: recordNode(`NCBIGene:${max + 1}`), object: recordNode("CHEBI:1") },
+            { subject: recordNode(`NCBIGene:${max + 1}`), object: recordNode("CHEBI:2") },
+            { subject: recordNode(`NCBIGene:${max}`), object: recordNode("CHEBI:1") },
+        ];
+        const manager = new QueryExecutionEdgeManager([edge, executed], { entityLimitStrategy: "truncate" });
+        manager.checkEntityMax(edge);
+        const curies = edge.subject.getCurie();
+        expect(curies.length).toEqual(max);
+        expect(curies).toEqual(expect.arrayContaining([`NCBIGene:${max + 1}`, `NCBIGene:${max}`, "NCBIGene:0"]));
+        // unsupported curies are dropped from the end
+        expect(curies).not.toContain(`NCBIGene:${max - 2}`);
+        expect(Object.keys(edge.subject.expanded_curie).length).toEqual(max);
+        expect(manager.logs.map(({ message }) => message)).toContain(
+            `Node n0 of qEdge 'e0' has (${max + 2}) entities, over the limit of (${max}). Kept the (${max}) with the most record support.`,
+        );
+    })
+
+    test("sample should keep the same random sample for the same seed", () => {
+        const sample = (seed) => {
+            const edge = qXEdge(geneIDs(max * 2));
+            new QueryExecutionEdgeManager([edge], { entityLimitStrategy: "sample", entityLimitSeed: seed }).checkEntityMax(edge);
+            return edge.subject.getCurie();
+        };
+        expect(sample(1).length).toEqual(max);
+        expect(new Set(sample(1)).size).toEqual(max);
+        expect(sample(1)).toEqual(sample(1));
+        expect(sample(1)).not.toEqual(sample(2));
+        expect(sample(1)).not.toEqual(geneIDs(max));
+    })
+
+    test("Of two nodes over the limit, the smaller should be limited", () => {
+        const edge = qXEdge(geneIDs(max + 5), Array.from({ length: max + 1 }, (_, i) => `MONDO:${i}`));
+        new QueryExecutionEdgeManager([edge], { entityLimitStrategy: "truncate" }).checkEntityMax(edge);
+        expect(edge.subject.getEntityCount()).toEqual(max + 5);
+        expect(edge.object.getEntityCount()).toEqual(max);
+    })
+})
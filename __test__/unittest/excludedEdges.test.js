@@ -0,0 +1,125 @@
+const QueryGraphHandler = require("../../src/query_graph");
+const QEdge = require("../../src/query_edge");
+const QNode = require("../../src/query_node");
+const QueryExecutionEdge = require("../../src/query_execution_edge");
+const QueryExecutionEdgeManager = require("../../src/edge_manager");
+const QueryResult = require("../../src/results_assembly/query_results");
+const InvalidQueryGraphError = require("../../src/exceptions/invalid_query_graph_error");
+const { record, recordNode, storedRecord } = require("./fixtures/records");
+
+describe("Test excluded edges", () => {
+    describe("Test validation", () => {
+        const validate = (edges) => {
+            const queryGraph = { nodes: { n0: {}, n1: {}, n2: {}, n3: {} }, edges };
+            return () => new QueryGraphHandler(queryGraph)._validate(queryGraph);
+        };
+
+        test("Excluded edges connected to an included edge should be accepted", () => {
+            expect(validate({
+                e0: { subject: "n0", object: "n1" },
+                e1: { subject: "n1", object: "n2", exclude: true },
+            })).not.toThrow();
+        })
+
+        test("Query graphs with only excluded edges should be rejected", () => {
+            expect(validate({ e0: { subject: "n0", object: "n1", exclude: true } })).toThrow(InvalidQueryGraphError);
+        })
+
+        test("Excluded edges not connected to an included edge should be rejected", () => {
+            expect(validate({
+                e0: { subject: "n0", object: "n1" },
+                e1: { subject: "n2", object: "n3", exclude: true },
+            })).toThrow(/Excluded edge e1/);
+        })
+
+        test("The exclude flag should be a boolean", () => {
+            expect(new QEdge("e0", { exclude: true }).isExcluded()).toBeTruthy();
+            expect(new QEdge("e0", {}).isExcluded()).toBeFalsy();
+            expect(() => new QEdge("e0", { exclude: "yes" })).toThrow(InvalidQueryGraphError);
+        })
+    })
+
+    describe("Test execution", () => {
+        test("Included edges should be executed before excluded ones", () => {
+            const n0 = new QNode("n0", { ids: ["NCBIGene:1"] });
+            const n1 = new QNode("n1", { categories: ["biolink:Disease"] });
+            const n2 = new QNode("n2", { categories: ["biolink:Drug"] });
+            const manager = new QueryExecutionEdgeManager([
+                new QueryExecutionEdge(new QEdge("e0", { subject: n0, object: n2, exclude: true })),
+                new QueryExecutionEdge(new QEdge("e1", { subject: n1, object: n2 })),
+            ]);
+            expect(manager.getNext().getID()).toEqual("e1");
+        })
+
+        test("Records of excluded edges should not narrow down node curies", () => {
+            const subject = new QNode("n0", { ids: ["NCBIGene:1", "NCBIGene:2"] });
+            const object = new QNode("n1", { ids: ["MONDO:1", "MONDO:2"] });
+            subject.holdCurie();
+            const qXEdge = new QueryExecutionEdge(new QEdge("e0", { subject, object, exclude: true }));
+            qXEdge.storeRecords([]);
+            expect(subject.getCurie()).toEqual(["NCBIGene:1", "NCBIGene:2"]);
+            expect(object.getCurie()).toEqual(["MONDO:1", "MONDO:2"]);
+        })
+
+        test("Records of excluded edges to a node no other edge uses should be kept", () => {
+            const n0 = new QNode("n0", { ids: ["NCBIGene:1", "NCBIGene:2"], categories: ["biolink:Gene"] });
+            const n1 = new QNode("n1", { categories: ["biolink:Disease"] });
+            const n2 = new QNode("n2", { categories: ["biolink:Pathway"] });
+            const e0 = new QueryExecutionEdge(new QEdge("e0", { subject: n0, object: n1 }));
+            const e1 = new QueryExecutionEdge(new QEdge("e1", { subject: n0, object: n2, exclude: true }));
+            const manager = new QueryExecutionEdgeManager([e0, e1]);
+            const execute = (qXEdge, records) => {
+                qXEdge.storeRecords(records);
+                manager.updateEdgeRecords(qXEdge);
+                manager.updateAllOtherEdges(qXEdge);
+                qXEdge.executed = true;
+            };
+            execute(e0, [
+                storedRecord(recordNode("n0", "NCBIGene:1"), recordNode("n1", "MONDO:1")),
+                storedRecord(recordNode("n0", "NCBIGene:2"), recordNode("n1", "MONDO:2")),
+            ]);
+            execute(e1, [
+                storedRecord(recordNode("n0", "NCBIGene:1"), recordNode("n2", "REACT:1")),
+                storedRecord(recordNode("n0", "NCBIGene:3"), recordNode("n2", "REACT:2")),
+            ]);
+            manager.collectRecords();
+            const excluded = manager.getExcludedRecords().e1;
+            expect(excluded.map((rec) => rec.object.original)).toEqual(["REACT:1"]);
+            expect(n0.getCurie()).toEqual(["NCBIGene:1", "NCBIGene:2"]);
+        })
+    })
+
+    describe("Test results assembly", () => {
+        const recordsByQEdgeID = () => ({
+            e0: {
+                connected_to: [],
+                records: [record("n0", "CHEBI:1", "n1", "MONDO:1"), record("n0", "CHEBI:2", "n1", "MONDO:1")],
+            },
+        });
+        const drugs = (queryResult) => queryResult.getResults().map((result) => result.node_bindings.n0[0].id).sort();
+
+        test("Results matched by an excluded edge between bound nodes should be removed", async () => {
+            const queryResult = new QueryResult();
+            await queryResult.update(recordsByQEdgeID(), false, undefined, {
+                e1: [record("n1", "MONDO:1", "n0", "CHEBI:2")],
+            });
+            expect(drugs(queryResult)).toEqual(["CHEBI:1"]);
+            expect(queryResult.logs.map(({ message }) => message).join()).toContain("removed (1) of (2)");
+        })
+
+        test("Excluded edges to a node of their own should remove results by their bound end", async () => {
+            const queryResult = new QueryResult();
+            await queryResult.update(recordsByQEdgeID(), false, undefined, {
+                e1: [record("n0", "CHEBI:1", "n2", "HP:1"), record("n0", "CHEBI:1", "n2", "HP:2")],
+            });
+            expect(drugs(queryResult)).toEqual(["CHEBI:2"]);
+            expect(queryResult.getResults()[0].edge_bindings).not.toHaveProperty("e1");
+        })
+
+        test("Excluded edges without records should remove nothing", async () => {
+            const queryResult = new QueryResult();
+            await queryResult.update(recordsByQEdgeID(), false, undefined, { e1: [] });
+            expect(drugs(queryResult)).toEqual(["CHEBI:1", "CHEBI:2"]);
+        })
+    })
+})
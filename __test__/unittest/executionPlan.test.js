@@ -0,0 +1,41 @@
+const { TRAPIQueryHandler } = require("../../src/index");
+const QEdge2APIEdgeHandler = require("../../src/qedge2apiedge");
+
+describe("Test dryrun execution plan", () => {
+    const metaXEdge = (api_name, supportBatch, batchSize) => ({
+        tags: [],
+        query_operation: { supportBatch, batchSize },
+        association: {
+            api_name,
+            smartapi: { id: api_name },
+            input_id: "NCBIGene",
+            input_type: "Gene",
+            predicate: "related_to",
+            output_type: "Disease",
+        },
+    });
+    const qXEdge = {
+        getID: () => "e0",
+        isReversed: () => true,
+        getInputNode: () => ({ id: "n1", entity_count: 250 }),
+        getOutputNode: () => ({ id: "n0", entity_count: 0 }),
+    };
+
+    test("Operations should be listed with their batch sizes and expected API calls", () => {
+        const handler = new TRAPIQueryHandler();
+        const res = handler._planEdge(
+            qXEdge,
+            [metaXEdge("batched", true, 100), metaXEdge("unbatched", false), metaXEdge("unlimited", true)],
+            new QEdge2APIEdgeHandler([], {}),
+        );
+        expect(res.qEdgeID).toEqual("e0");
+        expect(res.reversed).toBeTruthy();
+        expect(res.input).toEqual({ qNodeID: "n1", projected_entity_count: 250 });
+        expect(res.operations.map(({ api, batch_size, expected_api_calls }) => [api, batch_size, expected_api_calls])).toEqual([
+            ["batched", 100, 3],
+            ["unbatched", 1, 250],
+            ["unlimited", null, 1],
+        ]);
+        expect(res.expected_api_calls).toEqual(254);
+    })
+})
@@ -0,0 +1,26 @@
+// record fixtures shared by the unit tests
+
+// types of the qNodes the fixtures are on
+const qNodeTypes = { n0: "Gene", n1: "Disease", n2: "Pathway", n3: "Cell" };
+
+// a record as results assembly sees it, hashed by the curies it links
+const record = (subjectQNodeID, subjectCurie, objectQNodeID, objectCurie) => ({
+    subject: { qNodeID: subjectQNodeID, curie: subjectCurie },
+    object: { qNodeID: objectQNodeID, curie: objectCurie },
+    recordHash: `${subjectCurie}-${objectCurie}`,
+});
+
+// a record node as the edge manager sees it, its curie resolved to the type of its qNode
+const recordNode = (qNodeID, curie) => ({
+    original: curie,
+    normalizedInfo: [{ _leafSemanticType: qNodeTypes[qNodeID], _dbIDs: { [curie.split(":")[0]]: [curie] } }],
+});
+
+// a record as returned by an API, already in the direction of its qEdge
+const storedRecord = (subject, object) => {
+    const rec = { subject, object };
+    rec.queryDirection = () => rec;
+    return rec;
+};
+
+module.exports = { qNodeTypes, record, recordNode, storedRecord };
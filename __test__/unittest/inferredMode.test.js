@@ -0,0 +1,98 @@
+const { getTemplates, parseTemplateGroupName } = require("../../src/inferred_mode/template_lookup");
+const InferredQueryHandler = require("../../src/inferred_mode/inferred_mode");
+const InvalidQueryGraphError = require("../../src/exceptions/invalid_query_graph_error");
+
+describe("Test inferred mode", () => {
+    const queryGraph = {
+        nodes: {
+            n0: { categories: ["biolink:ChemicalEntity"] },
+            n1: { categories: ["biolink:Disease"], ids: ["MONDO:0005148"] },
+        },
+        edges: {
+            e0: { subject: "n0", object: "n1", predicates: ["biolink:treats"], knowledge_type: "inferred" },
+        },
+    };
+
+    describe("Test template lookup", () => {
+        test("Template group names should be parsed into subject, predicate and object", () => {
+            const res = parseTemplateGroupName("ChemicalEntity-treats-DiseaseOrPhenotypicFeature");
+            expect(res).toEqual({ subject: "ChemicalEntity", predicate: "treats", object: "DiseaseOrPhenotypicFeature" });
+        })
+
+        test("Descendant categories should match a template group", async () => {
+            const res = await getTemplates({
+                subject: ["biolink:ChemicalEntity"],
+                predicates: ["biolink:treats"],
+                object: ["biolink:Disease"],
+            });
+            expect(res.length).toBeGreaterThan(0);
+            expect(res[0].name).toContain("ChemicalEntity-treats-DiseaseOrPhenotypicFeature/");
+            expect(res[0].queryGraph.nodes).toHaveProperty("subject");
+        })
+
+        test("Unrelated categories should not match any template group", async () => {
+            const res = await getTemplates({
+                subject: ["biolink:Gene"],
+                predicates: ["biolink:treats"],
+                object: ["biolink:Disease"],
+            });
+            expect(res).toEqual([]);
+        })
+    })
+
+    describe("Test InferredQueryHandler", () => {
+        test("Inferred edges should be detected", () => {
+            expect(InferredQueryHandler.isInferredQuery(queryGraph)).toBeTruthy();
+            expect(InferredQueryHandler.isInferredQuery({ nodes: {}, edges: { e0: {} } })).toBeFalsy();
+        })
+
+        test("Queries without pinned nodes should be rejected", async () => {
+            const handler = new InferredQueryHandler({
+                nodes: { n0: {}, n1: {} },
+                edges: { e0: { subject: "n0", object: "n1", knowledge_type: "inferred" } },
+            }, () => null);
+            await expect(handler.query()).rejects.toThrow(InvalidQueryGraphError);
+        })
+
+        test("Pinned IDs should be filled into each template", async () => {
+            const handler = new InferredQueryHandler(queryGraph, () => null);
+            const res = await handler.createQueryGraphs();
+            expect(res.length).toBeGreaterThan(0);
+            res.forEach(({ queryGraph }) => {
+                expect(queryGraph.nodes.object.ids).toEqual(["MONDO:0005148"]);
+                expect(queryGraph.nodes.object.categories).toEqual(["biolink:Disease"]);
+                expect(queryGraph.nodes.subject).not.toHaveProperty("ids");
+            });
+        })
+
+        test("Template results should be merged onto the original query graph", async () => {
+            const fakeSubQueryHandler = {
+                logs: [],
+                setQueryGraph() {},
+                async query() {},
+                getResponse() {
+                    return {
+                        message: {
+                            knowledge_graph: { nodes: { "CHEBI:1": {}, "NCBIGene:1": {} }, edges: { hash1: {}, hash2: {} } },
+                            results: [{
+                                node_bindings: {
+                                    subject: [{ id: "CHEBI:1" }],
+                                    n1: [{ id: "NCBIGene:1" }],
+                                    object: [{ id: "MONDO:0005148" }],
+                                },
+                                edge_bindings: { e01: [{ id: "hash1" }], e03: [{ id: "hash2" }] },
+                                score: 0.5,
+                            }],
+                        },
+                    };
+                },
+            };
+            const handler = new InferredQueryHandler(queryGraph, () => fakeSubQueryHandler);
+            const res = await handler.query();
+            expect(res.knowledge_graph.edges).toHaveProperty("hash1");
+            expect(res.results[0].node_bindings).toEqual({ n0: [{ id: "CHEBI:1" }], n1: [{ id: "MONDO:0005148" }] });
+            expect(res.results[0].edge_bindings).toEqual({ e0: [{ id: "hash1" }, { id: "hash2" }] });
+            expect(res.results[0].template).toContain("ChemicalEntity-treats-DiseaseOrPhenotypicFeature/");
+        })
+    })
+})
@@ -0,0 +1,77 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const meta_kg = require("@biothings-explorer/smartapi-kg");
+const MetaKGProvider = require("../../src/metakg_provider");
+const config = require("../../src/config");
+
+describe("Test MetaKGProvider", () => {
+    const specs = require.resolve("@biothings-explorer/smartapi-kg/built/data/smartapi_specs.json");
+    const predicates = require.resolve("@biothings-explorer/smartapi-kg/built/data/predicates.json");
+    let tmpDir, smartAPIPath;
+
+    beforeAll(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "metakg-"));
+        smartAPIPath = path.join(tmpDir, "smartapi_specs.json");
+        fs.copyFileSync(specs, smartAPIPath);
+    })
+
+    afterAll(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    })
+
+    test("The MetaKG should only be built once", () => {
+        const provider = new MetaKGProvider(smartAPIPath, predicates, false);
+        const metaKG = provider.getMetaKG();
+        expect(metaKG.ops.length).toBeGreaterThan(0);
+        expect(provider.getMetaKG()).toBe(metaKG);
+    })
+
+    test("The MetaKG should be rebuilt once the spec file changes", () => {
+        const provider = new MetaKGProvider(smartAPIPath, predicates, false);
+        const metaKG = provider.getMetaKG();
+        const later = new Date(Date.now() + 10000);
+        fs.utimesSync(smartAPIPath, later, later);
+        expect(provider.getMetaKG()).not.toBe(metaKG);
+    })
+
+    test("Query options should restrict the MetaKG without changing the shared one", () => {
+        const provider = new MetaKGProvider(smartAPIPath, predicates, false);
+        const fullMetaKG = provider.getMetaKG();
+        const smartAPIID = fullMetaKG.ops[0].association.smartapi.id;
+        const metaKG = provider.getMetaKG({ smartAPIID });
+        expect(metaKG.ops.length).toBeGreaterThan(0);
+        expect(metaKG.ops.length).toBeLessThan(fullMetaKG.ops.length);
+        expect(metaKG.ops.every((op) => op.association.smartapi.id === smartAPIID)).toBeTruthy();
+        expect(provider.getMetaKG()).toBe(fullMetaKG);
+        expect(provider.getMetaKG({ smartAPIID })).toBe(metaKG);
+
+        const component = fullMetaKG.ops[0].association["x-translator"].component;
+        expect(provider.getMetaKG({ component }).ops.every(
+            (op) => op.association["x-translator"].component === component,
+        )).toBeTruthy();
+    })
+
+    test("Restricted MetaKGs should be the ones the smartapi-kg loaders build", () => {
+        const provider = new MetaKGProvider(smartAPIPath, predicates, false);
+        const teamName = provider.getMetaKG().ops[0].association["x-translator"].team[0];
+        const loaded = new meta_kg.default(smartAPIPath, predicates);
+        loaded.constructMetaKGSync(false, { teamName });
+        expect(provider.getMetaKG({ teamName, apis: { exclude: [] } }).ops).toEqual(loaded.ops);
+    })
+
+    test("Only the most recently used restricted MetaKGs should be kept", () => {
+        const provider = new MetaKGProvider(smartAPIPath, predicates, false);
+        const apiNames = [...new Set(provider.getMetaKG().ops.map((op) => op.association.api_name))];
+        expect(apiNames.length).toBeGreaterThan(config.MAX_RESTRICTED_METAKGS);
+        const first = provider.getMetaKG({ apiNames: [apiNames[0]] });
+        const second = provider.getMetaKG({ apiNames: [apiNames[1]] });
+        apiNames.slice(2, config.MAX_RESTRICTED_METAKGS).forEach((apiName) => provider.getMetaKG({ apiNames: [apiName] }));
+        // using the first one again makes the second one the least recently used
+        expect(provider.getMetaKG({ apiNames: [apiNames[0]] })).toBe(first);
+        provider.getMetaKG({ apiNames: [apiNames[config.MAX_RESTRICTED_METAKGS]] });
+        expect(provider._restrictedMetaKGs.size).toEqual(config.MAX_RESTRICTED_METAKGS);
+        expect(provider.getMetaKG({ apiNames: [apiNames[0]] })).toBe(first);
+        expect(provider.getMetaKG({ apiNames: [apiNames[1]] })).not.toBe(second);
+    })
+})
@@ -0,0 +1,134 @@
+const { getRecordNodeAttributeValues, meetsNodeConstraints } = require("../../src/attribute_constraints");
+const QueryExecutionEdge = require("../../src/query_execution_edge");
+
+describe("Test node constraints", () => {
+    const recordNode = (...attributesPerObject) => ({
+        obj: attributesPerObject.map((attributes) => ({ attributes })),
+    });
+    const record = (subjectAttributes, objectAttributes, id) => ({
+        id,
+        subject: recordNode(subjectAttributes),
+        object: recordNode(objectAttributes),
+    });
+    const qXEdge = (subjectConstraints, objectConstraints, reverse = false) => {
+        const qEdge = {
+            getID: () => "e0",
+            subject: { id: "n0", constraints: subjectConstraints },
+            object: { id: "n1", constraints: objectConstraints },
+        };
+        return new QueryExecutionEdge(qEdge, reverse);
+    };
+
+    describe("Test attribute lookup", () => {
+        test("Values should be collected from every equivalent node object", () => {
+            const node = recordNode({ pvalue: 0.1 }, { pvalue: 0.01 }, {});
+            expect(getRecordNodeAttributeValues(node, "pvalue")).toEqual([0.1, 0.01]);
+        })
+
+        test("Attributes should be found with or without the biolink prefix", () => {
+            const node = recordNode({ highest_FDA_approval_status: "regular approval" });
+            expect(getRecordNodeAttributeValues(node, "biolink:highest_FDA_approval_status")).toEqual(["regular approval"]);
+        })
+
+        test("Nodes without node objects should use their own attributes", () => {
+            expect(getRecordNodeAttributeValues({ attributes: { score: 3 } }, "score")).toEqual([3]);
+            expect(getRecordNodeAttributeValues(undefined, "score")).toEqual([]);
+        })
+    })
+
+    describe("Test operators", () => {
+        const meets = (constraint, ...attributes) => meetsNodeConstraints([{ id: "attr", ...constraint }], recordNode(...attributes));
+
+        test("Comparisons should use floats, not integers", () => {
+            expect(meets({ operator: "<", value: 0.05 }, { attr: 0.01 })).toBeTruthy();
+            expect(meets({ operator: "<", value: 0.05 }, { attr: "0.049" })).toBeTruthy();
+            expect(meets({ operator: ">", value: 0.05 }, { attr: 0.051 })).toBeTruthy();
+            expect(meets({ operator: ">", value: 0.05 }, { attr: 0.05 })).toBeFalsy();
+            expect(meets({ operator: ">=", value: 0.05 }, { attr: 0.05 })).toBeTruthy();
+            expect(meets({ operator: "<=", value: "1.5" }, { attr: 1.6 })).toBeFalsy();
+        })
+
+        test("< on a list should check that an element is less, not greater", () => {
+            expect(meets({ operator: "<", value: 5 }, { attr: [10, 20] })).toBeFalsy();
+            expect(meets({ operator: "<", value: 5 }, { attr: [10, 2] })).toBeTruthy();
+        })
+
+        test("Non-numeric values should never satisfy numeric comparisons", () => {
+            expect(meets({ operator: ">", value: 1 }, { attr: "high" })).toBeFalsy();
+            expect(meets({ operator: "<", value: 1 }, { attr: "" })).toBeFalsy();
+        })
+
+        test("== should compare strings and numbers loosely", () => {
+            expect(meets({ operator: "==", value: "regular approval" }, { attr: "regular approval" })).toBeTruthy();
+            expect(meets({ operator: "==", value: 4 }, { attr: "4.0" })).toBeTruthy();
+            expect(meets({ operator: "==", value: "4" }, { attr: [1, 4] })).toBeTruthy();
+            expect(meets({ operator: "==", value: "approved" }, { attr: "regular approval" })).toBeFalsy();
+        })
+
+        test("=== should require the exact value and type", () => {
+            expect(meets({ operator: "===", value: 4 }, { attr: 4 })).toBeTruthy();
+            expect(meets({ operator: "===", value: "4" }, { attr: 4 })).toBeFalsy();
+            expect(meets({ operator: "===", value: [1, 4] }, { attr: [1, 4] })).toBeTruthy();
+        })
+
+        test("matches should apply a regular expression", () => {
+            expect(meets({ operator: "matches", value: "^regular" }, { attr: "regular approval" })).toBeTruthy();
+            expect(meets({ operator: "matches", value: "^approval" }, { attr: "regular approval" })).toBeFalsy();
+            expect(meets({ operator: "matches", value: "(" }, { attr: "(" })).toBeFalsy();
+        })
+
+        test("not should negate the operator", () => {
+            expect(meets({ operator: "==", value: "withdrawn", not: true }, { attr: "regular approval" })).toBeTruthy();
+            expect(meets({ operator: "<", value: 0.05, not: true }, { attr: 0.01 })).toBeFalsy();
+        })
+
+        test("A missing attribute should fail, even with not", () => {
+            expect(meets({ operator: "==", value: 1 }, {})).toBeFalsy();
+            expect(meets({ operator: "==", value: 1, not: true }, {})).toBeFalsy();
+        })
+
+        test("Unknown operators should fail", () => {
+            expect(meets({ operator: "~", value: 1 }, { attr: 1 })).toBeFalsy();
+        })
+
+        test("Any equivalent node object may satisfy a constraint", () => {
+            expect(meets({ operator: "<", value: 0.05 }, { attr: 0.5 }, { attr: 0.01 })).toBeTruthy();
+        })
+
+        test("Every constraint should be met (AND)", () => {
+            const node = recordNode({ pvalue: 0.01, status: "approved" });
+            expect(meetsNodeConstraints([
+                { id: "pvalue", operator: "<", value: 0.05 },
+                { id: "status", operator: "==", value: "approved" },
+            ], node)).toBeTruthy();
+            expect(meetsNodeConstraints([
+                { id: "pvalue", operator: "<", value: 0.05 },
+                { id: "status", operator: "==", value: "withdrawn" },
+            ], node)).toBeFalsy();
+        })
+    })
+
+    describe("Test applyNodeConstraints", () => {
+        test("Records should be kept once when both nodes have constraints", () => {
+            const edge = qXEdge([{ id: "a", operator: ">", value: 1 }], [{ id: "b", operator: "==", value: "x" }]);
+            edge.records = [record({ a: 2 }, { b: "x" }, 0), record({ a: 2 }, { b: "y" }, 1), record({ a: 0 }, { b: "x" }, 2)];
+            edge.applyNodeConstraints();
+            expect(edge.records.map((rec) => rec.id)).toEqual([0]);
+        })
+
+        test("Constraints of the subject should apply to the record's object when reversed", () => {
+            const edge = qXEdge([{ id: "a", operator: ">", value: 1 }], undefined, true);
+            edge.records = [record({}, { a: 2 }, 0), record({ a: 2 }, {}, 1)];
+            edge.applyNodeConstraints();
+            expect(edge.records.map((rec) => rec.id)).toEqual([0]);
+        })
+
+        test("Records should be left alone without constraints", () => {
+            const edge = qXEdge(undefined, []);
+            const records = [record({}, {}, 0)];
+            edge.records = records;
+            edge.applyNodeConstraints();
+            expect(edge.records).toBe(records);
+        })
+    })
+})
@@ -0,0 +1,154 @@
+const QueryGraphHandler = require("../../src/query_graph");
+const QEdge = require("../../src/query_edge");
+const QNode = require("../../src/query_node");
+const QueryExecutionEdge = require("../../src/query_execution_edge");
+const QueryExecutionEdgeManager = require("../../src/edge_manager");
+const QueryResult = require("../../src/results_assembly/query_results");
+const InvalidQueryGraphError = require("../../src/exceptions/invalid_query_graph_error");
+const { record } = require("./fixtures/records");
+
+describe("Test optional edges", () => {
+    describe("Test validation", () => {
+        const validate = (edges) => {
+            const queryGraph = { nodes: { n0: {}, n1: {}, n2: {}, n3: {} }, edges };
+            return () => new QueryGraphHandler(queryGraph)._validate(queryGraph);
+        };
+
+        test("Option groups connected to a required edge should be accepted", () => {
+            expect(validate({
+                e0: { subject: "n0", object: "n1" },
+                e1: { subject: "n1", object: "n2", option_group_id: "g0" },
+                e2: { subject: "n2", object: "n3", option_group_id: "g0" },
+            })).not.toThrow();
+        })
+
+        test("Query graphs without required edges should be rejected", () => {
+            expect(validate({ e0: { subject: "n0", object: "n1", option_group_id: "g0" } })).toThrow(InvalidQueryGraphError);
+        })
+
+        test("Option groups not connected to a required edge should be rejected", () => {
+            expect(validate({
+                e0: { subject: "n0", object: "n1" },
+                e1: { subject: "n2", object: "n3", option_group_id: "g0" },
+            })).toThrow(/Option group g0/);
+        })
+
+        test("option_group_id should be a string, and edges can't be both optional and excluded", () => {
+            const qEdge = new QEdge("e0", { option_group_id: "g0" });
+            expect(qEdge.isOptional()).toBeTruthy();
+            expect(qEdge.getOptionGroupID()).toEqual("g0");
+            expect(new QEdge("e0", { option_group_id: null }).isOptional()).toBeFalsy();
+            expect(() => new QEdge("e0", { option_group_id: 1 })).toThrow(InvalidQueryGraphError);
+            expect(() => new QEdge("e0", { option_group_id: "g0", exclude: true })).toThrow(/both excluded and optional/);
+        })
+    })
+
+    describe("Test execution", () => {
+        const setup = () => {
+            const n0 = new QNode("n0", { ids: ["NCBIGene:1", "NCBIGene:2"] });
+            const n1 = new QNode("n1", { categories: ["biolink:Disease"] });
+            const n2 = new QNode("n2", { categories: ["biolink:Drug"] });
+            n2.markOptional();
+            return {
+                n0,
+                n2,
+                required: new QueryExecutionEdge(new QEdge("e0", { subject: n0, object: n1 })),
+                optional: new QueryExecutionEdge(new QEdge("e1", { subject: n0, object: n2, option_group_id: "g0" })),
+            };
+        };
+
+        test("Required edges should be executed before optional ones", () => {
+            const { required, optional } = setup();
+            const manager = new QueryExecutionEdgeManager([optional, required]);
+            expect(manager.getNext().getID()).toEqual("e0");
+        })
+
+        test("Records of optional edges should only narrow down nodes of their option group", () => {
+            const { n0, n2, optional } = setup();
+            n2.curie = ["CHEBI:1"];
+            optional.storeRecords([]);
+            expect(n0.getCurie()).toEqual(["NCBIGene:1", "NCBIGene:2"]);
+            expect(n2.getCurie()).toEqual([]);
+        })
+
+        test("Skipping an option group should mark its edges executed without records", () => {
+            const { required, optional } = setup();
+            const manager = new QueryExecutionEdgeManager([required, optional]);
+            expect(manager.skipOptionGroup("g0").map((qXEdge) => qXEdge.getID())).toEqual(["e1"]);
+            expect(optional.executed).toBeTruthy();
+            expect(required.executed).toBeFalsy();
+        })
+
+        test("Option groups without records shouldn't break the chain", () => {
+            const { required, optional } = setup();
+            const record = { subject: { qNodeID: "n0" }, object: { qNodeID: "n1" } };
+            record.queryDirection = () => record;
+            required.records = [record];
+            required.executed = true;
+            optional.records = [];
+            optional.executed = true;
+            const manager = new QueryExecutionEdgeManager([required, optional]);
+            manager.collectRecords();
+            expect(Object.keys(manager.getOrganizedRecords())).toEqual(["e0"]);
+            expect(manager.getRecords()).toEqual([record]);
+        })
+    })
+
+    describe("Test results assembly", () => {
+        // n0 -e0-> n1 required, n1 -e1-> n2 -e2-> n3 optional (g0)
+        const recordsByQEdgeID = (optionalRecords) => ({
+            e0: {
+                connected_to: ["e1"],
+                records: [record("n0", "CHEBI:1", "n1", "MONDO:1"), record("n0", "CHEBI:1", "n1", "MONDO:2")],
+            },
+            e1: {
+                connected_to: ["e0", "e2"],
+                option_group_id: "g0",
+                records: optionalRecords.e1,
+            },
+            e2: {
+                connected_to: ["e1"],
+                option_group_id: "g0",
+                records: optionalRecords.e2,
+            },
+        });
+        const byDisease = (queryResult) => {
+            return Object.fromEntries(queryResult.getResults().map((result) => [result.node_bindings.n1[0].id, result]));
+        };
+
+        test("Matching option groups should be added to results as extra bindings", async () => {
+            const queryResult = new QueryResult();
+            await queryResult.update(recordsByQEdgeID({
+                e1: [record("n1", "MONDO:1", "n2", "HP:1"), record("n1", "MONDO:1", "n2", "HP:2")],
+                e2: [record("n2", "HP:1", "n3", "NCBIGene:1")],
+            }), false);
+            const results = byDisease(queryResult);
+            expect(Object.keys(results).sort()).toEqual(["MONDO:1", "MONDO:2"]);
+            expect(results["MONDO:1"].node_bindings.n2).toEqual([{ id: "HP:1" }]);
+            expect(results["MONDO:1"].node_bindings.n3).toEqual([{ id: "NCBIGene:1" }]);
+            expect(results["MONDO:1"].edge_bindings.e2).toEqual([{ id: "HP:1-NCBIGene:1" }]);
+            expect(results["MONDO:1"].node_bindings.n1).toEqual([{ id: "MONDO:1" }]);
+        })
+
+        test("Results not matched by an option group should keep only the required bindings", async () => {
+            const queryResult = new QueryResult();
+            await queryResult.update(recordsByQEdgeID({
+                e1: [record("n1", "MONDO:1", "n2", "HP:1")],
+                e2: [record("n2", "HP:1", "n3", "NCBIGene:1")],
+            }), false);
+            const result = byDisease(queryResult)["MONDO:2"];
+            expect(Object.keys(result.node_bindings).sort()).toEqual(["n0", "n1"]);
+            expect(Object.keys(result.edge_bindings)).toEqual(["e0"]);
+        })
+
+        test("Optional bindings should not split results", async () => {
+            const queryResult = new QueryResult();
+            await queryResult.update(recordsByQEdgeID({
+                e1: [record("n1", "MONDO:1", "n2", "HP:1"), record("n1", "MONDO:1", "n2", "HP:2")],
+                e2: [record("n2", "HP:1", "n3", "NCBIGene:1"), record("n2", "HP:2", "n3", "NCBIGene:2")],
+            }), false);
+            expect(queryResult.getResults().length).toEqual(2);
+            expect(byDisease(queryResult)["MONDO:1"].node_bindings.n2.map(({ id }) => id).sort()).toEqual(["HP:1", "HP:2"]);
+        })
+    })
+})
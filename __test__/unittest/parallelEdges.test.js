@@ -0,0 +1,89 @@
+const QEdge = require("../../src/query_edge");
+const QNode = require("../../src/query_node");
+const QueryExecutionEdge = require("../../src/query_execution_edge");
+const QueryExecutionEdgeManager = require("../../src/edge_manager");
+const { TRAPIQueryHandler } = require("../../src/index");
+
+describe("Test concurrent execution of independent qEdges", () => {
+    // n0 (pinned) --e0--> n1 --e2--> n3, n0 --e1--> n2, n5 --e3--> n4 (pinned)
+    const queryExecutionEdges = () => {
+        const nodes = {
+            n0: new QNode("n0", { ids: ["NCBIGene:1", "NCBIGene:2"] }),
+            n1: new QNode("n1", { categories: ["biolink:Disease"] }),
+            n2: new QNode("n2", { categories: ["biolink:Drug"] }),
+            n3: new QNode("n3", { categories: ["biolink:Gene"] }),
+            n4: new QNode("n4", { ids: ["MONDO:1"] }),
+            n5: new QNode("n5", { categories: ["biolink:Gene"] }),
+        };
+        const qXEdge = (id, subject, object) => {
+            return new QueryExecutionEdge(new QEdge(id, { subject: nodes[subject], object: nodes[object] }));
+        };
+        return {
+            e0: [qXEdge("e0", "n0", "n1")],
+            e1: [qXEdge("e1", "n0", "n2")],
+            e2: [qXEdge("e2", "n1", "n3")],
+            e3: [qXEdge("e3", "n5", "n4")],
+        };
+    };
+    const ids = (qXEdges) => qXEdges.map((qXEdge) => qXEdge.getID());
+
+    describe("Test batches", () => {
+        test("qEdges starting from the same pinned node or sharing no nodes should be batched", () => {
+            const edges = queryExecutionEdges();
+            const batch = new QueryExecutionEdgeManager(edges).getNextBatch();
+            expect(ids(batch)).toEqual(["e3", "e0", "e1"]);
+            expect(edges.e3[0].isReversed()).toBeTruthy();
+        })
+
+        test("qEdges meeting another qEdge of the batch at its output should wait", () => {
+            const edges = queryExecutionEdges();
+            edges.e2[0].object.entity_count = 5;
+            const batch = new QueryExecutionEdgeManager({ e0: edges.e0, e2: edges.e2 }).getNextBatch();
+            expect(ids(batch)).toEqual(["e0"]);
+        })
+
+        test("qEdges without entities to start from should wait", () => {
+            const edges = queryExecutionEdges();
+            const batch = new QueryExecutionEdgeManager({ e0: edges.e0, e2: edges.e2 }).getNextBatch();
+            expect(ids(batch)).toEqual(["e0"]);
+        })
+    })
+
+    describe("Test execution", () => {
+        const run = async (options) => {
+            const handler = new TRAPIQueryHandler(options);
+            const stored = [];
+            let running = 0;
+            let maxRunning = 0;
+            handler._queryQXEdge = jest.fn(async (qXEdge) => {
+                running++;
+                maxRunning = Math.max(running, maxRunning);
+                // earlier qEdges respond later
+                await new Promise((resolve) => setTimeout(resolve, qXEdge.getID() === "e3" ? 20 : 0));
+                running--;
+                return { handler: { logs: [] }, queryRecords: [] };
+            });
+            handler._storeQXEdgeRecords = jest.fn((manager, qXEdge) => {
+                stored.push(qXEdge.getID());
+                qXEdge.executed = true;
+                return "continue";
+            });
+            handler._initializeResponse();
+            await handler._executeQXEdges(queryExecutionEdges(), {}, {});
+            return { handler, stored, maxRunning };
+        };
+
+        test("Independent qEdges should be queried together and stored in batch order", async () => {
+            const { handler, stored, maxRunning } = await run({});
+            expect(maxRunning).toEqual(3);
+            expect(stored).toEqual(["e3", "e0", "e1", "e2"]);
+            expect(handler.logs.map(({ message }) => message)).toContain("Executing qEdges e3, e0, e1 concurrently.");
+        })
+
+        test("parallelEdges: false should query one qEdge at a time", async () => {
+            const { stored, maxRunning } = await run({ parallelEdges: false });
+            expect(maxRunning).toEqual(1);
+            expect(stored.length).toEqual(4);
+        })
+    })
+})
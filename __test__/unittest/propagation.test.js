@@ -0,0 +1,68 @@
+const QEdge = require("../../src/query_edge");
+const QNode = require("../../src/query_node");
+const QueryExecutionEdge = require("../../src/query_execution_edge");
+const QueryExecutionEdgeManager = require("../../src/edge_manager");
+const { qNodeTypes, recordNode, storedRecord } = require("./fixtures/records");
+
+describe("Test fixed-point propagation of node pruning", () => {
+    // n0 --e0--> n1 --e1--> n2 --e2--> n3
+    const chain = () => {
+        const nodes = Object.fromEntries(
+            Object.entries(qNodeTypes).map(([id, type]) => [id, new QNode(id, { categories: [`biolink:${type}`] })]),
+        );
+        const qXEdge = (id, subject, object) => {
+            return new QueryExecutionEdge(new QEdge(id, { subject: nodes[subject], object: nodes[object] }));
+        };
+        return { nodes, e0: qXEdge("e0", "n0", "n1"), e1: qXEdge("e1", "n1", "n2"), e2: qXEdge("e2", "n2", "n3") };
+    };
+    const execute = (manager, qXEdge, records) => {
+        qXEdge.storeRecords(records);
+        manager.updateEdgeRecords(qXEdge);
+        manager.updateAllOtherEdges(qXEdge);
+        qXEdge.executed = true;
+    };
+
+    test("Pruning one end of a chain should reach the other end", () => {
+        const { nodes, e0, e1, e2 } = chain();
+        const manager = new QueryExecutionEdgeManager([e0, e1, e2]);
+        execute(manager, e0, [
+            storedRecord(recordNode("n0", "NCBIGene:1"), recordNode("n1", "MONDO:1")),
+            storedRecord(recordNode("n0", "NCBIGene:2"), recordNode("n1", "MONDO:2")),
+        ]);
+        execute(manager, e1, [
+            storedRecord(recordNode("n1", "MONDO:1"), recordNode("n2", "REACT:1")),
+            storedRecord(recordNode("n1", "MONDO:2"), recordNode("n2", "REACT:2")),
+        ]);
+        execute(manager, e2, [storedRecord(recordNode("n2", "REACT:1"), recordNode("n3", "CL:1"))]);
+        expect(e1.records.map((rec) => rec.object.original)).toEqual(["REACT:1"]);
+        expect(e0.records.map((rec) => rec.subject.original)).toEqual(["NCBIGene:1"]);
+        expect(nodes.n0.getCurie()).toEqual(["NCBIGene:1"]);
+        expect(nodes.n1.getCurie()).toEqual(["MONDO:1"]);
+    })
+
+    test("The log should show the iterations and the records each one dropped", () => {
+        const { e0, e1, e2 } = chain();
+        const manager = new QueryExecutionEdgeManager([e0, e1, e2]);
+        execute(manager, e0, [
+            storedRecord(recordNode("n0", "NCBIGene:1"), recordNode("n1", "MONDO:1")),
+            storedRecord(recordNode("n0", "NCBIGene:2"), recordNode("n1", "MONDO:2")),
+        ]);
+        execute(manager, e1, [
+            storedRecord(recordNode("n1", "MONDO:1"), recordNode("n2", "REACT:1")),
+            storedRecord(recordNode("n1", "MONDO:2"), recordNode("n2", "REACT:2")),
+        ]);
+        execute(manager, e2, [storedRecord(recordNode("n2", "REACT:1"), recordNode("n3", "CL:1"))]);
+        const messages = manager.logs.map(({ message }) => message);
+        expect(messages).toContain("Pruning after qEdge 'e0' took (1) iteration, dropping (0) records.");
+        expect(messages).toContain("Pruning after qEdge 'e2' took (3) iterations, dropping (1, 1, 0) records.");
+    })
+
+    test("Records of nodes held aside should still be matched", () => {
+        const { nodes, e0, e1 } = chain();
+        const manager = new QueryExecutionEdgeManager([e0, e1]);
+        execute(manager, e0, [storedRecord(recordNode("n0", "NCBIGene:1"), recordNode("n1", "MONDO:1"))]);
+        nodes.n1.holdCurie();
+        manager.updateAllOtherEdges(e1);
+        expect(e0.records.length).toEqual(1);
+    })
+})
@@ -0,0 +1,159 @@
+const http = require("http");
+const {
+    validateQualifierConstraints,
+    reverseQualifierConstraints,
+    getRecordQualifiers,
+    getMatchedQualifiers,
+} = require("../../src/qualifier_constraints");
+const QEdge = require("../../src/query_edge");
+const QueryExecutionEdge = require("../../src/query_execution_edge");
+const QEdge2APIEdgeHandler = require("../../src/qedge2apiedge");
+const BatchEdgeQueryHandler = require("../../src/batch_edge_query");
+const { APIPolicies } = require("../../src/api_policy");
+const biolink = require("../../src/biolink");
+const QueryResult = require("../../src/results_assembly/query_results");
+const InvalidQueryGraphError = require("../../src/exceptions/invalid_query_graph_error");
+
+describe("Test qualifier constraints", () => {
+    const increasedActivity = {
+        qualifier_set: [
+            { qualifier_type_id: "biolink:object_aspect_qualifier", qualifier_value: "activity" },
+            { qualifier_type_id: "biolink:object_direction_qualifier", qualifier_value: "increased" },
+        ],
+    };
+    const decreasedAbundance = {
+        qualifier_set: [
+            { qualifier_type_id: "biolink:object_aspect_qualifier", qualifier_value: "abundance" },
+            { qualifier_type_id: "biolink:object_direction_qualifier", qualifier_value: "decreased" },
+        ],
+    };
+    const node = (id) => ({ id, getCurie: () => undefined, constraints: undefined });
+    const record = (qualifiers, recordHash = "hash0") => ({
+        subject: { qNodeID: "n0", curie: "CHEBI:1" },
+        object: { qNodeID: "n1", curie: "NCBIGene:1" },
+        recordHash,
+        qualifiers,
+    });
+
+    test("Malformed qualifier constraints should be rejected", () => {
+        expect(() => validateQualifierConstraints([increasedActivity], "qEdge e0")).not.toThrow();
+        expect(() => validateQualifierConstraints([{ qualifier_set: {} }], "qEdge e0")).toThrow(InvalidQueryGraphError);
+        expect(() => validateQualifierConstraints([{ qualifier_set: [{ qualifier_type_id: "biolink:object_aspect_qualifier" }] }], "qEdge e0")).toThrow(InvalidQueryGraphError);
+        expect(() => new QEdge("e0", { qualifier_constraints: [{ qualifier_set: [{ qualifier_type_id: "aspect", qualifier_value: "x" }] }] })).toThrow(/not a biolink qualifier/);
+    })
+
+    test("Record qualifiers should be read from objects and TRAPI lists", () => {
+        expect(getRecordQualifiers(record({ object_aspect_qualifier: "activity" }))).toEqual([
+            { qualifier_type_id: "biolink:object_aspect_qualifier", qualifier_value: "activity" },
+        ]);
+        expect(getRecordQualifiers(record([{ qualifier_type_id: "biolink:qualified_predicate", qualifier_value: "biolink:causes" }])).length).toEqual(1);
+        expect(getRecordQualifiers(record(undefined))).toEqual([]);
+    })
+
+    test("A record should match if it satisfies every qualifier of any qualifier set", () => {
+        const qualifiers = getRecordQualifiers(record({
+            "biolink:object_aspect_qualifier": "abundance",
+            "biolink:object_direction_qualifier": "decreased",
+        }));
+        expect(getMatchedQualifiers([increasedActivity, decreasedAbundance], qualifiers)).toEqual(qualifiers);
+        expect(getMatchedQualifiers([increasedActivity], qualifiers)).toBeUndefined();
+        expect(getMatchedQualifiers([increasedActivity], getRecordQualifiers(record({ object_aspect_qualifier: "activity" })))).toBeUndefined();
+    })
+
+    test("Qualified predicates should match descendant predicates", () => {
+        const constraints = [{ qualifier_set: [{ qualifier_type_id: "biolink:qualified_predicate", qualifier_value: "biolink:related_to" }] }];
+        expect(getMatchedQualifiers(constraints, getRecordQualifiers(record({ qualified_predicate: "biolink:treats" })))).toBeDefined();
+    })
+
+    test("Reversed constraints should swap subject and object qualifiers", () => {
+        expect(reverseQualifierConstraints([increasedActivity])[0].qualifier_set[0].qualifier_type_id).toEqual("biolink:subject_aspect_qualifier");
+    })
+
+    test("Stored records carrying other qualifiers should be dropped", () => {
+        const qEdge = new QEdge("e0", { subject: node("n0"), object: node("n1"), qualifier_constraints: [increasedActivity] });
+        const qXEdge = new QueryExecutionEdge(qEdge);
+        const records = [
+            record({ object_aspect_qualifier: "activity", object_direction_qualifier: "increased" }),
+            record({ object_aspect_qualifier: "abundance", object_direction_qualifier: "decreased" }),
+            record(undefined),
+        ];
+        expect(qXEdge.applyQualifierConstraints(records)).toEqual([records[0], records[2]]);
+        expect(qXEdge.logs[0].message).toContain("dropped (1) of (3) records");
+        expect(new QueryExecutionEdge(qEdge, true).getQualifierConstraints()[0].qualifier_set[1].qualifier_type_id).toEqual(
+            "biolink:subject_direction_qualifier",
+        );
+    })
+
+    test("Qualifier constraints should only be passed on to TRAPI APIs", async () => {
+        const qXEdge = { filter: undefined, getQualifierConstraints: () => [increasedActivity] };
+        const metaXEdge = (tags) => ({ tags, association: { api_name: tags[0] }, query_operation: {} });
+        const converter = new QEdge2APIEdgeHandler([qXEdge], {});
+        converter.getMetaXEdges = () => [metaXEdge(["bte-trapi"]), metaXEdge(["biothings"])];
+        converter._createAPIEdges = async (edge) => [{ ...edge }];
+        const APIEdges = await converter.convert([qXEdge]);
+        expect(APIEdges.find((e) => e.tags.includes("bte-trapi")).qualifier_constraints).toEqual([increasedActivity]);
+        expect(APIEdges.find((e) => e.tags.includes("biothings"))).not.toHaveProperty("qualifier_constraints");
+    })
+
+    test("Qualifier constraints should be sent in the query graph of TRAPI requests", async () => {
+        const bodies = [];
+        const server = http.createServer((req, res) => {
+            let body = "";
+            req.on("data", (chunk) => (body += chunk));
+            req.on("end", () => {
+                bodies.push(JSON.parse(body));
+                res.statusCode = 503;
+                res.end("{}");
+            });
+        });
+        await new Promise((resolve) => server.listen(0, "localhost", resolve));
+        try {
+            const handler = new BatchEdgeQueryHandler({}, false, { apiPolicies: new APIPolicies([]) });
+            await handler._queryAPIEdges([{
+                association: { api_name: "TRAPI KP", input_type: "Gene", output_type: "Gene", predicate: "affects" },
+                query_operation: { server: `http://localhost:${server.address().port}`, path: "/query", method: "post" },
+                tags: ["bte-trapi"],
+                input: ["NCBIGene:1"],
+                original_input: { "NCBIGene:1": "NCBIGene:1" },
+                qualifier_constraints: [increasedActivity],
+            }], {});
+            expect(bodies.length).toEqual(1);
+            expect(bodies[0].message.query_graph.edges.e01).toEqual({
+                subject: "n0",
+                object: "n1",
+                predicates: ["biolink:affects"],
+                qualifier_constraints: [increasedActivity],
+            });
+        } finally {
+            server.close();
+        }
+    })
+
+    test("Qualifier hierarchies should come from the bundled biolink model", () => {
+        // qualified predicates follow the predicate hierarchy
+        const affects = [{ qualifier_set: [{ qualifier_type_id: "biolink:qualified_predicate", qualifier_value: "biolink:affects" }] }];
+        expect(getMatchedQualifiers(affects, getRecordQualifiers(record({ qualified_predicate: "biolink:increases_activity_of" })))).toBeDefined();
+        expect(getMatchedQualifiers(affects, getRecordQualifiers(record({ qualified_predicate: "biolink:interacts_with" })))).toBeUndefined();
+        // the bundled model predates the qualifier enums, so values match only themselves
+        expect(biolink.getDescendantQualifierValues("activity_or_abundance")).toEqual(["activity_or_abundance"]);
+        expect(getMatchedQualifiers([increasedActivity], getRecordQualifiers(record({
+            object_aspect_qualifier: "activity",
+            object_direction_qualifier: "increased",
+        })))).toBeDefined();
+    })
+
+    test("Matched qualifiers should be listed on edge bindings", async () => {
+        const queryResult = new QueryResult();
+        const queryGraph = { nodes: {}, edges: { e0: { subject: "n0", object: "n1", qualifier_constraints: [increasedActivity] } } };
+        await queryResult.update({
+            e0: { connected_to: [], records: [record({ object_aspect_qualifier: "activity", object_direction_qualifier: "increased" })] },
+        }, false, queryGraph);
+        expect(queryResult.getResults()[0].edge_bindings.e0[0].attributes[0]).toEqual({
+            attribute_type_id: "biolink:qualifiers",
+            value: [
+                { qualifier_type_id: "biolink:object_aspect_qualifier", qualifier_value: "activity" },
+                { qualifier_type_id: "biolink:object_direction_qualifier", qualifier_value: "increased" },
+            ],
+        });
+    })
+})
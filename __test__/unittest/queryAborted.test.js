@@ -0,0 +1,143 @@
+jest.mock("../../src/redis-client", () => ({
+    lock: jest.fn(),
+    hgetallAsync: jest.fn(),
+    hsetAsync: jest.fn(),
+    delAsync: jest.fn(),
+    expireAsync: jest.fn(),
+}));
+const redisClient = require("../../src/redis-client");
+const QueryAbortedError = require("../../src/exceptions/query_aborted_error");
+const BTEError = require("../../src/exceptions/bte_error");
+const QEdge2APIEdgeHandler = require("../../src/qedge2apiedge");
+const CacheHandler = require("../../src/cache_handler");
+const QEdge = require("../../src/query_edge");
+const QNode = require("../../src/query_node");
+const QueryExecutionEdge = require("../../src/query_execution_edge");
+const { TRAPIQueryHandler } = require("../../src/index");
+
+describe("Test query abortion", () => {
+    test("QueryAbortedError should be a BTEError", () => {
+        const error = new QueryAbortedError();
+        expect(error).toBeInstanceOf(BTEError);
+        expect(error).toBeInstanceOf(QueryAbortedError);
+        expect(error.name).toEqual("QueryAbortedError");
+    })
+
+    test("throwIfAborted should only throw once the signal is aborted", () => {
+        const signal = { aborted: false };
+        expect(() => QueryAbortedError.throwIfAborted(undefined)).not.toThrow();
+        expect(() => QueryAbortedError.throwIfAborted(signal)).not.toThrow();
+        signal.aborted = true;
+        expect(() => QueryAbortedError.throwIfAborted(signal)).toThrow(QueryAbortedError);
+    })
+
+    test("Converting qEdges should stop when aborted", async () => {
+        const converter = new QEdge2APIEdgeHandler([{}], {}, { abortSignal: { aborted: true } });
+        await expect(converter.convert([{}])).rejects.toThrow(QueryAbortedError);
+    })
+
+    test("The query should stop before the next qEdge once aborted", async () => {
+        const signal = { aborted: false };
+        const handler = new TRAPIQueryHandler({ abortSignal: signal, parallelEdges: false });
+        handler._initializeResponse();
+        handler._queryQXEdge = jest.fn(async () => {
+            signal.aborted = true;
+            return { handler: { logs: [], timedOutAPIs: [], stageRecords: { cache: [], api_calls: [] } }, queryRecords: [] };
+        });
+        const n0 = new QNode("n0", { ids: ["NCBIGene:1"], categories: ["biolink:Gene"] });
+        const n1 = new QNode("n1", { ids: ["MONDO:1"], categories: ["biolink:Disease"] });
+        const n2 = new QNode("n2", { categories: ["biolink:Pathway"] });
+        const qXEdges = {
+            e0: [new QueryExecutionEdge(new QEdge("e0", { subject: n0, object: n2 }))],
+            e1: [new QueryExecutionEdge(new QEdge("e1", { subject: n1, object: n2 }))],
+        };
+        // the first qEdge gets records, so the query would go on to the second one
+        handler._storeQXEdgeRecords = jest.fn(() => "continue");
+        await expect(handler._executeQXEdges(qXEdges, {}, {})).rejects.toThrow(QueryAbortedError);
+        expect(handler._queryQXEdge).toHaveBeenCalledTimes(1);
+    })
+
+    describe("Test caching", () => {
+        const OLD_ENV = process.env;
+        let signal, unlock;
+        beforeEach(() => {
+            process.env = { ...OLD_ENV, REDIS_HOST: "localhost", REDIS_PORT: "6379" };
+            delete process.env.INTERNAL_DISABLE_REDIS;
+            signal = { aborted: false };
+            unlock = jest.fn();
+            Object.values(redisClient).forEach((mock) => mock.mockReset());
+            redisClient.lock.mockImplementation(async () => unlock);
+        });
+        afterAll(() => {
+            process.env = OLD_ENV;
+        });
+        const qXEdge = () => new QueryExecutionEdge(new QEdge("e0", {
+            subject: new QNode("n0", { ids: ["NCBIGene:1"], categories: ["biolink:Gene"] }),
+            object: new QNode("n1", { categories: ["biolink:Disease"] }),
+        }));
+        const cacheHandler = (edge) => new CacheHandler([edge], true, undefined, {}, [], signal);
+        // a pack of records as stored in redis
+        const encode = (objects) => new Promise((resolve) => {
+            const chunks = [];
+            const encoder = cacheHandler(qXEdge()).createEncodeStream();
+            encoder.on("data", (chunk) => chunks.push(chunk)).on("end", () => resolve(chunks.join("")));
+            objects.forEach((obj) => encoder.write(obj));
+            encoder.end();
+        });
+
+        test("Cache lookup should stop before reading from redis once aborted", async () => {
+            const edge = qXEdge();
+            signal.aborted = true;
+            await expect(cacheHandler(edge).categorizeEdges([edge])).rejects.toThrow(QueryAbortedError);
+            expect(redisClient.lock).not.toHaveBeenCalled();
+            expect(redisClient.hgetallAsync).not.toHaveBeenCalled();
+        })
+
+        test("Reading cached records should stop once aborted, releasing the lock", async () => {
+            const edge = qXEdge();
+            const pack = await encode([{ record: 1 }, { record: 2 }]);
+            redisClient.hgetallAsync.mockImplementation(async () => {
+                signal.aborted = true;
+                return { 0: pack };
+            });
+            await expect(cacheHandler(edge).categorizeEdges([edge])).rejects.toThrow(QueryAbortedError);
+            expect(unlock).toHaveBeenCalled();
+        })
+
+        test("Reading cached records should stop when aborted after the last chunk", async () => {
+            const edge = qXEdge();
+            const handler = cacheHandler(edge);
+            const pack = await encode([{ record: 1 }, { record: 2 }]);
+            redisClient.hgetallAsync.mockImplementation(async () => ({ 0: pack }));
+            const createDecodeStream = handler.createDecodeStream.bind(handler);
+            // every chunk has been read by the time the stream ends
+            handler.createDecodeStream = () => createDecodeStream().on("end", () => {
+                signal.aborted = true;
+            });
+            await expect(handler.categorizeEdges([edge])).rejects.toThrow(QueryAbortedError);
+        })
+
+        test("Caching should stop before writing once aborted", async () => {
+            const handler = cacheHandler(qXEdge());
+            handler._groupQueryRecordsByQXEdgeHash = () => ({ hash0: [{ record: 1 }] });
+            signal.aborted = true;
+            await expect(handler.cacheEdges([])).rejects.toThrow(QueryAbortedError);
+            expect(redisClient.lock).not.toHaveBeenCalled();
+            expect(redisClient.hsetAsync).not.toHaveBeenCalled();
+        })
+
+        test("Writing records should stop once aborted, removing what was cached and releasing the lock", async () => {
+            const handler = cacheHandler(qXEdge());
+            handler._groupQueryRecordsByQXEdgeHash = () => ({ hash0: [{ record: 1 }, { record: 2 }] });
+            redisClient.delAsync.mockImplementation(async () => {
+                signal.aborted = true;
+            });
+            await expect(handler.cacheEdges([])).rejects.toThrow(QueryAbortedError);
+            expect(redisClient.hsetAsync).not.toHaveBeenCalled();
+            // once before writing, once more to remove the partial cache
+            expect(redisClient.delAsync).toHaveBeenCalledTimes(2);
+            expect(redisClient.expireAsync).not.toHaveBeenCalled();
+            expect(unlock).toHaveBeenCalled();
+        })
+    })
+})
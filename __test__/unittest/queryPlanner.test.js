@@ -0,0 +1,194 @@
+const os = require("os");
+const path = require("path");
+const fs = require("fs");
+const CallAPIsLogEntry = require("@biothings-explorer/call-apis/src/log_entry");
+const QEdge = require("../../src/query_edge");
+const QNode = require("../../src/query_node");
+const QueryExecutionEdge = require("../../src/query_execution_edge");
+const QueryExecutionEdgeManager = require("../../src/edge_manager");
+const BatchEdgeQueryHandler = require("../../src/batch_edge_query");
+const QEdge2APIEdgeHandler = require("../../src/qedge2apiedge");
+const { TRAPIQueryHandler } = require("../../src/index");
+const QueryPlanner = require("../../src/planner/query_planner");
+const { OperationStats, getOperationKey } = require("../../src/planner/operation_stats");
+
+describe("Test cost-based query planning", () => {
+    const operation = (api_name, input_type, output_type) => ({
+        association: { api_name, smartapi: { id: api_name }, input_type, predicate: "related_to", output_type },
+        query_operation: {},
+        tags: [],
+    });
+    const geneToDisease = operation("api1", "Gene", "Disease");
+    const diseaseToGene = operation("api2", "Disease", "Gene");
+    const metaKG = {
+        ops: [geneToDisease, diseaseToGene],
+        filter(criteria) {
+            return this.ops.filter((op) =>
+                criteria.input_type.includes(op.association.input_type) &&
+                criteria.output_type.includes(op.association.output_type),
+            );
+        },
+    };
+    const qXEdge = (id = "e0", geneIDs = ["NCBIGene:1", "NCBIGene:2"], diseaseIDs = ["MONDO:1", "MONDO:2", "MONDO:3"]) => {
+        const subject = new QNode("n0", { categories: ["biolink:Gene"], ids: geneIDs });
+        const object = new QNode("n1", { categories: ["biolink:Disease"], ids: diseaseIDs });
+        return new QueryExecutionEdge(new QEdge(id, { subject, object }));
+    };
+    const statsWith = (counts) => {
+        const stats = new OperationStats({ path: "" });
+        Object.entries(counts).forEach(([key, count]) => stats.record(key, count));
+        return stats;
+    };
+
+    describe("Test operation stats", () => {
+        let dir;
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "operation-stats-"));
+        });
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test("Stats should be derived from the recorded counts", () => {
+            const stats = statsWith({ op: { calls: 4, failed_calls: 1, inputs: 10, records: 50, time_ms: 2000 } });
+            expect(stats.get("op")).toEqual({ calls: 4, fan_out: 5, latency_ms: 500, failure_rate: 0.25 });
+            expect(stats.get("other")).toBeUndefined();
+        })
+
+        test("Operations should be keyed by API and metaKG edge", () => {
+            expect(getOperationKey(geneToDisease.association)).toEqual("api1|Gene|related_to|Disease");
+            expect(getOperationKey({ ...geneToDisease.association, smartapi: undefined })).toEqual("api1|Gene|related_to|Disease");
+        })
+
+        test("Saved stats should add up across queries", async () => {
+            const file = path.join(dir, "stats.json");
+            const first = new OperationStats({ path: file });
+            const second = new OperationStats({ path: file });
+            await first.load();
+            await second.load();
+            first.record("op", { calls: 1, inputs: 2, records: 4, time_ms: 100 });
+            second.record("op", { calls: 1, failed_calls: 1, inputs: 2, records: 0, time_ms: 300 });
+            await first.save();
+            await second.save();
+            const loaded = new OperationStats({ path: file });
+            await loaded.load();
+            expect(loaded.get("op")).toEqual({ calls: 2, fan_out: 1, latency_ms: 200, failure_rate: 0.5 });
+        })
+
+        test("A missing or unreadable store should be treated as empty", async () => {
+            const file = path.join(dir, "stats.json");
+            fs.writeFileSync(file, "not json");
+            const stats = new OperationStats({ path: file });
+            await stats.load();
+            expect(stats.get("op")).toBeUndefined();
+            await new OperationStats({ path: path.join(dir, "missing.json") }).load();
+        })
+    })
+
+    describe("Test cost estimates", () => {
+        test("Operations without stats should expect one record per input", () => {
+            const estimate = new QueryPlanner(metaKG).estimate(qXEdge());
+            expect(estimate.input_count).toEqual(2);
+            expect(estimate.expected_records).toEqual(2);
+            expect(estimate.operations[0]).toMatchObject({ api: "api1", expected_api_calls: 1, has_stats: false });
+        })
+
+        test("Stats should drive the expected records and time", () => {
+            const stats = statsWith({
+                [getOperationKey(geneToDisease.association)]: { calls: 2, failed_calls: 1, inputs: 2, records: 100, time_ms: 400 },
+            });
+            const estimate = new QueryPlanner(metaKG, stats).estimate(qXEdge());
+            expect(estimate.expected_records).toEqual(100);
+            expect(estimate.operations[0]).toMatchObject({ latency_ms: 200, failure_rate: 0.5, has_stats: true });
+            expect(estimate.expected_time_ms).toEqual(300);
+            expect(estimate.cost).toEqual(400);
+        })
+
+        test("Estimating the other direction should leave the qXEdge as it was", () => {
+            const edge = qXEdge();
+            const estimate = new QueryPlanner(metaKG).estimate(edge, true);
+            expect(estimate.reversed).toBeTruthy();
+            expect(estimate.input_count).toEqual(3);
+            expect(estimate.operations[0].api).toEqual("api2");
+            expect(edge.isReversed()).toBeFalsy();
+        })
+    })
+
+    describe("Test planning", () => {
+        // genes fan out to many diseases, diseases to few genes
+        const stats = () => statsWith({
+            [getOperationKey(geneToDisease.association)]: { calls: 1, inputs: 1, records: 500, time_ms: 100 },
+            [getOperationKey(diseaseToGene.association)]: { calls: 1, inputs: 1, records: 1, time_ms: 100 },
+        });
+
+        test("The cheaper direction should be chosen even from the larger node", () => {
+            const choice = new QueryPlanner(metaKG, stats()).chooseNext([qXEdge()]);
+            expect(choice.reverse).toBeTruthy();
+            expect(choice.estimate.expected_records).toEqual(3);
+        })
+
+        test("Edges without entities on either end can't be planned", () => {
+            expect(new QueryPlanner(metaKG, stats()).chooseNext([qXEdge("e0", [], [])])).toBeUndefined();
+        })
+
+        test("The edge manager should execute the planner's choice", () => {
+            const edge = qXEdge();
+            const manager = new QueryExecutionEdgeManager([edge], { planner: new QueryPlanner(metaKG, stats()) });
+            expect(manager.getNext()).toBe(edge);
+            expect(edge.isReversed()).toBeTruthy();
+            expect(edge.subject.getCurie()).toBeUndefined();
+            expect(edge.subject.held_curie).toEqual(["NCBIGene:1", "NCBIGene:2"]);
+        })
+
+        test("The dryrun execution plan should show the cost estimates", () => {
+            const edge = qXEdge();
+            const planner = new QueryPlanner(metaKG, stats());
+            const edgeConverter = new QEdge2APIEdgeHandler([edge], metaKG);
+            const plannedEdge = new TRAPIQueryHandler()._planEdge(
+                edge, edgeConverter.getMetaXEdges(edge), edgeConverter, planner.estimate(edge),
+            );
+            expect(plannedEdge).toMatchObject({ expected_records: 1000, expected_time_ms: 100, estimated_cost: 1100 });
+            expect(plannedEdge.operations[0]).toMatchObject({ api: "api1", expected_records: 1000, latency_ms: 100, has_stats: true });
+        })
+    })
+
+    describe("Test recording stats", () => {
+        test("Records, inputs and time should be recorded per operation", () => {
+            const stats = new OperationStats({ path: "" });
+            const handler = new BatchEdgeQueryHandler(metaKG, true, { operationStats: stats });
+            const APIEdges = [
+                { ...geneToDisease, original_input: { "NCBIGene:1": "NCBIGene:1", "NCBIGene:2": "NCBIGene:2" } },
+                { ...geneToDisease, association: { ...geneToDisease.association, output_type: "Drug" } },
+            ];
+            const records = [
+                { association: geneToDisease.association },
+                { association: geneToDisease.association },
+                {},
+            ];
+            const logs = [{ data: { type: "query" } }, { data: { type: "query", error: "timeout" } }];
+            handler._recordOperationStats(APIEdges, records, logs, 1000);
+            expect(stats.get(getOperationKey(geneToDisease.association))).toEqual({
+                calls: 1, fan_out: (2 + 2 / 3) / 2, latency_ms: 500, failure_rate: 0.5,
+            });
+            handler._recordOperationStats(APIEdges.slice(0, 1), undefined, [], 1000);
+            expect(stats.get(getOperationKey(geneToDisease.association)).failure_rate).toEqual(0.75);
+        })
+
+        test("Failed calls should be counted from the logs call-apis makes", () => {
+            const stats = new OperationStats({ path: "" });
+            const handler = new BatchEdgeQueryHandler(metaKG, true, { operationStats: stats });
+            const query = '{"url":"https://kp.org/query"}';
+            const logs = [
+                new CallAPIsLogEntry("DEBUG", null, `call-apis: Succesfully made the following query: ${query}`).getLog(),
+                new CallAPIsLogEntry(
+                    "ERROR",
+                    null,
+                    `call-apis: Failed to make to following query: ${query}. The error is Error: Request failed with status code 502`,
+                ).getLog(),
+                new CallAPIsLogEntry("DEBUG", null, "call-apis: Query completes").getLog(),
+            ];
+            handler._recordOperationStats([geneToDisease, geneToDisease], [], logs, 1000);
+            expect(stats.get(getOperationKey(geneToDisease.association)).failure_rate).toEqual(0.5);
+        })
+    })
+})
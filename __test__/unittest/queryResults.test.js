@@ -0,0 +1,71 @@
+const QueryResult = require("../../src/results_assembly/query_results");
+const { record } = require("./fixtures/records");
+
+describe("Test results assembly", () => {
+
+    // n0 (drug) -e0-> n1 (gene) <-e1- n2 (disease), closed by n0 -e2-> n2
+    const triangle = (e2Records) => ({
+        e0: {
+            connected_to: ["e1", "e2"],
+            records: [record("n0", "CHEBI:1", "n1", "NCBIGene:1"), record("n0", "CHEBI:2", "n1", "NCBIGene:1")],
+        },
+        e1: {
+            connected_to: ["e0", "e2"],
+            records: [record("n2", "MONDO:1", "n1", "NCBIGene:1"), record("n2", "MONDO:2", "n1", "NCBIGene:1")],
+        },
+        e2: {
+            connected_to: ["e0", "e1"],
+            records: e2Records,
+        },
+    });
+
+    test("A cycle should only yield results where every qNode has a single consistent binding", async () => {
+        const queryResult = new QueryResult();
+        await queryResult.update(triangle([
+            record("n0", "CHEBI:1", "n2", "MONDO:1"),
+            record("n0", "CHEBI:2", "n2", "MONDO:2"),
+            record("n0", "CHEBI:3", "n2", "MONDO:1"),
+        ]), false);
+        const results = queryResult.getResults();
+        expect(results.length).toEqual(2);
+        const bindings = results
+            .map((result) => ["n0", "n1", "n2"].map((qNodeID) => result.node_bindings[qNodeID][0].id).join(","))
+            .sort();
+        expect(bindings).toEqual(["CHEBI:1,NCBIGene:1,MONDO:1", "CHEBI:2,NCBIGene:1,MONDO:2"]);
+        results.forEach((result) => {
+            expect(Object.keys(result.edge_bindings).sort()).toEqual(["e0", "e1", "e2"]);
+            Object.values(result.node_bindings).forEach((nodeBindings) => expect(nodeBindings.length).toEqual(1));
+        });
+    })
+
+    test("A cycle that can't be closed should yield no results", async () => {
+        const queryResult = new QueryResult();
+        await queryResult.update(triangle([record("n0", "CHEBI:3", "n2", "MONDO:1")]), false);
+        expect(queryResult.getResults()).toEqual([]);
+    })
+
+    test("A self-loop should bind both ends to the same curie", async () => {
+        const queryResult = new QueryResult();
+        await queryResult.update({
+            e0: {
+                connected_to: [],
+                records: [record("n0", "NCBIGene:1", "n0", "NCBIGene:1"), record("n0", "NCBIGene:1", "n0", "NCBIGene:2")],
+            },
+        }, false);
+        const results = queryResult.getResults();
+        expect(results.length).toEqual(1);
+        expect(results[0].node_bindings.n0).toEqual([{ id: "NCBIGene:1" }]);
+    })
+
+    test("Trees should still be assembled from a leaf qNode", async () => {
+        const queryResult = new QueryResult();
+        await queryResult.update({
+            e0: { connected_to: ["e1"], records: [record("n0", "CHEBI:1", "n1", "NCBIGene:1")] },
+            e1: {
+                connected_to: ["e0"],
+                records: [record("n1", "NCBIGene:1", "n2", "MONDO:1"), record("n1", "NCBIGene:1", "n2", "MONDO:2")],
+            },
+        }, false);
+        expect(queryResult.getResults().length).toEqual(2);
+    })
+})
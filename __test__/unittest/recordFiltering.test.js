@@ -0,0 +1,87 @@
+const QEdge = require("../../src/query_edge");
+const QNode = require("../../src/query_node");
+const QueryExecutionEdge = require("../../src/query_execution_edge");
+const QueryExecutionEdgeManager = require("../../src/edge_manager");
+
+describe("Test record filtering", () => {
+    const recordNode = (original, normalizedInfo) => ({ original, normalizedInfo });
+    const geneNode = (i) => recordNode(`NCBIGene:${i}`, [{ _dbIDs: { NCBIGene: [String(i)], SYMBOL: `GENE${i}` } }]);
+    const diseaseNode = (i) => recordNode(`MONDO:${i}`, [{ _dbIDs: { MONDO: [`MONDO:${i}`] } }]);
+    const qXEdge = (geneIDs, diseaseIDs, reverse = false) => {
+        const subject = new QNode("n0", { ids: geneIDs });
+        const object = new QNode("n1", { ids: diseaseIDs });
+        return new QueryExecutionEdge(new QEdge("e0", { subject, object }), reverse);
+    };
+    const filter = (edge) => new QueryExecutionEdgeManager([edge])._filterEdgeRecords(edge);
+
+    describe("Test matching", () => {
+        test("Records should be kept only if both ends match their qNode", () => {
+            const edge = qXEdge(["NCBIGene:1"], ["MONDO:1"]);
+            const kept = { subject: geneNode(1), object: diseaseNode(1) };
+            edge.records = [
+                kept,
+                { subject: geneNode(1), object: diseaseNode(2) },
+                { subject: geneNode(2), object: diseaseNode(1) },
+            ];
+            expect(filter(edge)).toEqual([kept]);
+        })
+
+        test("Record ids should be matched by curie, or original if nothing else is known", () => {
+            const edge = qXEdge(["NCBIGene:1"], ["MONDO:1"]);
+            edge.records = [
+                { subject: recordNode("x", [{ curie: "NCBIGene:1" }]), object: recordNode("MONDO:1", [{}]) },
+                { subject: recordNode("x", [{ curie: "NCBIGene:2" }]), object: recordNode("MONDO:1", [{}]) },
+            ];
+            expect(filter(edge).length).toEqual(1);
+        })
+
+        test("qNode curies should be matched by any of their aliases", () => {
+            const edge = qXEdge(["NCBIGene:1"], ["MONDO:1"]);
+            edge.subject.expanded_curie = { "NCBIGene:1": ["NCBIGene:1", "SYMBOL:GENE1"] };
+            edge.records = [{ subject: recordNode("x", [{ curie: "SYMBOL:GENE1" }]), object: diseaseNode(1) }];
+            expect(filter(edge).length).toEqual(1);
+        })
+
+        test("Records of reversed edges should be matched against the swapped qNodes", () => {
+            const edge = qXEdge(["NCBIGene:1"], ["MONDO:1"], true);
+            edge.records = [{ subject: diseaseNode(1), object: geneNode(1) }, { subject: geneNode(1), object: diseaseNode(1) }];
+            expect(filter(edge)).toEqual([edge.records[0]]);
+        })
+    })
+
+    describe("Test curie index", () => {
+        test("The index should map aliases to main ids and follow changes to the curies", () => {
+            const qNode = new QNode("n0", { ids: ["NCBIGene:1"] });
+            expect(qNode.getCurieIndex().get("NCBIGene:1")).toEqual("NCBIGene:1");
+            qNode.updateCuries({ "NCBIGene:1": ["NCBIGene:1", "HGNC:5"], "NCBIGene:2": ["NCBIGene:2"] });
+            expect(qNode.getCurie()).toEqual(["NCBIGene:1"]);
+            expect(qNode.getCurieIndex().get("HGNC:5")).toEqual("NCBIGene:1");
+            expect(qNode.getCurieIndex().has("NCBIGene:2")).toBeFalsy();
+        })
+    })
+
+    describe("Benchmark", () => {
+        test("Filtering 50k records against 25k curies should take well under the old quadratic time", () => {
+            const recordCount = 50000;
+            const edge = qXEdge(
+                Array.from({ length: recordCount / 2 }, (_, i) => `NCBIGene:${i * 2}`),
+                Array.from({ length: 100 }, (_, i) => `MONDO:${i}`),
+            );
+            edge.records = Array.from({ length: recordCount }, (_, i) => ({
+                subject: geneNode(i),
+                object: diseaseNode(i % 200),
+            }));
+            const start = Date.now();
+            const kept = filter(edge);
+            const firstPass = Date.now() - start;
+            // even genes with one of the first 100 diseases
+            expect(kept.length).toEqual(recordCount / 4);
+            // intersecting each record with the whole curie list was quadratic here
+            expect(firstPass).toBeLessThan(5000);
+            edge.records = kept;
+            const repeated = Date.now();
+            expect(filter(edge).length).toEqual(recordCount / 4);
+            expect(Date.now() - repeated).toBeLessThan(5000);
+        })
+    })
+})
@@ -0,0 +1,117 @@
+const QEdge = require("../../src/query_edge");
+const QNode = require("../../src/query_node");
+const QueryExecutionEdge = require("../../src/query_execution_edge");
+const { TRAPIQueryHandler } = require("../../src/index");
+const biolink = require("../../src/biolink");
+
+describe("Test query relaxation", () => {
+    const queryExecutionEdges = (info = {}) => {
+        const subject = new QNode("n0", { ids: ["NCBIGene:1"] });
+        const object = new QNode("n1", { categories: ["biolink:SmallMolecule"] });
+        return { e0: [new QueryExecutionEdge(new QEdge("e0", { subject, object, predicates: ["biolink:treats"], ...info }))] };
+    };
+    // answers only once the qEdge has been relaxed to the given level
+    const run = async (options, answersAt) => {
+        const handler = new TRAPIQueryHandler(options);
+        const queried = [];
+        handler._queryQXEdge = jest.fn(async (qXEdge) => {
+            queried.push({
+                predicate: qXEdge.qEdge.predicate,
+                expanded: qXEdge.qEdge.expanded_predicates,
+                category: qXEdge.getOutputNode().category,
+            });
+            const levels = handler.relaxations.map(({ relaxation }) => relaxation);
+            const queryRecords = levels.includes(answersAt) ? [{}] : [];
+            return { handler: { logs: [], timedOutAPIs: [] }, queryRecords };
+        });
+        const stored = [];
+        handler._storeQXEdgeRecords = jest.fn((manager, qXEdge, queryHandler, queryRecords) => {
+            stored.push(queryRecords.length);
+            qXEdge.executed = true;
+            return "continue";
+        });
+        handler._initializeResponse();
+        const edges = queryExecutionEdges(options.edgeInfo);
+        await handler._executeQXEdges(edges, {}, {});
+        return { handler, queried, stored, qEdge: edges.e0[0].qEdge };
+    };
+
+    test("Biolink parents should be looked up, up to the root", () => {
+        expect(biolink.getParentPredicate("treats")).toEqual("ameliorates");
+        expect(biolink.getParentPredicate("related_to")).toBeUndefined();
+        expect(biolink.getParentClass("SmallMolecule")).toEqual("MolecularEntity");
+        expect(biolink.getParentClass("NamedThing")).toBeUndefined();
+    })
+
+    test("Without options.relax, qEdges should be queried once", async () => {
+        const { handler, queried, stored } = await run({}, "parent_predicate");
+        expect(queried.length).toEqual(1);
+        expect(stored).toEqual([0]);
+        expect(handler.getResponse().relaxations).toBeUndefined();
+    })
+
+    test("Relaxation should stop at the first level which gets records", async () => {
+        const { handler, queried, stored } = await run({ relax: true }, "parent_category");
+        expect(queried.map(({ predicate, category }) => ({ predicate, category }))).toEqual([
+            { predicate: ["biolink:treats"], category: ["biolink:SmallMolecule"] },
+            { predicate: ["biolink:ameliorates"], category: ["biolink:SmallMolecule"] },
+            { predicate: ["biolink:ameliorates"], category: ["biolink:MolecularEntity"] },
+        ]);
+        expect(stored).toEqual([1]);
+        expect(handler.getResponse().relaxations).toEqual([
+            { qEdgeID: "e0", relaxation: "parent_predicate", from: ["biolink:treats"], to: ["biolink:ameliorates"] },
+            { qEdgeID: "e0", relaxation: "parent_category", from: ["biolink:SmallMolecule"], to: ["biolink:MolecularEntity"] },
+        ]);
+        expect(handler.logs.filter(({ level }) => level === "WARNING").length).toEqual(2);
+    })
+
+    test("Every level should be tried, and levels changing nothing skipped", async () => {
+        const { handler, queried, stored, qEdge } = await run({ relax: true, edgeInfo: { predicates: ["biolink:related_to"] } });
+        expect(queried.length).toEqual(3);
+        expect(stored).toEqual([0]);
+        expect(handler.relaxations.map(({ relaxation }) => relaxation)).toEqual(["parent_category", "no_predicate"]);
+        expect(queried[2].predicate).toBeUndefined();
+        expect(queried[2].expanded).toBeUndefined();
+        // a copy of the qEdge was relaxed
+        expect(qEdge.predicate).toEqual(["biolink:related_to"]);
+        expect(qEdge.object.category).toEqual(["biolink:SmallMolecule"]);
+    })
+
+    test("Relaxing a category should leave the qEdges sharing its qNode as they were", async () => {
+        const shared = new QNode("n1", { categories: ["biolink:SmallMolecule"] });
+        const e0 = new QueryExecutionEdge(new QEdge("e0", {
+            subject: new QNode("n0", { ids: ["NCBIGene:1"] }),
+            object: shared,
+            predicates: ["biolink:related_to"],
+        }));
+        const e1 = new QueryExecutionEdge(new QEdge("e1", { subject: new QNode("n2", { ids: ["MONDO:1"] }), object: shared }));
+        const categories = e1.getOutputNode().getCategories();
+        const found = {
+            subject: { original: "NCBIGene:1", normalizedInfo: [{ _leafSemanticType: "Gene", _dbIDs: { NCBIGene: ["NCBIGene:1"] } }] },
+            object: { original: "CHEBI:1", normalizedInfo: [{ _leafSemanticType: "MolecularEntity", _dbIDs: { CHEBI: ["CHEBI:1"] } }] },
+        };
+        const handler = new TRAPIQueryHandler({ relax: true });
+        handler._initializeResponse();
+        const queried = [];
+        handler._queryQXEdge = jest.fn(async (qXEdge) => {
+            queried.push(qXEdge.getOutputNode().category);
+            const queryRecords = qXEdge.getOutputNode().category.includes("biolink:MolecularEntity") ? [found] : [];
+            return { handler: { logs: [], timedOutAPIs: [] }, queryRecords };
+        });
+        const { queryRecords } = await handler._relaxQXEdge(e0, {}, {}, { handler: { logs: [] }, queryRecords: [] });
+        expect(queried).toEqual([["biolink:MolecularEntity"]]);
+        expect(shared.category).toEqual(["biolink:SmallMolecule"]);
+        expect(e0.getOutputNode()).toBe(shared);
+        expect(e1.getOutputNode().getCategories()).toEqual(categories);
+        // the records found under the widened category still narrow down the shared qNode
+        e0.storeRecords(queryRecords);
+        expect(shared.getCurie()).toEqual(["CHEBI:1"]);
+    })
+
+    test("Excluded and optional qEdges should not be relaxed", async () => {
+        const excluded = await run({ relax: true, edgeInfo: { exclude: true } }, "parent_predicate");
+        expect(excluded.queried.length).toEqual(1);
+        const optional = await run({ relax: true, edgeInfo: { option_group_id: "a" } }, "parent_predicate");
+        expect(optional.queried.length).toEqual(1);
+    })
+})
@@ -0,0 +1,151 @@
+jest.mock("@biothings-explorer/api-response-transform", () => {
+    // records as frozen and thawed by api-response-transform, reversed to run along their qEdge
+    class Record {
+        constructor(record, config = {}, apiEdge = undefined, qXEdge = undefined) {
+            Object.assign(this, record);
+            this.config = config;
+            this.qXEdge = qXEdge;
+        }
+
+        freeze() {
+            const { config, qXEdge, ...frozen } = this;
+            return frozen;
+        }
+
+        queryDirection() {
+            if (!this.qXEdge?.isReversed()) {
+                return this;
+            }
+            return new Record({ ...this.freeze(), subject: this.object, object: this.subject }, this.config, undefined, this.qXEdge);
+        }
+    }
+    return { ...jest.requireActual("@biothings-explorer/api-response-transform"), Record };
+});
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Record } = require("@biothings-explorer/api-response-transform");
+const { buildQXEdges, findQXEdge, loadRecordDump } = require("../../src/replay");
+const { TRAPIQueryHandler } = require("../../src/index");
+
+describe("Test replay of dumped records", () => {
+    const queryGraph = {
+        nodes: {
+            n0: { categories: ["biolink:Gene"], ids: ["NCBIGene:1017"] },
+            n1: { categories: ["biolink:Disease"] },
+            n2: { categories: ["biolink:ChemicalEntity"] },
+        },
+        edges: {
+            e0: { subject: "n0", object: "n1", predicates: ["biolink:causes"] },
+            e1: { subject: "n0", object: "n1", predicates: ["biolink:treats"] },
+            e2: { subject: "n2", object: "n1" },
+        },
+    };
+
+    test("qEdges should be built with connections and without resolving IDs", () => {
+        const qXEdges = buildQXEdges(queryGraph);
+        expect(Object.keys(qXEdges)).toEqual(["e0", "e1", "e2"]);
+        expect(qXEdges.e2.forward.object.getConnections()).toEqual(["e0", "e1", "e2"]);
+        expect(qXEdges.e2.reversed.isReversed()).toBeTruthy();
+    })
+
+    test("Records should be matched to their qEdge and direction", () => {
+        const qXEdges = buildQXEdges(queryGraph);
+        const forward = findQXEdge({ subject: { qNodeID: "n2" }, object: { qNodeID: "n1" } }, qXEdges);
+        expect(forward.getID()).toEqual("e2");
+        expect(forward.isReversed()).toBeFalsy();
+        const reversed = findQXEdge({ subject: { qNodeID: "n1" }, object: { qNodeID: "n2" } }, qXEdges);
+        expect(reversed.getID()).toEqual("e2");
+        expect(reversed.isReversed()).toBeTruthy();
+        expect(findQXEdge({ subject: { qNodeID: "n0" }, object: { qNodeID: "n2" } }, qXEdges)).toBeUndefined();
+    })
+
+    test("Predicates should pick between qEdges connecting the same qNodes", () => {
+        const qXEdges = buildQXEdges(queryGraph);
+        const record = { subject: { qNodeID: "n0" }, object: { qNodeID: "n1" }, predicate: "biolink:treats" };
+        expect(findQXEdge(record, qXEdges).getID()).toEqual("e1");
+    })
+
+    describe("Test replaying a record dump", () => {
+        const OLD_ENV = process.env;
+        let dir;
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), "replay-"));
+            process.env = { ...OLD_ENV, DUMP_RECORDS: dir };
+        });
+        afterEach(() => {
+            process.env = OLD_ENV;
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+        const replayGraph = {
+            nodes: {
+                n0: { categories: ["biolink:Gene"], ids: ["NCBIGene:1017"] },
+                n1: { categories: ["biolink:Disease"] },
+            },
+            edges: {
+                e0: { subject: "n0", object: "n1", predicates: ["biolink:causes"] },
+            },
+        };
+        const record = (subject, object, api) => new Record({
+            api,
+            recordHash: `${subject[1]}-${object[1]}-${api}`,
+            metaEdgeSource: "infores:source",
+            predicate: "biolink:causes",
+            subject: { qNodeID: subject[0], curie: subject[1] },
+            object: { qNodeID: object[0], curie: object[1] },
+            publications: ["PMID:1"],
+            mappedResponse: {},
+        });
+        // dumped the way a query does, then read back
+        const dump = async (records) => {
+            await new TRAPIQueryHandler().dumpRecords(records);
+            return path.join(dir, fs.readdirSync(dir)[0]);
+        };
+
+        test("Dumped records should be organized by qEdge, in the direction of the query graph", async () => {
+            const filePath = await dump([
+                record(["n0", "NCBIGene:1017"], ["n1", "MONDO:1"], "API1"),
+                // dumped in execution direction
+                record(["n1", "MONDO:2"], ["n0", "NCBIGene:1017"], "API2"),
+                record(["n0", "NCBIGene:1017"], ["n5", "MONDO:3"], "API3"),
+            ]);
+            const { records, recordsByQEdgeID, logs } = await loadRecordDump(filePath, replayGraph);
+            expect(records.length).toEqual(2);
+            expect(recordsByQEdgeID.e0.records).toEqual(records);
+            expect(recordsByQEdgeID.e0.connected_to).toEqual([]);
+            records.forEach((replayed) => {
+                expect(replayed.subject.qNodeID).toEqual("n0");
+                expect(replayed.subject.curie).toEqual("NCBIGene:1017");
+            });
+            expect(records.map((replayed) => replayed.object.curie).sort()).toEqual(["MONDO:1", "MONDO:2"]);
+            expect(logs[0]).toMatchObject({
+                level: "WARNING",
+                message: `Replaying (2) records from ${filePath}; (1) records didn't match any qEdge and were skipped.`,
+            });
+        })
+
+        test("A replayed dump should give the response of the dumped query", async () => {
+            const filePath = await dump([
+                record(["n0", "NCBIGene:1017"], ["n1", "MONDO:1"], "API1"),
+                record(["n0", "NCBIGene:1017"], ["n1", "MONDO:2"], "API2"),
+            ]);
+            const handler = new TRAPIQueryHandler();
+            handler.setQueryGraph(replayGraph);
+            await handler.replay(filePath);
+            const response = handler.getResponse();
+            expect(Object.keys(response.message.knowledge_graph.nodes).sort()).toEqual(["MONDO:1", "MONDO:2", "NCBIGene:1017"]);
+            expect(Object.keys(response.message.knowledge_graph.edges).length).toEqual(2);
+            expect(response.message.results.length).toEqual(2);
+            response.message.results.forEach((result) => {
+                expect(result.node_bindings.n0).toEqual([{ id: "NCBIGene:1017" }]);
+            });
+            expect(response.logs.map(({ message }) => message)).toContain(
+                "Replay Summary: (3) nodes / (2) edges / (2) results from (2) dumped records",
+            );
+        })
+
+        test("Replaying should require the query graph of the dumped query", async () => {
+            await expect(new TRAPIQueryHandler().replay(await dump([]))).rejects.toThrow(/query graph of the dumped query/);
+        })
+    })
+})
@@ -0,0 +1,111 @@
+const QNode = require("../../src/query_node");
+const QueryResult = require("../../src/results_assembly/query_results");
+const InvalidQueryGraphError = require("../../src/exceptions/invalid_query_graph_error");
+
+describe("Test set_interpretation", () => {
+    describe("Test QNode", () => {
+        test("Nodes should default to BATCH, and is_set should mean MANY", () => {
+            expect(new QNode("n0", { ids: ["NCBIGene:1"] }).getSetInterpretation()).toEqual("BATCH");
+            const legacySet = new QNode("n0", { is_set: true });
+            expect(legacySet.getSetInterpretation()).toEqual("MANY");
+            expect(legacySet.isSet()).toBeTruthy();
+        })
+
+        test("Members of a set node should be queried in place of its set id", () => {
+            const qNode = new QNode("n0", {
+                ids: ["uuid:1"],
+                member_ids: ["NCBIGene:1", "NCBIGene:2"],
+                set_interpretation: "ALL",
+            });
+            expect(qNode.getCurie()).toEqual(["NCBIGene:1", "NCBIGene:2"]);
+            expect(qNode.entity_count).toEqual(2);
+            expect(qNode.isSet()).toBeTruthy();
+        })
+
+        test("Invalid set interpretations and misplaced member_ids should be rejected", () => {
+            expect(() => new QNode("n0", { set_interpretation: "SOME" })).toThrow(InvalidQueryGraphError);
+            expect(() => new QNode("n0", { member_ids: ["NCBIGene:1"] })).toThrow(/require set_interpretation ALL or MANY/);
+            expect(() => new QNode("n0", { set_interpretation: "MANY", member_ids: "NCBIGene:1" })).toThrow(/must be a list/);
+        })
+    })
+
+    describe("Test results assembly", () => {
+        const record = (geneCurie, diseaseCurie) => ({
+            subject: { qNodeID: "n0", curie: geneCurie, equivalentCuries: [geneCurie, `alias-${geneCurie}`] },
+            object: { qNodeID: "n1", curie: diseaseCurie },
+            recordHash: `${geneCurie}-${diseaseCurie}`,
+        });
+        // NCBIGene:1 & NCBIGene:2 both link to MONDO:1, only NCBIGene:1 links to MONDO:2
+        const recordsByQEdgeID = () => ({
+            e0: {
+                connected_to: [],
+                records: [record("NCBIGene:1", "MONDO:1"), record("NCBIGene:2", "MONDO:1"), record("NCBIGene:1", "MONDO:2")],
+            },
+        });
+        const queryGraph = (n0) => ({
+            nodes: { n0, n1: { categories: ["biolink:Disease"] } },
+            edges: { e0: { subject: "n0", object: "n1" } },
+        });
+        const diseases = (results) => results.map((result) => result.node_bindings.n1[0].id).sort();
+
+        test("BATCH should give a result per member", async () => {
+            const queryResult = new QueryResult();
+            await queryResult.update(recordsByQEdgeID(), false, queryGraph({ ids: ["NCBIGene:1", "NCBIGene:2"] }));
+            expect(queryResult.getResults().length).toEqual(3);
+            expect(queryResult.getAuxiliaryGraphs()).toEqual({});
+        })
+
+        test("MANY should collapse members linking to the same partner into one result", async () => {
+            const queryResult = new QueryResult();
+            await queryResult.update(recordsByQEdgeID(), false, queryGraph({
+                ids: ["uuid:1"], member_ids: ["NCBIGene:1", "NCBIGene:2"], set_interpretation: "MANY",
+            }));
+            const results = queryResult.getResults();
+            expect(diseases(results)).toEqual(["MONDO:1", "MONDO:2"]);
+            const collapsed = results.find((result) => result.node_bindings.n1[0].id === "MONDO:1");
+            expect(collapsed.node_bindings.n0.map(({ id }) => id).sort()).toEqual(["NCBIGene:1", "NCBIGene:2"]);
+            const [auxiliaryGraphID] = collapsed.node_bindings.n0[0].attributes[0].value;
+            const auxiliaryGraph = queryResult.getAuxiliaryGraphs()[auxiliaryGraphID];
+            expect(auxiliaryGraph.edges.sort()).toEqual(["NCBIGene:1-MONDO:1", "NCBIGene:2-MONDO:1"]);
+            expect(auxiliaryGraph.attributes).toContainEqual({ attribute_type_id: "biolink:member_ids", value: ["NCBIGene:1", "NCBIGene:2"] });
+        })
+
+        test("ALL should only keep partners linked to every pinned member", async () => {
+            const queryResult = new QueryResult();
+            await queryResult.update(recordsByQEdgeID(), false, queryGraph({
+                ids: ["uuid:1"], member_ids: ["NCBIGene:1", "NCBIGene:2"], set_interpretation: "ALL",
+            }));
+            expect(diseases(queryResult.getResults())).toEqual(["MONDO:1"]);
+        })
+
+        test("Results rejected by ALL shouldn't leave the auxiliary graphs of other set nodes behind", async () => {
+            const queryResult = new QueryResult();
+            await queryResult.update(recordsByQEdgeID(), false, {
+                // the MANY node is checked first, MONDO:3 links to nothing so every result is rejected
+                nodes: {
+                    n0: { categories: ["biolink:Gene"], set_interpretation: "MANY" },
+                    n1: { ids: ["uuid:1"], member_ids: ["MONDO:1", "MONDO:3"], set_interpretation: "ALL" },
+                },
+                edges: { e0: { subject: "n0", object: "n1" } },
+            });
+            expect(queryResult.getResults()).toEqual([]);
+            expect(queryResult.getAuxiliaryGraphs()).toEqual({});
+        })
+
+        test("ALL should recognize members pinned by an equivalent id", async () => {
+            const queryResult = new QueryResult();
+            await queryResult.update(recordsByQEdgeID(), false, queryGraph({
+                ids: ["alias-NCBIGene:1"], set_interpretation: "ALL",
+            }));
+            expect(diseases(queryResult.getResults())).toEqual(["MONDO:1", "MONDO:2"]);
+        })
+
+        test("Records marked as sets should still be collapsed without a query graph", async () => {
+            const queryResult = new QueryResult();
+            const records = recordsByQEdgeID();
+            records.e0.records.forEach((rec) => { rec.subject.isSet = true; });
+            await queryResult.update(records, false);
+            expect(queryResult.getResults().length).toEqual(2);
+        })
+    })
+})
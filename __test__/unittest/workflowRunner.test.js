@@ -0,0 +1,114 @@
+const WorkflowRunner = require("../../src/workflow_runner");
+const QueryResult = require("../../src/results_assembly/query_results");
+const InvalidQueryGraphError = require("../../src/exceptions/invalid_query_graph_error");
+
+describe("Test WorkflowRunner", () => {
+    const getFixture = () => {
+        const results = [
+            { node_bindings: { n0: [{ id: "A" }], n1: [{ id: "X" }] }, edge_bindings: { e0: [{ id: "AX" }] }, score: 0.2 },
+            { node_bindings: { n0: [{ id: "A" }], n1: [{ id: "Y" }] }, edge_bindings: { e0: [{ id: "AY" }] }, score: 0.9 },
+            { node_bindings: { n0: [{ id: "A" }], n1: [{ id: "Z" }] }, edge_bindings: { e0: [{ id: "AZ" }] }, score: 0.5 },
+        ];
+        const edge = (object, value) => ({
+            subject: "A",
+            object,
+            attributes: [{ attribute_type_id: "weight", value }],
+        });
+        const knowledgeGraph = {
+            nodes: { A: {}, X: {}, Y: {}, Z: {}, orphan: {} },
+            edges: { AX: edge("X", 1), AY: edge("Y", 3), AZ: edge("Z", [2, "5"]), orphanEdge: { subject: "A", object: "orphan" } },
+        };
+        const assembler = {
+            results,
+            getResults() { return this.results; },
+            setResults(results) { this.results = results; },
+        };
+        return { assembler, knowledgeGraph };
+    };
+
+    test("Workflows without lookup should run lookup first", () => {
+        const runner = new WorkflowRunner([{ id: "sort_results_score" }]);
+        expect(runner.workflow.map(({ id }) => id)).toEqual(["lookup", "sort_results_score"]);
+        expect(new WorkflowRunner().workflow).toEqual([{ id: "lookup" }]);
+    })
+
+    test("Unsupported operations and invalid parameters should be rejected", () => {
+        expect(() => new WorkflowRunner([{ id: "lookup" }, { id: "overlay_connect_knodes" }])).toThrow(InvalidQueryGraphError);
+        expect(() => new WorkflowRunner([{ id: "sort_results_score" }, { id: "lookup" }])).toThrow(InvalidQueryGraphError);
+        expect(() => new WorkflowRunner([{ id: "filter_results_top_n", parameters: { max_results: -1 } }])).toThrow(InvalidQueryGraphError);
+        expect(() => new WorkflowRunner([{ id: "filter_kgraph_top_n", parameters: {} }])).toThrow(InvalidQueryGraphError);
+    })
+
+    test("Results should be sorted and cut to the top n", () => {
+        const { assembler, knowledgeGraph } = getFixture();
+        const runner = new WorkflowRunner([
+            { id: "lookup" },
+            { id: "sort_results_score", parameters: { ascending_or_descending: "ascending" } },
+            { id: "filter_results_top_n", parameters: { max_results: 2 } },
+        ]);
+        runner.run(assembler, knowledgeGraph);
+        expect(assembler.getResults().map(({ score }) => score)).toEqual([0.2, 0.5]);
+        expect(runner.executed.map(({ id }) => id)).toEqual(["lookup", "sort_results_score", "filter_results_top_n"]);
+    })
+
+    test("Auxiliary graphs of the results filtered out should be removed", () => {
+        const { assembler: fixture, knowledgeGraph } = getFixture();
+        const supported = (result, auxiliaryGraphID) => ({
+            ...result,
+            node_bindings: {
+                ...result.node_bindings,
+                n0: [{ id: "A", attributes: [{ attribute_type_id: "biolink:support_graphs", value: [auxiliaryGraphID] }] }],
+            },
+        });
+        const auxiliaryGraph = (edges) => ({ edges, attributes: [] });
+        const assembler = new QueryResult();
+        assembler.setResults(fixture.results.map((result, i) => supported(result, `n0-${i}`)), {
+            "n0-0": auxiliaryGraph(["AX"]),
+            "n0-1": auxiliaryGraph(["AY"]),
+            "n0-2": auxiliaryGraph(["AZ"]),
+        });
+        new WorkflowRunner([{ id: "filter_results_top_n", parameters: { max_results: 1 } }]).run(assembler, knowledgeGraph);
+        expect(assembler.getResults().map(({ score }) => score)).toEqual([0.2]);
+        expect(assembler.getAuxiliaryGraphs()).toEqual({ "n0-0": auxiliaryGraph(["AX"]) });
+    })
+
+    test("Unbound nodes and edges should be removed as orphans", () => {
+        const { assembler, knowledgeGraph } = getFixture();
+        new WorkflowRunner([{ id: "filter_kgraph_orphans" }]).run(assembler, knowledgeGraph);
+        expect(Object.keys(knowledgeGraph.nodes)).toEqual(["A", "X", "Y", "Z"]);
+        expect(Object.keys(knowledgeGraph.edges)).toEqual(["AX", "AY", "AZ"]);
+    })
+
+    test("Top n edges should be kept along with the results still fully bound", () => {
+        const { assembler, knowledgeGraph } = getFixture();
+        new WorkflowRunner([
+            { id: "filter_kgraph_top_n", parameters: { edge_attribute: "weight", max_edges: 2 } },
+        ]).run(assembler, knowledgeGraph);
+        expect(Object.keys(knowledgeGraph.edges)).toEqual(["AY", "AZ", "orphanEdge"]);
+        expect(knowledgeGraph.nodes).not.toHaveProperty("X");
+        expect(assembler.getResults().map(({ edge_bindings }) => edge_bindings.e0[0].id)).toEqual(["AY", "AZ"]);
+    })
+
+    test("Edges below the percentile should be removed", () => {
+        const { assembler, knowledgeGraph } = getFixture();
+        new WorkflowRunner([
+            { id: "filter_kgraph_percentile", parameters: { edge_attribute: "weight", threshold: 50 } },
+        ]).run(assembler, knowledgeGraph);
+        expect(Object.keys(knowledgeGraph.edges)).toEqual(["AY", "AZ", "orphanEdge"]);
+        expect(assembler.getResults()).toHaveLength(2);
+    })
+
+    test("Nodes bound in many results should be flagged as enriched", () => {
+        const { assembler, knowledgeGraph } = getFixture();
+        assembler.setResults([
+            ...Array(20).fill({ node_bindings: { n1: [{ id: "X" }] }, edge_bindings: {}, score: 0 }),
+            { node_bindings: { n1: [{ id: "Y" }] }, edge_bindings: {}, score: 0 },
+        ]);
+        new WorkflowRunner([{ id: "enrich_results", parameters: { pvalue_threshold: 0.01, qnode_keys: ["n1"] } }])
+            .run(assembler, knowledgeGraph);
+        const results = assembler.getResults();
+        expect(results[0].node_bindings.n1[0].attributes[0].attribute_type_id).toEqual("biolink:p_value");
+        expect(results[0].node_bindings.n1[0].attributes[0].value).toBeLessThan(0.01);
+        expect(results[20].node_bindings.n1[0]).not.toHaveProperty("attributes");
+    })
+})
@@ -0,0 +1,267 @@
+const debug = require('debug')('bte:biothings-explorer-trapi:api-policy');
+const config = require('./config');
+const utils = require('./utils');
+const BTEError = require('./exceptions/bte_error');
+
+const LIMITS = ['maxBatchSize', 'maxConcurrent', 'requestsPerSecond'];
+// the API is overloaded: payload too large, too many requests, or a server error
+const isOverloadStatus = (status) => status === 413 || status === 429 || (status >= 500 && status < 600);
+
+// messages call-apis logs each query it makes with
+const QUERY_SUCCEEDED = /^call-apis: Succes+fully made the following query/;
+const QUERY_FAILED = /^call-apis: Failed to make to following query/;
+
+/**
+ * HTTP status of a failed API query, from its call-apis log
+ * @param {object} log - a failed query's log, an ERROR log or one of data.type 'query'
+ * @return {number|undefined} undefined if the query succeeded or the status isn't known
+ */
+const getQueryLogStatus = (log) => {
+  if (!log.data?.error && log.level !== 'ERROR') {
+    return undefined;
+  }
+  if (log.data?.status !== undefined) {
+    return Number(log.data.status);
+  }
+  // as in axios' "Request failed with status code 429"
+  const match = /status code (\d{3})/.exec(`${log.data?.error ?? ''} ${log.message}`);
+  return match ? Number(match[1]) : undefined;
+};
+
+/**
+ * Outcome of an API query, from its call-apis log
+ * @param {object} log - any log of call-apis
+ * @return {object|undefined} {failed, status}, undefined if the log isn't on the outcome of a query
+ */
+const getQueryOutcome = (log) => {
+  if (log.data?.type === 'query') {
+    return { failed: Boolean(log.data.error), status: getQueryLogStatus(log) };
+  }
+  if (QUERY_SUCCEEDED.test(log.message)) {
+    return { failed: false, status: undefined };
+  }
+  if (log.level === 'ERROR' && QUERY_FAILED.test(log.message)) {
+    return { failed: true, status: getQueryLogStatus(log) };
+  }
+  return undefined;
+};
+
+/**
+ * How one API is queried: batch size, concurrent requests and request rate.
+ * The batch size adapts to the API: it's halved when the API is overloaded
+ * and doubled again after API_BATCH_GROW_AFTER successful requests in a row.
+ */
+class APIPolicy {
+  /**
+   * @param {string} apiName
+   * @param {object} limits - {maxBatchSize, maxConcurrent, requestsPerSecond}, unlimited if not given
+   * @param {string[]} identifiers - names the API's limits are set by, see utils.getAPIIdentifiers
+   */
+  constructor(apiName, limits = {}, identifiers = [apiName]) {
+    this.apiName = apiName;
+    this.identifiers = identifiers;
+    this.setLimits(limits);
+    // batch size the API was shrunk to, undefined while it handles full batches
+    this.batchSize = undefined;
+    // batch size the API first failed at, which it's grown back to at most
+    this._shrunkFrom = undefined;
+    this.successes = 0;
+    this._running = 0;
+    this._waiting = [];
+    this._nextStart = 0;
+  }
+
+  /**
+   * @param {object} limits - {maxBatchSize, maxConcurrent, requestsPerSecond}, unlimited if not given
+   */
+  setLimits({ maxBatchSize = Infinity, maxConcurrent = Infinity, requestsPerSecond = Infinity } = {}) {
+    this.maxBatchSize = maxBatchSize;
+    this.maxConcurrent = maxConcurrent;
+    this.requestsPerSecond = requestsPerSecond;
+    if (this.batchSize >= maxBatchSize) {
+      this.batchSize = undefined;
+    }
+  }
+
+  /**
+   * Whether requests to the API have to be sent one by one, to keep to its limits
+   */
+  isThrottled() {
+    return this.maxConcurrent !== Infinity || this.requestsPerSecond !== Infinity;
+  }
+
+  /**
+   * Max number of inputs per request to the API
+   * @param {number} batchSize - max the API's operation supports, Infinity if unlimited
+   */
+  getBatchSize(batchSize = Infinity) {
+    return Math.min(batchSize, this.maxBatchSize, this.batchSize ?? Infinity);
+  }
+
+  /**
+   * Run a request to the API once there's a free slot and the request rate allows it
+   * @param {function} request - returning a promise
+   */
+  async run(request) {
+    await this._acquire();
+    try {
+      return await request();
+    } finally {
+      this._release();
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _acquire() {
+    if (this._running < this.maxConcurrent) {
+      this._running++;
+    } else {
+      // the slot is handed over by _release
+      await new Promise((resolve) => this._waiting.push(resolve));
+    }
+    if (this.requestsPerSecond !== Infinity) {
+      const start = Math.max(this._nextStart, Date.now());
+      this._nextStart = start + 1000 / this.requestsPerSecond;
+      await new Promise((resolve) => setTimeout(resolve, start - Date.now()));
+    }
+  }
+
+  /**
+   * @private
+   */
+  _release() {
+    const next = this._waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this._running--;
+    }
+  }
+
+  /**
+   * Adapt the batch size to the outcome of the queries of a request
+   * @param {object[]} logs - call-apis logs of the request
+   * @param {number} inputCount - inputs the request was sent with
+   * @return {string[]} messages on any changes to the batch size
+   */
+  recordOutcome(logs, inputCount) {
+    const messages = [];
+    logs
+      .map(getQueryOutcome)
+      .filter(Boolean)
+      .forEach(({ failed, status }) => {
+        if (isOverloadStatus(status)) {
+          this.successes = 0;
+          // requests sent before an earlier shrink don't shrink it further
+          const batchSize = Math.max(Math.floor(inputCount / 2), 1);
+          if (batchSize < this.getBatchSize()) {
+            if (this.batchSize === undefined) {
+              this._shrunkFrom = inputCount;
+            }
+            this.batchSize = batchSize;
+            messages.push(`${this.apiName} returned (${status}), batch size shrunk to (${batchSize}).`);
+          }
+        } else if (!failed) {
+          this.successes++;
+          if (this.batchSize !== undefined && this.successes >= config.API_BATCH_GROW_AFTER) {
+            this.successes = 0;
+            this.batchSize *= 2;
+            if (this.batchSize >= Math.min(this._shrunkFrom, this.maxBatchSize)) {
+              this.batchSize = undefined;
+              messages.push(`${this.apiName} recovered, batch size back to full.`);
+            } else {
+              messages.push(`${this.apiName} is recovering, batch size grown to (${this.batchSize}).`);
+            }
+          }
+        }
+      });
+    messages.forEach((message) => debug(message));
+    return messages;
+  }
+}
+
+/**
+ * Policies of all APIs, shared by the queries of this process so that what's learned about an API carries over.
+ * Limits are set by API name, SmartAPI ID or infores curie, from config.API_POLICIES or at runtime with configure().
+ */
+class APIPolicies {
+  /**
+   * @param {object[]} configured - [{id, name, infores, ...limits}] as in config.API_POLICIES
+   */
+  constructor(configured = config.API_POLICIES) {
+    // api identifier: limits
+    this._limits = {};
+    // api name: APIPolicy
+    this._policies = {};
+    configured.forEach(({ id, name, infores, ...limits }) => {
+      [id, name, infores].filter(Boolean).forEach((api) => this.configure(api, limits));
+    });
+  }
+
+  /**
+   * Set the limits of an API, replacing any set before
+   * @param {string} api - API name, SmartAPI ID or infores curie
+   * @param {object} limits - {maxBatchSize, maxConcurrent, requestsPerSecond}, positive numbers
+   */
+  configure(api, limits = {}) {
+    Object.entries(limits).forEach(([limit, value]) => {
+      if (!LIMITS.includes(limit)) {
+        throw new BTEError(`Unknown API limit ${limit}, must be one of (${LIMITS}).`);
+      }
+      if (typeof value !== 'number' || !(value > 0)) {
+        throw new BTEError(`API limit ${limit} of ${api} must be a positive number.`);
+      }
+    });
+    this._limits[api] = limits;
+    Object.values(this._policies)
+      .filter((policy) => policy.identifiers.includes(api))
+      .forEach((policy) => policy.setLimits(this._getLimits(policy.identifiers)));
+  }
+
+  /**
+   * @private
+   * @param {string[]} identifiers - of an API
+   */
+  _getLimits(identifiers) {
+    return Object.assign({}, ...identifiers.map((api) => this._limits[api]).filter(Boolean));
+  }
+
+  /**
+   * Policy of the API of a metaKG operation, created on first use
+   * @param {object} association - of a metaKG operation
+   * @return {APIPolicy}
+   */
+  get(association) {
+    if (!this._policies[association.api_name]) {
+      const identifiers = utils.getAPIIdentifiers(association);
+      this._policies[association.api_name] = new APIPolicy(
+        association.api_name,
+        this._getLimits(identifiers),
+        identifiers,
+      );
+    }
+    return this._policies[association.api_name];
+  }
+
+  /**
+   * Current state of each API used so far
+   * @return {object} api name: {maxBatchSize, maxConcurrent, requestsPerSecond, batchSize}
+   */
+  getState() {
+    return Object.fromEntries(
+      Object.values(this._policies).map((policy) => [
+        policy.apiName,
+        {
+          maxBatchSize: policy.maxBatchSize,
+          maxConcurrent: policy.maxConcurrent,
+          requestsPerSecond: policy.requestsPerSecond,
+          batchSize: policy.getBatchSize(),
+        },
+      ]),
+    );
+  }
+}
+
+module.exports = { APIPolicy, APIPolicies, getQueryLogStatus, getQueryOutcome, apiPolicies: new APIPolicies() };
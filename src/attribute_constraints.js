@@ -0,0 +1,212 @@
+const { isEqual } = require('lodash');
+const InvalidQueryGraphError = require('./exceptions/invalid_query_graph_error');
+const utils = require('./utils');
+const debug = require('debug')('bte:biothings-explorer-trapi:AttributeConstraints');
+
+// TRAPI AttributeConstraint operators; any of them can be negated with `not: true`
+const OPERATORS = ['==', '>', '<', 'matches', '==='];
+
+// numbers and numeric strings as numbers, anything else as NaN
+const toNumber = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim() !== '') {
+    return Number(value);
+  }
+  return NaN;
+};
+
+/**
+ * Check a list of TRAPI AttributeConstraints, e.g. the attribute_constraints of a qEdge.
+ * @param {object[]} constraints
+ * @param {string} where - what the constraints belong to, for the error message (e.g. `qEdge e0`)
+ */
+const validateAttributeConstraints = (constraints, where) => {
+  if (constraints === undefined || constraints === null) {
+    return;
+  }
+  if (!Array.isArray(constraints)) {
+    throw new InvalidQueryGraphError(`Attribute constraints of ${where} must be a list.`);
+  }
+  constraints.forEach((constraint) => {
+    ['id', 'operator', 'value'].forEach((key) => {
+      if (constraint?.[key] === undefined) {
+        throw new InvalidQueryGraphError(`Attribute constraint of ${where} is missing '${key}'.`);
+      }
+    });
+    if (!OPERATORS.includes(constraint.operator)) {
+      throw new InvalidQueryGraphError(
+        `Attribute constraint '${constraint.id}' of ${where} uses unsupported operator '${constraint.operator}'. ` +
+          `Supported operators are ${OPERATORS.join(', ')}.`,
+      );
+    }
+    if (constraint.not !== undefined && typeof constraint.not !== 'boolean') {
+      throw new InvalidQueryGraphError(`Attribute constraint '${constraint.id}' of ${where} has a non-boolean 'not'.`);
+    }
+    if (['>', '<'].includes(constraint.operator) && isNaN(toNumber(constraint.value))) {
+      throw new InvalidQueryGraphError(
+        `Attribute constraint '${constraint.id}' of ${where} compares with non-numeric value '${constraint.value}'.`,
+      );
+    }
+    if (constraint.operator === 'matches') {
+      try {
+        new RegExp(constraint.value);
+      } catch (error) {
+        throw new InvalidQueryGraphError(
+          `Attribute constraint '${constraint.id}' of ${where} has an invalid regular expression: ${error.message}`,
+        );
+      }
+    }
+  });
+};
+
+const looselyEqual = (element, wanted) => {
+  if (isEqual(element, wanted) || String(element) === String(wanted)) {
+    return true;
+  }
+  return !isNaN(toNumber(element)) && toNumber(element) === toNumber(wanted);
+};
+
+const compareNumbers = (rawValue, constraintValue, compare) => {
+  const target = toNumber(constraintValue);
+  const elements = utils.toArray(rawValue);
+  // lists of non-numbers (e.g. publications) are compared by their length
+  if (Array.isArray(rawValue) && elements.every((element) => isNaN(toNumber(element)))) {
+    return compare(elements.length, target);
+  }
+  return elements.some((element) => !isNaN(toNumber(element)) && compare(toNumber(element), target));
+};
+
+const meetsOperator = (operator, rawValue, constraintValue) => {
+  const elements = utils.toArray(rawValue);
+  switch (operator) {
+    case '==':
+      return utils
+        .toArray(constraintValue)
+        .some((wanted) => elements.some((element) => looselyEqual(element, wanted)));
+    case '===':
+      return isEqual(rawValue, constraintValue);
+    case '>':
+      return compareNumbers(rawValue, constraintValue, (a, b) => a > b);
+    case '<':
+      return compareNumbers(rawValue, constraintValue, (a, b) => a < b);
+    // not TRAPI operators, but accepted in node constraints for backwards compatibility
+    case '>=':
+      return compareNumbers(rawValue, constraintValue, (a, b) => a >= b);
+    case '<=':
+      return compareNumbers(rawValue, constraintValue, (a, b) => a <= b);
+    case 'matches': {
+      let regex;
+      try {
+        regex = new RegExp(constraintValue);
+      } catch (error) {
+        debug(`Invalid regular expression in constraint: ${constraintValue}`);
+        return false;
+      }
+      return elements.some((element) => regex.test(String(element)));
+    }
+    default:
+      debug(`Constraint operator not handled ${operator}`);
+      return false;
+  }
+};
+
+/**
+ * Whether an attribute satisfies a TRAPI AttributeConstraint.
+ * The attribute may be found in several places (e.g. once per source), so it is given as
+ * a list of raw values and the constraint is met if any of them satisfies it.
+ * A missing attribute never meets the constraint, even if it's negated with `not`.
+ * @param {object} constraint - TRAPI AttributeConstraint
+ * @param {any[]} rawValues - values of the constrained attribute, empty if it's missing
+ * @return {boolean}
+ */
+const meetsAttributeConstraint = (constraint, rawValues) => {
+  const present = rawValues.filter((rawValue) => rawValue !== undefined && rawValue !== null);
+  if (!present.length) {
+    return false;
+  }
+  const met = present.some((rawValue) => meetsOperator(constraint.operator, rawValue, constraint.value));
+  return constraint.not ? !met : met;
+};
+
+/**
+ * Collect TRAPI attributes with the given attribute_type_id, including nested (sub-)attributes
+ */
+const findTRAPIAttributeValues = (attributes, attributeTypeID) => {
+  return utils.toArray(attributes).flatMap((attribute) => {
+    if (!attribute || typeof attribute !== 'object') {
+      return [];
+    }
+    const nested = attribute.attributes ? findTRAPIAttributeValues(attribute.attributes, attributeTypeID) : [];
+    return attribute.attribute_type_id === attributeTypeID ? [attribute.value, ...nested] : nested;
+  });
+};
+
+/**
+ * Get the values of an edge attribute of a record, looked up the same way the knowledge graph
+ * builds edge attributes from records (see graph/knowledge_graph.js).
+ * @param {Record} record
+ * @param {string} attributeTypeID - e.g. biolink:publications
+ * @return {any[]} raw values found, empty if the record doesn't have the attribute
+ */
+const getRecordEdgeAttributeValues = (record, attributeTypeID) => {
+  const mappedResponse = record.mappedResponse || {};
+  const values = findTRAPIAttributeValues(mappedResponse['edge-attributes'], attributeTypeID);
+  switch (attributeTypeID) {
+    case 'biolink:publications':
+      if (record.publications?.length) {
+        values.push(record.publications);
+      }
+      break;
+    case 'biolink:primary_knowledge_source':
+      values.push(record.metaEdgeSource);
+      break;
+    case 'biolink:aggregator_knowledge_source':
+      values.push(['infores:biothings-explorer', ...utils.toArray(record.apiInforesCurie || [])]);
+      break;
+  }
+  new Set([attributeTypeID, utils.removeBioLinkPrefix(attributeTypeID)]).forEach((key) => {
+    if (key !== 'edge-attributes' && mappedResponse[key] !== undefined) {
+      values.push(mappedResponse[key]);
+    }
+  });
+  return values;
+};
+
+/**
+ * Get the values of a node attribute from every equivalent node object of one end of a record.
+ * @param {object} recordNode - record.subject or record.object
+ * @param {string} attributeID - e.g. biolink:highest_FDA_approval_status
+ * @return {any[]} raw values found, empty if no node object has the attribute
+ */
+const getRecordNodeAttributeValues = (recordNode, attributeID) => {
+  const nodeObjects = recordNode?.obj?.length ? recordNode.obj : [recordNode || {}];
+  const keys = [...new Set([attributeID, utils.removeBioLinkPrefix(attributeID)])];
+  return nodeObjects.flatMap((nodeObject) => {
+    return keys
+      .map((key) => nodeObject?.attributes?.[key])
+      .filter((value) => value !== undefined);
+  });
+};
+
+/**
+ * Whether a node attribute of a record meets every (node) constraint
+ * @param {object[]} constraints - TRAPI AttributeConstraints of a qNode
+ * @param {object} recordNode - record.subject or record.object
+ * @return {boolean}
+ */
+const meetsNodeConstraints = (constraints, recordNode) => {
+  return constraints.every((constraint) => {
+    return meetsAttributeConstraint(constraint, getRecordNodeAttributeValues(recordNode, constraint.id));
+  });
+};
+
+module.exports = {
+  OPERATORS,
+  validateAttributeConstraints,
+  meetsAttributeConstraint,
+  getRecordEdgeAttributeValues,
+  getRecordNodeAttributeValues,
+  meetsNodeConstraints,
+};
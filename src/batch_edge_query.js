@@ -1,10 +1,44 @@
 const call_api = require('@biothings-explorer/call-apis');
+const _ = require('lodash');
 const QEdge2APIEdgeHandler = require('./qedge2apiedge');
 const NodesUpdateHandler = require('./update_nodes');
 const debug = require('debug')('bte:biothings-explorer-trapi:batch_edge_query');
 const CacheHandler = require('./cache_handler');
+const LogEntry = require('./log_entry');
+const { apiPolicies, getQueryOutcome } = require('./api_policy');
+const QueryAbortedError = require('./exceptions/query_aborted_error');
+const { getOperationKey } = require('./planner/operation_stats');
 const { parentPort, isMainThread } = require('worker_threads');
 
+/**
+ * call-apis' TRAPI query builder only sends the input and output types and the predicate of an APIEdge,
+ * so the qualifier constraints of APIEdges carrying them (see QEdge2APIEdgeHandler.convert) are added
+ * to the query graph of each of their requests.
+ * @param {object} executor - call-apis query dispatcher, before querying
+ * @return {object} the executor
+ */
+const sendQualifierConstraints = (executor) => {
+  if (typeof executor._constructQueries !== 'function') {
+    return executor;
+  }
+  const constructQueries = executor._constructQueries.bind(executor);
+  executor._constructQueries = (edges) => constructQueries(edges).map((query) => {
+    const constraints = query.edge.qualifier_constraints;
+    if (constraints?.length && typeof query._getRequestBody === 'function') {
+      const getRequestBody = query._getRequestBody.bind(query);
+      query._getRequestBody = (edge, input) => {
+        const body = getRequestBody(edge, input);
+        Object.values(body.message.query_graph.edges).forEach((qEdge) => {
+          qEdge.qualifier_constraints = constraints;
+        });
+        return body;
+      };
+    }
+    return query;
+  });
+  return executor;
+};
+
 module.exports = class BatchEdgeQueryHandler {
   constructor(metaKG, resolveOutputIDs = true, options) {
     this.metaKG = metaKG;
@@ -15,6 +49,22 @@ module.exports = class BatchEdgeQueryHandler {
       ? {EDGE_ATTRIBUTES_USED_IN_RECORD_HASH: options.recordHashEdgeAttributes}
       : {};
     this.resolveOutputIDs = resolveOutputIDs;
+    // time budget (ms) for this batch; APIs which haven't responded by then are cut off
+    this.timeout = options && options.timeout;
+    this.timedOutAPIs = [];
+    this.abortSignal = options && options.abortSignal;
+    // receives progress events (apiCallCompleted, cacheHit)
+    this.emitter = options && options.emitter;
+    // OperationStats to record the outcome of each API's queries in
+    this.operationStats = options && options.operationStats;
+    // records of the last query by where they came from, for diagnostics
+    this.stageRecords = { cache: [], api_calls: [] };
+    // {include, exclude} lists of APIs to use, see QEdge2APIEdgeHandler
+    this.apis = options && options.apis;
+    // APIs left out by options.apis, by api name
+    this.skippedAPIs = {};
+    // APIPolicies to query APIs within, the shared ones by default
+    this.apiPolicies = (options && options.apiPolicies) || apiPolicies;
   }
 
   /**
@@ -40,13 +90,161 @@ module.exports = class BatchEdgeQueryHandler {
   }
 
   /**
+   * Emit an event for each API query or cache hit found in the given logs.
+   * call-apis only hands over its logs once a request to it is done, so the apiCallCompleted events
+   * of the queries it makes arrive together, as soon as that request is done: per APIEdge for
+   * throttled APIs (see api_policy.js), else per API.
    * @private
+   * @param {object[]} logs
+   * @param {string} apiName - API the queries in the logs went to, if any
    */
-  async _queryAPIEdges(APIEdges, unavailableAPIs = {}) {
-    let executor = new call_api(APIEdges, this.recordConfig);
-    const records = await executor.query(this.resolveOutputIDs, unavailableAPIs);
-    this.logs = [...this.logs, ...executor.logs];
-    return records;
+  _emitLogEvents(logs, apiName = undefined) {
+    if (!this.emitter) {
+      return;
+    }
+    logs.forEach((log) => {
+      if (log.data?.type === 'cacheHit') {
+        this.emitter.emit('cacheHit', { qEdgeID: log.data.qEdgeID });
+        return;
+      }
+      const outcome = getQueryOutcome(log);
+      if (outcome) {
+        this.emitter.emit('apiCallCompleted', { api: apiName, ...log.data, ...outcome, message: log.message });
+      }
+    });
+  }
+
+  /**
+   * Resolve to the promise's value, or to undefined once the deadline has passed.
+   * @private
+   */
+  async _raceDeadline(promise, deadline) {
+    // the abandoned query may still fail later on, which is of no interest anymore
+    promise.catch((error) => debug(`Query finished with error ${error} after being cut off.`));
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(undefined), Math.max(deadline - Date.now(), 0));
+    });
+    try {
+      return await Promise.race([promise, timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Add the outcome of querying an API to the operation stats.
+   * Records which don't tell their operation are shared out by the operations' inputs.
+   * @private
+   * @param {object[]} APIEdges - APIEdges queried from the API
+   * @param {object[]|undefined} records - records returned, undefined if the API was cut off
+   * @param {object[]} logs - logs of the API's queries
+   * @param {number} elapsed - time (ms) the API took
+   */
+  _recordOperationStats(APIEdges, records, logs, elapsed) {
+    const outcomes = logs.map(getQueryOutcome).filter(Boolean);
+    const failureRate =
+      records === undefined
+        ? 1
+        : outcomes.length
+        ? outcomes.filter(({ failed }) => failed).length / outcomes.length
+        : 0;
+    const inputCount = (APIEdge) => Object.keys(APIEdge.original_input || {}).length || 1;
+    const totalInputs = _.sumBy(APIEdges, inputCount);
+    const recordsByOperation = _.countBy(records || [], (record) =>
+      record.association ? getOperationKey(record.association) : undefined,
+    );
+    const unattributed = recordsByOperation.undefined || 0;
+    Object.entries(_.groupBy(APIEdges, (APIEdge) => getOperationKey(APIEdge.association))).forEach(
+      ([key, operationAPIEdges]) => {
+        const inputs = _.sumBy(operationAPIEdges, inputCount);
+        const share = operationAPIEdges.length / APIEdges.length;
+        this.operationStats.record(key, {
+          calls: operationAPIEdges.length,
+          failed_calls: operationAPIEdges.length * failureRate,
+          inputs,
+          records: (recordsByOperation[key] || 0) + (unattributed * inputs) / totalInputs,
+          time_ms: elapsed * share,
+        });
+      },
+    );
+  }
+
+  /**
+   * Query the APIEdges of one API within its policy: all in one go, or one at a time
+   * if its concurrent requests or request rate are limited. Its batch size is adapted to the outcome.
+   * @private
+   * @param {object[]} APIEdges - of the same API
+   * @param {object} unavailableAPIs - api name: # queries skipped, shared across calls
+   * @param {object[]} logs - to add the logs of the queries to, as they finish
+   * @param {function} isCutOff - whether the API has been cut off at the deadline,
+   *   its queries aren't emitted then and its requests still waiting for a slot aren't sent
+   * @return {Promise<object[]>} records
+   */
+  async _queryAPI(APIEdges, unavailableAPIs, logs, isCutOff = () => false) {
+    const policy = this.apiPolicies.get(APIEdges[0].association);
+    const inputCount = (APIEdge) => Object.keys(APIEdge.original_input || {}).length || 1;
+    const query = async (edges) => {
+      const executor = sendQualifierConstraints(new call_api(edges, this.recordConfig));
+      try {
+        return await executor.query(this.resolveOutputIDs, unavailableAPIs);
+      } finally {
+        logs.push(...executor.logs);
+        if (!isCutOff()) {
+          this._emitLogEvents(executor.logs, policy.apiName);
+        }
+        policy.recordOutcome(executor.logs, Math.max(...edges.map(inputCount))).forEach((message) => {
+          logs.push(new LogEntry('WARNING', null, message).getLog());
+        });
+      }
+    };
+    if (!policy.isThrottled()) {
+      return await query(APIEdges);
+    }
+    const records = await Promise.all(
+      APIEdges.map((APIEdge) =>
+        policy.run(async () => {
+          // the query may have been aborted or cut off while waiting, then the slot is handed on right away
+          if (this.abortSignal?.aborted || isCutOff()) {
+            debug(`Skipped a request to ${policy.apiName}, the query was aborted or cut off.`);
+            return [];
+          }
+          return await query([APIEdge]);
+        }),
+      ),
+    );
+    return records.flat();
+  }
+
+  /**
+   * Query each API separately, within its policy (see api_policy.js), so that slow APIs can be cut off
+   * at the deadline without losing the records of the APIs which responded in time,
+   * and so that each API can be timed for the operation stats.
+   * @private
+   */
+  async _queryAPIEdges(APIEdges, unavailableAPIs = {}, deadline = undefined) {
+    const APIEdgesByAPI = _.groupBy(APIEdges, (APIEdge) => APIEdge.association.api_name);
+    const records = await Promise.all(
+      Object.entries(APIEdgesByAPI).map(async ([apiName, edges]) => {
+        const logs = [];
+        const startTime = Date.now();
+        let cutOff = false;
+        const query = this._queryAPI(edges, unavailableAPIs, logs, () => cutOff || Date.now() >= deadline);
+        const apiRecords = deadline !== undefined ? await this._raceDeadline(query, deadline) : await query;
+        cutOff = apiRecords === undefined;
+        this.logs = [...this.logs, ...logs];
+        if (this.operationStats) {
+          this._recordOperationStats(edges, apiRecords, logs, Date.now() - startTime);
+        }
+        if (apiRecords === undefined) {
+          debug(`${apiName} was cut off after reaching the time limit.`);
+          this.timedOutAPIs.push(apiName);
+          return [];
+        }
+        return apiRecords;
+      }),
+    );
+    return records.flat();
   }
 
   /**
@@ -103,6 +301,7 @@ module.exports = class BatchEdgeQueryHandler {
   }
 
   async query(qXEdges, unavailableAPIs = {}) {
+    const deadline = this.timeout !== undefined ? Date.now() + this.timeout : undefined;
     debug('Node Update Start');
     //it's now a single edge but convert to arr to simplify refactoring
     qXEdges = Array.isArray(qXEdges) ? qXEdges : [qXEdges];
@@ -111,9 +310,20 @@ module.exports = class BatchEdgeQueryHandler {
     await nodeUpdate.setEquivalentIDs(qXEdges);
     await this._rmEquivalentDuplicates(qXEdges);
     debug('Node Update Success');
-    const cacheHandler = new CacheHandler(qXEdges, this.caching, this.metaKG, this.recordConfig);
+    QueryAbortedError.throwIfAborted(this.abortSignal);
+    const cacheHandler = new CacheHandler(
+      qXEdges,
+      this.caching,
+      this.metaKG,
+      this.recordConfig,
+      undefined,
+      this.abortSignal,
+      this.apis,
+    );
     const { cachedRecords, nonCachedQXEdges } = await cacheHandler.categorizeEdges(qXEdges);
+    this.stageRecords = { cache: cachedRecords, api_calls: [] };
     this.logs = [...this.logs, ...cacheHandler.logs];
+    this._emitLogEvents(cacheHandler.logs);
     let queryRecords;
 
     if (nonCachedQXEdges.length === 0) {
@@ -123,22 +333,31 @@ module.exports = class BatchEdgeQueryHandler {
       }
     } else {
       debug('Start to convert qXEdges into APIEdges....');
-      const edgeConverter = new QEdge2APIEdgeHandler(nonCachedQXEdges, this.metaKG);
+      const edgeConverter = new QEdge2APIEdgeHandler(nonCachedQXEdges, this.metaKG, {
+        abortSignal: this.abortSignal,
+        apis: this.apis,
+        apiPolicies: this.apiPolicies,
+      });
       const APIEdges = await edgeConverter.convert(nonCachedQXEdges);
+      this.skippedAPIs = edgeConverter.skippedAPIs;
       debug(`qEdges are successfully converted into ${APIEdges.length} APIEdges....`);
       this.logs = [...this.logs, ...edgeConverter.logs];
       if (APIEdges.length === 0 && cachedRecords.length === 0) {
         return [];
       }
       const expanded_APIEdges = this._expandAPIEdges(APIEdges);
+      QueryAbortedError.throwIfAborted(this.abortSignal);
       debug('Start to query APIEdges....');
-      queryRecords = await this._queryAPIEdges(expanded_APIEdges, unavailableAPIs);
+      queryRecords = await this._queryAPIEdges(expanded_APIEdges, unavailableAPIs, deadline);
       debug('APIEdges are successfully queried....');
       debug(`Filtering out any "undefined" items in (${queryRecords.length}) records`);
       queryRecords = queryRecords.filter((record) => record !== undefined);
       debug(`Total number of records is (${queryRecords.length})`);
+      this.stageRecords.api_calls = queryRecords;
+      QueryAbortedError.throwIfAborted(this.abortSignal);
       if (!isMainThread) {
-        cacheHandler.cacheEdges(queryRecords);
+        // an abort while caching is picked up by the next abort check of the query
+        cacheHandler.cacheEdges(queryRecords).catch((error) => debug(`Caching stopped due to ${error}`));
       } else { // await caching if async so end of job doesn't cut it off
         await cacheHandler.cacheEdges(queryRecords);
       }
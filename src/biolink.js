@@ -8,6 +8,7 @@ class BioLinkModel {
       debug('BioLink-model class is initiated.');
       this.biolink = new bl.BioLink();
       this.biolink.loadSync();
+      this.qualifierValueChildren = this._getQualifierValueChildren();
     }
 
     return BioLinkModel.instance;
@@ -41,6 +42,64 @@ class BioLinkModel {
     }
     return [predicate];
   }
+
+  /**
+   * @param {string} predicate - predicate without biolink prefix
+   * @return {string|undefined} the predicate directly above it, undefined at the top of the tree
+   */
+  getParentPredicate(predicate) {
+    return this.biolink.slotTree.objects[predicate]?.parent;
+  }
+
+  /**
+   * @param {string} className - category without biolink prefix
+   * @return {string|undefined} the class directly above it, undefined for NamedThing and above
+   */
+  getParentClass(className) {
+    if (className === 'NamedThing') {
+      return undefined;
+    }
+    return this.biolink.classTree.objects[className]?.parent;
+  }
+
+  /**
+   * Map each permissible value of the biolink enums (the values qualifiers can take)
+   * to the values directly below it.
+   * Models before biolink 3 have no qualifier enums, their qualifier values only match exactly.
+   * @private
+   */
+  _getQualifierValueChildren() {
+    const children = {};
+    Object.values(this.biolink._biolink_json?.enums || {}).forEach((enumDefinition) => {
+      Object.entries(enumDefinition?.permissible_values || {}).forEach(([value, definition]) => {
+        if (definition?.is_a) {
+          children[definition.is_a] = [...(children[definition.is_a] || []), value];
+        }
+      });
+    });
+    debug(`Qualifier value hierarchy has (${Object.keys(children).length}) values with values below them.`);
+    return children;
+  }
+
+  getDescendantQualifiers(qualifier) {
+    if (qualifier in this.biolink.slotTree.objects) {
+      const descendants = this.biolink.slotTree.getDescendants(qualifier).map((entity) => entity.name);
+      return [...descendants, ...[qualifier]];
+    }
+    return [qualifier];
+  }
+
+  getDescendantQualifierValues(value) {
+    const descendants = [value];
+    for (let i = 0; i < descendants.length; i++) {
+      (this.qualifierValueChildren[descendants[i]] || []).forEach((child) => {
+        if (!descendants.includes(child)) {
+          descendants.push(child);
+        }
+      });
+    }
+    return descendants;
+  }
 }
 
 const BioLinkModelInstance = new BioLinkModel();
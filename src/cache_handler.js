@@ -9,6 +9,7 @@ const lz4 = require('lz4');
 const chunker = require('stream-chunker');
 const { Readable, Transform } = require('stream');
 const { Record } = require('@biothings-explorer/api-response-transform');
+const QueryAbortedError = require('./exceptions/query_aborted_error');
 
 class DelimitedChunksDecoder extends Transform {
   constructor() {
@@ -83,10 +84,13 @@ class DelimitedChunksEncoder extends Transform {
 }
 
 module.exports = class {
-  constructor(qXEdges, caching, metaKG = undefined, recordConfig = {}, logs = []) {
+  constructor(qXEdges, caching, metaKG = undefined, recordConfig = {}, logs = [], abortSignal = undefined, apis = undefined) {
     this.qXEdges = qXEdges;
     this.metaKG = metaKG;
     this.logs = logs;
+    this.abortSignal = abortSignal;
+    // {include, exclude} lists of APIs the records are queried from, part of the cache key
+    this.apis = apis;
     this.cacheEnabled =
       caching === false
         ? false
@@ -110,8 +114,9 @@ module.exports = class {
     let cachedRecords = [];
     debug('Begin edge cache lookup...');
     await async.eachSeries(qXEdges, async (qXEdge) => {
+      QueryAbortedError.throwIfAborted(this.abortSignal);
       const qXEdgeMetaKGHash = this._hashEdgeByMetaKG(qXEdge.getHashedEdgeRepresentation());
-      const unpackedRecords = await new Promise(async (resolve) => {
+      const unpackedRecords = await new Promise(async (resolve, reject) => {
         let unlock = () => null;
         try {
           const redisID = 'bte:edgeCache:' + qXEdgeMetaKGHash;
@@ -130,8 +135,22 @@ module.exports = class {
             const recordStream = Readable.from(sortedPackParts);
             recordStream
               .pipe(this.createDecodeStream())
-              .on('data', (obj) => recordPack.push(obj))
-              .on('end', () => resolve(Record.unpackRecords(recordPack, qXEdge, this.recordConfig)));
+              .on('data', (obj) => {
+                if (this.abortSignal?.aborted) {
+                  recordStream.destroy();
+                  reject(new QueryAbortedError());
+                  return;
+                }
+                recordPack.push(obj);
+              })
+              .on('end', () => {
+                // the query may have been aborted after the last chunk was read
+                if (this.abortSignal?.aborted) {
+                  reject(new QueryAbortedError());
+                  return;
+                }
+                resolve(Record.unpackRecords(recordPack, qXEdge, this.recordConfig));
+              });
           } else {
             resolve(null);
           }
@@ -165,13 +184,30 @@ module.exports = class {
     return { cachedRecords, nonCachedQXEdges };
   }
 
+  /**
+   * Options.apis in a canonical form, so the same selection of APIs always gives the same cache key
+   * @return {string} empty if every API is used
+   */
+  _hashAPIFilter() {
+    if (!this.apis) {
+      return '';
+    }
+    const { include, exclude = [] } = this.apis;
+    return JSON.stringify({
+      include: include && _.sortBy(_.uniq(include)),
+      exclude: _.sortBy(_.uniq(exclude)),
+    });
+  }
+
   _hashEdgeByMetaKG(qXEdgeHash) {
+    // records of queries leaving out some APIs mustn't be served to queries using them, nor the other way around
+    const apiFilter = this._hashAPIFilter();
     if (!this.metaKG) {
-      return qXEdgeHash;
+      return apiFilter ? helper._generateHash(qXEdgeHash + apiFilter) : qXEdgeHash;
     }
     const len = String(this.metaKG.ops.length);
     const allIDs = Array.from(new Set(this.metaKG.ops.map((op) => op.association.smartapi.id))).join('');
-    return helper._generateHash(qXEdgeHash + len + allIDs);
+    return helper._generateHash(qXEdgeHash + len + allIDs + apiFilter);
   }
 
   _groupQueryRecordsByQXEdgeHash(queryRecords) {
@@ -225,15 +261,21 @@ module.exports = class {
           parentPort.postMessage({ addCacheKey: redisID });
         }
         try {
+          QueryAbortedError.throwIfAborted(this.abortSignal);
           unlock = await redisClient.lock('redisLock:' + redisID);
           await redisClient.delAsync(redisID); // prevents weird overwrite edge cases
           await new Promise((resolve, reject) => {
             let i = 0;
-            Readable.from(groupedRecords[hash])
+            const recordStream = Readable.from(groupedRecords[hash]);
+            recordStream
               .pipe(this.createEncodeStream())
               .pipe(chunker(100000, { flush: true }))
               .on('data', async (chunk) => {
                 try {
+                  if (this.abortSignal?.aborted) {
+                    recordStream.destroy();
+                    throw new QueryAbortedError();
+                  }
                   await redisClient.hsetAsync(redisID, String(i++), chunk);
                 } catch (error) {
                   reject(error);
@@ -250,6 +292,9 @@ module.exports = class {
           });
           await redisClient.expireAsync(redisID, process.env.REDIS_KEY_EXPIRE_TIME || 600);
         } catch (error) {
+          if (error instanceof QueryAbortedError) {
+            throw error;
+          }
           failedHashes.push(hash);
           debug(`Failed to cache qXEdge ${hash} records due to error ${error}. This does not stop other edges from caching nor terminate the query.`)
         } finally {
@@ -268,6 +313,10 @@ module.exports = class {
         debug(`qXEdge caching failed.`);
       }
     } catch (error) {
+      if (error instanceof QueryAbortedError) {
+        debug('Caching stopped as the query was aborted.');
+        throw error;
+      }
       debug(`Caching failed due to ${error}. This does not terminate the query.`);
     } finally {
       if (parentPort) {
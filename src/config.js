@@ -22,6 +22,19 @@ exports.API_BATCH_SIZE = [
   },
 ];
 
+// execution limits of APIs (by id, name or infores), see api_policy.js; can be changed at runtime
+// {maxBatchSize, maxConcurrent, requestsPerSecond}, unset limits are left to API_BATCH_SIZE or unlimited
+exports.API_POLICIES = [];
+
+// successful requests in a row after which a shrunk batch size grows back (doubles)
+exports.API_BATCH_GROW_AFTER = 5;
+
+// max results combining the results of disconnected query graph components can give
+exports.MAX_COMBINED_RESULTS = 10000;
+
+// max restricted MetaKGs (by query options such as smartAPIID or apiNames) kept by a MetaKGProvider
+exports.MAX_RESTRICTED_METAKGS = 10;
+
 // max node IDs an edge with no other IDs can have
 exports.ENTITY_MAX = 1000
 
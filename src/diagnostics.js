@@ -0,0 +1,111 @@
+const _ = require('lodash');
+const debug = require('debug')('bte:biothings-explorer-trapi:diagnostics');
+
+// stages a qEdge's records go through, in order
+const STAGES = ['metakg', 'cache', 'api_calls', 'constraint_filter', 'intersection', 'assembly'];
+
+/**
+ * Traces the record and curie counts of each qEdge through the stages of a query,
+ * so a query without results shows where (and for which qEdge) they were lost.
+ */
+module.exports = class QueryDiagnostics {
+  constructor() {
+    // qEdgeID: {stage: counts}, qEdges in the order they were first seen
+    this.qEdges = {};
+  }
+
+  /**
+   * Count records and the distinct curies on each end, as seen from the query graph
+   * @param {object[]} records
+   * @param {boolean} reversed - whether the records run from the qEdge's object to its subject
+   * @return {object} {records, subject_curies, object_curies}
+   */
+  static countRecords(records, reversed = false) {
+    const [subjectEnd, objectEnd] = reversed ? ['object', 'subject'] : ['subject', 'object'];
+    return {
+      records: records.length,
+      subject_curies: new Set(records.map((record) => record[subjectEnd]?.original)).size,
+      object_curies: new Set(records.map((record) => record[objectEnd]?.original)).size,
+    };
+  }
+
+  /**
+   * Record the counts of a qEdge at a stage, replacing any recorded before
+   * @param {string} qEdgeID
+   * @param {string} stage - one of STAGES
+   * @param {object} counts - {operations} for metakg, else as from countRecords plus any extra counts
+   */
+  record(qEdgeID, stage, counts) {
+    if (!STAGES.includes(stage)) {
+      throw new Error(`Unknown diagnostics stage ${stage}`);
+    }
+    debug(`'${qEdgeID}' ${stage}: ${JSON.stringify(counts)}`);
+    this.qEdges[qEdgeID] = { ...this.qEdges[qEdgeID], [stage]: counts };
+  }
+
+  /**
+   * Record the records of a qXEdge at a stage
+   * @param {QueryExecutionEdge} qXEdge
+   * @param {string} stage - one of STAGES
+   * @param {object[]} records - in the direction the qXEdge was executed
+   * @param {object} extra - additional counts
+   */
+  recordQXEdge(qXEdge, stage, records, extra = {}) {
+    this.record(qXEdge.getID(), stage, { ...QueryDiagnostics.countRecords(records, qXEdge.isReversed()), ...extra });
+  }
+
+  /**
+   * The stage after which a qEdge had nothing left, if it did
+   * @param {object} stages - stage: counts, as recorded
+   * @return {string|undefined}
+   */
+  static getZeroStage(stages) {
+    let zeroStage;
+    let cachedRecords = 0;
+    STAGES.filter((stage) => stages[stage]).forEach((stage) => {
+      let count = stages[stage].records;
+      if (stage === 'metakg') {
+        count = stages[stage].operations;
+      } else if (stage === 'assembly') {
+        // records which didn't make it into any result are lost as well
+        count = stages[stage].results;
+      }
+      if (stage === 'cache') {
+        // cached records make up for API calls, they're judged together
+        cachedRecords = count;
+        return;
+      }
+      if (stage === 'api_calls') {
+        count += cachedRecords;
+      }
+      if (count > 0) {
+        zeroStage = undefined;
+      } else if (zeroStage === undefined) {
+        zeroStage = stage;
+      }
+    });
+    return zeroStage;
+  }
+
+  /**
+   * @return {object} {qEdges: {qEdgeID: {stages, zero_stage}}, zero_stage: {qEdgeID, stage}}
+   *   the overall zero_stage is the earliest stage any qEdge lost all of its records at, if any did
+   */
+  toJSON() {
+    const diagnostics = { qEdges: {} };
+    Object.entries(this.qEdges).forEach(([qEdgeID, stages]) => {
+      const zeroStage = QueryDiagnostics.getZeroStage(stages);
+      diagnostics.qEdges[qEdgeID] = { stages: _.pick(stages, STAGES) };
+      if (zeroStage) {
+        diagnostics.qEdges[qEdgeID].zero_stage = zeroStage;
+        const earliest = diagnostics.zero_stage && STAGES.indexOf(diagnostics.zero_stage.stage);
+        if (!diagnostics.zero_stage || STAGES.indexOf(zeroStage) < earliest) {
+          diagnostics.zero_stage = { qEdgeID, stage: zeroStage };
+        }
+      }
+    });
+    return diagnostics;
+  }
+};
+
+module.exports.STAGES = STAGES;
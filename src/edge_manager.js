@@ -3,16 +3,40 @@ const LogEntry = require('./log_entry');
 const BTEError = require('./exceptions/bte_error');
 const debug = require('debug')('bte:biothings-explorer-trapi:edge-manager');
 const config = require('./config');
+const utils = require('./utils');
+
+// record subject/object: ids it's known by
+const recordNodeAliases = new WeakMap();
+// ways to handle a node over the entity limit
+const ENTITY_LIMIT_STRATEGIES = ['error', 'truncate', 'sample'];
 
 
 module.exports = class QueryExecutionEdgeManager {
-    constructor(edges) {
+    /**
+     * @param {object} edges - QExeEdges keyed by qEdge ID
+     * @param {object} options - {emitter}: EventEmitter receiving progress events,
+     * {planner}: QueryPlanner choosing the next edge by cost instead of entity count,
+     * {entityLimitStrategy}: error, truncate (keep the curies with most record support) or sample
+     * a node over the entity limit, {entityLimitSeed}: seed of the sample
+     */
+    constructor(edges, options = {}) {
         // flatten list of all edges available
         this._qXEdges = _.flatten(Object.values(edges));
+        this.emitter = options.emitter;
+        this.planner = options.planner;
+        this.entityLimitStrategy = options.entityLimitStrategy || 'error';
+        this.entityLimitSeed = options.entityLimitSeed || 0;
+        if (!ENTITY_LIMIT_STRATEGIES.includes(this.entityLimitStrategy)) {
+            throw new BTEError(
+                `Unknown entity limit strategy '${this.entityLimitStrategy}', must be one of (${ENTITY_LIMIT_STRATEGIES}).`
+            );
+        }
         this.logs = [];
         this._records = [];
         //organized by edge with refs to connected edges
         this._organizedRecords = {};
+        //records of excluded edges, by qEdge ID
+        this._excludedRecords = {};
         this.init();
     }
 
@@ -26,6 +50,11 @@ module.exports = class QueryExecutionEdgeManager {
         return this._organizedRecords;
     }
 
+    getExcludedRecords() {
+        debug(`(13) Edge Manager reporting excluded records...`);
+        return this._excludedRecords;
+    }
+
     init() {
         debug(`(3) Edge manager is managing ${this._qXEdges.length} qEdges.`);
         this.logs.push(
@@ -37,12 +66,26 @@ module.exports = class QueryExecutionEdgeManager {
         );
     }
 
-    getNext() {
-        //returns next edge with lowest entity count on
-        //either object or subject OR no count last
+    _getAvailableEdges() {
         // available not yet executed
         let available_edges = this._qXEdges
         .filter(qXEdge => !qXEdge.executed);
+        //optional edges run after required ones and excluded edges run last,
+        //once the nodes they connect are narrowed down
+        let required_edges = available_edges.filter(qXEdge => !qXEdge.isExcluded() && !qXEdge.isOptional());
+        let included_edges = available_edges.filter(qXEdge => !qXEdge.isExcluded());
+        if (required_edges.length) {
+            return required_edges;
+        } else if (included_edges.length) {
+            return included_edges;
+        }
+        return available_edges;
+    }
+
+    getNext() {
+        //returns next edge with lowest entity count on
+        //either object or subject OR no count last
+        let available_edges = this._getAvailableEdges();
         //safeguard for making sure there's available
         //edges when calling getNext
         if (available_edges.length == 0) {
@@ -56,6 +99,21 @@ module.exports = class QueryExecutionEdgeManager {
                 ).getLog(),
             );
         }
+        //let the planner pick by cost if it can
+        const planned = this.planner && available_edges.length && this.planner.chooseNext(available_edges);
+        if (planned) {
+            debug(`(5) Sending next edge '${planned.qXEdge.getID()}' ` +
+            `chosen by planner...(estimated cost ${planned.estimate.cost})`);
+            this.logs.push(
+                new LogEntry(
+                    'DEBUG',
+                    null,
+                    `Planner chose qEdge '${planned.qXEdge.getID()}'${planned.reverse ? ' (reversed)' : ''} ` +
+                    `with estimated cost ${planned.estimate.cost} (${planned.estimate.expected_records} records).`,
+                ).getLog(),
+            );
+            return this.preSendOffCheck(planned.qXEdge, planned.reverse);
+        }
         //begin search
         let nextQXEdge;
         let lowest_entity_count;
@@ -115,6 +173,61 @@ module.exports = class QueryExecutionEdgeManager {
         return this.preSendOffCheck(nextQXEdge);
     }
 
+    getNextBatch() {
+        //returns the next edge along with the other available edges which
+        //don't depend on its results, so they can be executed together
+        let batch = [this.getNext()];
+        this._getAvailableEdges()
+        .filter(qXEdge => !batch.includes(qXEdge))
+        .forEach((qXEdge) => {
+            let reverse = this._getIndependentDirection(qXEdge, batch);
+            if (reverse === undefined) {
+                return;
+            }
+            if (this._getNodeOverEntityMax(qXEdge)) {
+                //left for later, other edges may narrow it down
+                return;
+            }
+            batch.push(this.preSendOffCheck(qXEdge, reverse));
+        });
+        if (batch.length > 1) {
+            debug(`(5) Sending qEdges ${JSON.stringify(batch.map(qXEdge => qXEdge.getID()))} for concurrent execution.`);
+            this.logs.push(
+                new LogEntry(
+                    'DEBUG',
+                    null,
+                    `Edge manager is sending qEdges ${batch.map(qXEdge => qXEdge.getID()).join(', ')} for concurrent execution.`,
+                ).getLog(),
+            );
+        }
+        return batch;
+    }
+
+    _getIndependentDirection(qXEdge, batch) {
+        //an edge is independent of a batch if it has entities to start from, and
+        //shares no nodes with it except nodes that all sharing edges start from
+        let directions = [false, true].filter((reverse) => {
+            let input = reverse ? qXEdge.object : qXEdge.subject;
+            let output = reverse ? qXEdge.subject : qXEdge.object;
+            if (!input.entity_count) {
+                return false;
+            }
+            return batch.every((batchQXEdge) => {
+                let batchNodes = [batchQXEdge.subject.id, batchQXEdge.object.id];
+                return !batchNodes.includes(output.id) &&
+                    (!batchNodes.includes(input.id) || batchQXEdge.getInputNode().id === input.id);
+            });
+        });
+        if (directions.length < 2) {
+            return directions[0];
+        }
+        //either end may be used, choose as getNext would
+        if (this.planner) {
+            return this.planner.chooseNext([qXEdge]).reverse;
+        }
+        return qXEdge.object.entity_count < qXEdge.subject.entity_count;
+    }
+
     logEntityCounts() {
         this._qXEdges.forEach((qXEdge) => {
             debug(`'${qXEdge.getID()}'` +
@@ -124,31 +237,92 @@ module.exports = class QueryExecutionEdgeManager {
         });
     }
 
-    checkEntityMax(nextQXedge) {
-        const max = config.ENTITY_MAX;
+    _getNodeOverEntityMax(qXEdge) {
         //(MAX) --- (0) not allowed
-        //(MAX) --- (MAX) not allowed
+        //(MAX) --- (MAX) not allowed, the lower one has to be limited
         //(MAX) --- (2) allowed, (2 will be used)
-        let sub_count = nextQXedge.object.getEntityCount();
-        let obj_count = nextQXedge.subject.getEntityCount();
-        debug(`Checking entity max : (${sub_count})--(${obj_count})`);
-        if (
-            (obj_count == 0 && sub_count > max) ||
-            (obj_count > max && sub_count == 0) ||
-            (obj_count > max && sub_count > max)
-        ) {
+        const max = config.ENTITY_MAX;
+        let nodes = [qXEdge.subject, qXEdge.object];
+        let over = nodes.filter((qNode) => qNode.getEntityCount() > max);
+        debug(`Checking entity max : (${qXEdge.subject.getEntityCount()})--(${qXEdge.object.getEntityCount()})`);
+        if (over.length === 2) {
+            return _.minBy(over, (qNode) => qNode.getEntityCount());
+        }
+        if (over.length === 1 && nodes.some((qNode) => !qNode.getEntityCount())) {
+            return over[0];
+        }
+    }
+
+    _rankCuriesBySupport(qNode) {
+        //curies of a node, most supported by records of executed edges first
+        let index = qNode.getCurieIndex();
+        let support = new Map();
+        this._qXEdges
+        .filter((qXEdge) => qXEdge.records.length && (qXEdge.subject === qNode || qXEdge.object === qNode))
+        .forEach((qXEdge) => {
+            //records of reversed edges hold the qEdge's subject as their object
+            let side = (qXEdge.subject === qNode) !== qXEdge.reverse ? 'subject' : 'object';
+            qXEdge.records.forEach((record) => {
+                let mainIDs = new Set(
+                    this._getRecordNodeAliases(record[side]).map((id) => index.get(id)).filter(Boolean)
+                );
+                mainIDs.forEach((mainID) => support.set(mainID, (support.get(mainID) || 0) + 1));
+            });
+        });
+        return _.sortBy(qNode.curie, (curie) => -(support.get(curie) || 0));
+    }
+
+    _sampleCuries(qNode, size) {
+        //same curies and seed give the same sample
+        let random = utils.seededRandom(this.entityLimitSeed);
+        let curies = [...qNode.curie];
+        for (let i = 0; i < size; i++) {
+            let j = i + Math.floor(random() * (curies.length - i));
+            [curies[i], curies[j]] = [curies[j], curies[i]];
+        }
+        return curies.slice(0, size);
+    }
+
+    checkEntityMax(nextQXedge) {
+        const max = config.ENTITY_MAX;
+        let qNode = this._getNodeOverEntityMax(nextQXedge);
+        if (!qNode) {
+            return;
+        }
+        if (this.entityLimitStrategy === 'error') {
             throw new BTEError(
                 `Max number of entities exceeded (${max}) in '${nextQXedge.getID()}'`
                 );
         }
+        let before = qNode.getEntityCount();
+        let curies = this.entityLimitStrategy === 'truncate' ?
+            this._rankCuriesBySupport(qNode).slice(0, max) :
+            this._sampleCuries(qNode, max);
+        qNode.limitCuries(curies);
+        let kept = this.entityLimitStrategy === 'truncate' ?
+            `the (${qNode.getEntityCount()}) with the most record support` :
+            `a sample of (${qNode.getEntityCount()}) (seed ${this.entityLimitSeed})`;
+        debug(`(5) Node "${qNode.id}" limited from (${before}) to (${qNode.getEntityCount()}) entities.`);
+        this.logs.push(
+            new LogEntry(
+                'WARNING',
+                null,
+                `Node ${qNode.id} of qEdge '${nextQXedge.getID()}' has (${before}) entities, over the limit of (${max}). ` +
+                `Kept ${kept}.`,
+            ).getLog(),
+        );
     }
 
-    preSendOffCheck(nextQXEdge) {
+    preSendOffCheck(nextQXEdge, reverse = undefined) {
         // next: qXEdge
+        // reverse: direction chosen by the planner, if any
         //check that edge entities are or have potential to stay
         //under max limit
         this.checkEntityMax(nextQXEdge);
-        if (nextQXEdge.object.entity_count && nextQXEdge.subject.entity_count) {
+        if (nextQXEdge.object.entity_count && nextQXEdge.subject.entity_count && reverse !== undefined) {
+            nextQXEdge.chooseDirection(reverse);
+        }
+        else if (nextQXEdge.object.entity_count && nextQXEdge.subject.entity_count) {
             //if at the time of being queried the edge has both
             //obj and sub entity counts
             //chose obj/suj lower entity count for query
@@ -177,6 +351,21 @@ module.exports = class QueryExecutionEdgeManager {
         return nextQXEdge;
     }
 
+    skipOptionGroup(optionGroupID) {
+        //an option group can't match once one of its edges has no records
+        let skipped = this._qXEdges.filter(qXEdge => !qXEdge.executed && qXEdge.getOptionGroupID() === optionGroupID);
+        skipped.forEach((qXEdge) => {
+            qXEdge.records = [];
+            qXEdge.executed = true;
+        });
+        debug(`(5) Skipping qEdges ${JSON.stringify(skipped.map(qXEdge => qXEdge.getID()))} of option group '${optionGroupID}'.`);
+        return skipped;
+    }
+
+    getExecutedEdges() {
+        return this._qXEdges.filter(edge => edge.executed);
+    }
+
     getEdgesNotExecuted() {
         //simply returns a number of edges not marked as executed
         let found = this._qXEdges.filter(edge => !edge.executed);
@@ -185,104 +374,61 @@ module.exports = class QueryExecutionEdgeManager {
         return not_executed;
     }
 
+    _getRecordNodeAliases(recordNode) {
+        //all ids a record's subject/object is known by, worked out once per record
+        let aliases = recordNodeAliases.get(recordNode);
+        if (aliases) {
+            return aliases;
+        }
+        let ids = new Set();
+        recordNode.normalizedInfo.forEach((o) => {
+            //#1 check equivalent ids
+            if (Object.hasOwnProperty.call(o, '_dbIDs')) {
+                for (const prefix in o._dbIDs) {
+                    //check if array
+                    utils.toArray(o._dbIDs[prefix]).forEach((single_alias) => {
+                        if (single_alias) {
+                            //concat with prefix if value doesn't have one already
+                            ids.add(single_alias.includes(':') ? single_alias : prefix + ':' + single_alias);
+                        }
+                    });
+                }
+            }
+            //else #2 check curie
+            else if(Object.hasOwnProperty.call(o, 'curie')) {
+                ids.add(o.curie);
+            }
+            //#3 last resort check original
+            else {
+                ids.add(recordNode.original);
+            }
+        });
+        aliases = [...ids];
+        recordNodeAliases.set(recordNode, aliases);
+        return aliases;
+    }
+
     _filterEdgeRecords(qXEdge) {
         let keep = [];
         let records = qXEdge.records;
-        let sub_count = qXEdge.subject.curie;
-        let obj_count = qXEdge.object.curie;
-        debug(`'${qXEdge.getID()}' Reversed[${qXEdge.reverse}] (${JSON.stringify(sub_count.length || 0)})` +
-        `--(${JSON.stringify(obj_count.length || 0)}) entities / (${records.length}) records.`);
-        // debug(`IDS SUB ${JSON.stringify(sub_count)}`)
-        // debug(`IDS OBJ ${JSON.stringify(obj_count)}`)
-        let object_node_ids = qXEdge.reverse ? sub_count : obj_count;
-        let subject_node_ids = qXEdge.reverse ? obj_count : sub_count;
+        //alias -> main ID indexes of the edge's nodes
+        let sub_index = qXEdge.subject.getCurieIndex();
+        let obj_index = qXEdge.object.getCurieIndex();
+        debug(`'${qXEdge.getID()}' Reversed[${qXEdge.reverse}] (${sub_index.size})` +
+        `--(${obj_index.size}) ids / (${records.length}) records.`);
+        let object_node_index = qXEdge.reverse ? sub_index : obj_index;
+        let subject_node_index = qXEdge.reverse ? obj_index : sub_index;
+        //an excluded edge may reach a node no other edge uses, which never gets curies: anything matches there
+        let unconstrained = (qNode) => qXEdge.isExcluded() && !qNode.curie?.length && !qNode.held_curie?.length;
+        let subject_open = unconstrained(qXEdge.reverse ? qXEdge.object : qXEdge.subject);
+        let object_open = unconstrained(qXEdge.reverse ? qXEdge.subject : qXEdge.object);
 
         records.forEach((record) => {
-            //check sub curies against $input ids
-            let ids = new Set();
-            let objectMatch = false;
-            let subjectMatch = false;
-            record.subject.normalizedInfo.forEach((o) => {
-                //compare record I/O ids against edge node ids
-                //#1 check equivalent ids
-                if (Object.hasOwnProperty.call(o, '_dbIDs')) {
-                    for (const prefix in o._dbIDs) {
-                        //check if array
-                        if (Array.isArray(o._dbIDs[prefix])) {
-                            o._dbIDs[prefix].forEach((single_alias) => {
-                                if (single_alias) {
-                                    if (single_alias.includes(':')) {
-                                        //value already has prefix
-                                        ids.add(single_alias);
-                                    } else {
-                                        //concat with prefix
-                                        ids.add(prefix + ':' + single_alias);
-                                    }
-                                }
-                            });
-                        } else {
-                            if (o._dbIDs[prefix].includes(':')) {
-                                //value already has prefix
-                                ids.add(o._dbIDs[prefix]);
-                            } else {
-                                //concat with prefix
-                                ids.add(prefix + ':' + o._dbIDs[prefix]);
-                            }
-                        }
-                    }
-                }
-                //else #2 check curie
-                else if(Object.hasOwnProperty.call(o, 'curie')) {
-                    ids.add(o.curie);
-                }
-                //#3 last resort check original
-                else {
-                    ids.add(record.subject.original);
-                }
-                //check ids
-                subjectMatch = _.intersection([...ids], subject_node_ids).length;
-            });
-            //check obj curies against object ids
-            let o_ids = new Set();
-            record.object.normalizedInfo.forEach((o) => {
-                //#1 check equivalent ids
-                if (Object.hasOwnProperty.call(o, '_dbIDs')) {
-                    for (const prefix in o._dbIDs) {
-                        //check if array
-                        if (Array.isArray(o._dbIDs[prefix])) {
-                            o._dbIDs[prefix].forEach((single_alias) => {
-                                if (single_alias) {
-                                    if (single_alias.includes(':')) {
-                                        //value already has prefix
-                                        o_ids.add(single_alias);
-                                    } else {
-                                        //concat with prefix
-                                        o_ids.add(prefix + ':' + single_alias);
-                                    }
-                                }
-                            });
-                        } else {
-                            if (o._dbIDs[prefix].includes(':')) {
-                                //value already has prefix
-                                o_ids.add(o._dbIDs[prefix]);
-                            } else {
-                                //concat with prefix
-                                o_ids.add(prefix + ':' + o._dbIDs[prefix]);
-                            }
-                        }
-                    }
-                }
-                //else #2 check curie
-                else if(Object.hasOwnProperty.call(o, 'curie')) {
-                    o_ids.add(o.curie);
-                }
-                //#3 last resort check original
-                else {
-                    o_ids.add(record.object.original);
-                }
-                //check ids
-                objectMatch = _.intersection([...o_ids], object_node_ids).length;
-            });
+            //check record I/O ids against edge node ids
+            let subjectMatch = subject_open ||
+                this._getRecordNodeAliases(record.subject).some((id) => subject_node_index.has(id));
+            let objectMatch = subjectMatch && (object_open ||
+                this._getRecordNodeAliases(record.object).some((id) => object_node_index.has(id)));
             //if both ends match then keep record
             if (subjectMatch && objectMatch) {
                 keep.push(record);
@@ -296,6 +442,11 @@ module.exports = class QueryExecutionEdgeManager {
                 `'${qXEdge.getID()}' kept (${keep.length}) / dropped (${records.length - keep.length}) records.`
             ).getLog(),
         );
+        this.emitter?.emit('recordsFiltered', {
+            qEdgeID: qXEdge.getID(),
+            kept: keep.length,
+            dropped: records.length - keep.length,
+        });
         return keep;
     }
 
@@ -307,8 +458,42 @@ module.exports = class QueryExecutionEdgeManager {
         let brokenChain = false;
         let brokenEdges = [];
         debug(`(11) Collecting records...`);
+        //only executed edges hold records (the query may have been cut off early)
+        let executedQXEdges = this._qXEdges.filter((qXEdge) => qXEdge.executed);
+        //excluded edges are kept apart, they only remove solutions
+        this._excludedRecords = {};
+        executedQXEdges.filter((qXEdge) => qXEdge.isExcluded()).forEach((qXEdge) => {
+            this._excludedRecords[qXEdge.getID()] = qXEdge.records.map(record => record.queryDirection());
+            this.logs = [...this.logs, ...qXEdge.logs];
+            this.logs.push(
+                new LogEntry(
+                    'INFO',
+                    null,
+                    `Excluded qEdge '${qXEdge.getID()}' keeps (${qXEdge.records.length}) records to exclude!`
+                ).getLog(),
+            );
+        });
+        executedQXEdges = executedQXEdges.filter((qXEdge) => !qXEdge.isExcluded());
+        //option groups having an edge without records can't be bound to any result
+        let brokenOptionGroups = new Set(executedQXEdges
+            .filter((qXEdge) => qXEdge.isOptional() && !qXEdge.records.length)
+            .map((qXEdge) => qXEdge.getOptionGroupID()));
+        brokenOptionGroups.forEach((optionGroupID) => {
+            this.logs.push(
+                new LogEntry(
+                    'INFO',
+                    null,
+                    `Option group '${optionGroupID}' resulted in (0) records for some of its qEdges, results won't bind it.`
+                ).getLog(),
+            );
+        });
+        executedQXEdges.filter((qXEdge) => brokenOptionGroups.has(qXEdge.getOptionGroupID())).forEach((qXEdge) => {
+            this.logs = [...this.logs, ...qXEdge.logs];
+        });
+        executedQXEdges = executedQXEdges.filter((qXEdge) => !brokenOptionGroups.has(qXEdge.getOptionGroupID()));
+        let executedQEdgeIDs = executedQXEdges.map((qXEdge) => qXEdge.getID());
         //First: go through edges and filter that each edge is holding
-        this._qXEdges.forEach((qXEdge) => {
+        executedQXEdges.forEach((qXEdge) => {
             let qEdgeID = qXEdge.getID();
             let filteredRecords = qXEdge.records.map(record => record.queryDirection());
             if (filteredRecords.length == 0) {
@@ -326,12 +511,15 @@ module.exports = class QueryExecutionEdgeManager {
             //collect records
             combinedRecords = combinedRecords.concat(filteredRecords);
             let connections = qXEdge.qEdge.subject.getConnections().concat(qXEdge.qEdge.object.getConnections());
-            connections = connections.filter(id => id !== qEdgeID);
+            connections = connections.filter(id => id !== qEdgeID && executedQEdgeIDs.includes(id));
             connections = new Set(connections);
             recordsByQEdgeID[qEdgeID] = {
                 records: filteredRecords,
                 connected_to: [...connections],
             }
+            if (qXEdge.isOptional()) {
+                recordsByQEdgeID[qEdgeID].option_group_id = qXEdge.getOptionGroupID();
+            }
             debug(`(11) '${qEdgeID}' keeps (${filteredRecords.length}) records!`);
             this.logs.push(
                 new LogEntry(
@@ -422,16 +610,45 @@ module.exports = class QueryExecutionEdgeManager {
         }
     }
 
-    updateAllOtherEdges(currentQXEdge) {
-        //update and filter all other edges
-        debug(`Updating all other edges...`);
-        let currentQEdgeID = currentQXEdge.getID();
+    _getEntityCounts() {
+        //current number of curies of each node
+        let counts = {};
         this._qXEdges.forEach((qXEdge) => {
-            if (qXEdge.getID() !== currentQEdgeID && qXEdge.records.length) {
+            [qXEdge.subject, qXEdge.object].forEach((qNode) => {
+                counts[qNode.id] = qNode.curie ? qNode.curie.length : 0;
+            });
+        });
+        return counts;
+    }
+
+    updateAllOtherEdges(currentQXEdge) {
+        //filter all edges holding records, intersecting node curies in turn,
+        //until nothing changes anymore so that pruning one end of a chain
+        //reaches all the way to the other end
+        debug(`Propagating records of "${currentQXEdge.getID()}" to all other edges...`);
+        let dropped_per_iteration = [];
+        let changed = true;
+        while (changed) {
+            let edges = this._qXEdges.filter((qXEdge) => qXEdge.records.length);
+            let record_count = _.sumBy(edges, (qXEdge) => qXEdge.records.length);
+            let entity_counts = this._getEntityCounts();
+            edges.forEach((qXEdge) => {
                 debug(`Updating "${qXEdge.getID()}"...`);
                 this.updateEdgeRecords(qXEdge);
-                this.updateEdgeRecords(currentQXEdge);
-            }
-        });
+            });
+            let dropped = record_count - _.sumBy(edges, (qXEdge) => qXEdge.records.length);
+            dropped_per_iteration.push(dropped);
+            changed = dropped > 0 || !_.isEqual(entity_counts, this._getEntityCounts());
+        }
+        debug(`Propagation took (${dropped_per_iteration.length}) iterations, dropping (${dropped_per_iteration}) records.`);
+        this.logs.push(
+            new LogEntry(
+                'INFO',
+                null,
+                `Pruning after qEdge '${currentQXEdge.getID()}' took (${dropped_per_iteration.length}) ` +
+                `iteration${dropped_per_iteration.length === 1 ? '' : 's'}, dropping ` +
+                `(${dropped_per_iteration.join(', ')}) records.`,
+            ).getLog(),
+        );
     }
 };
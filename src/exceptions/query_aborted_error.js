@@ -0,0 +1,25 @@
+const BTEError = require('./bte_error');
+
+class QueryAbortedError extends BTEError {
+  constructor(message = 'Query was aborted.', ...params) {
+    super(message, 'QueryAbortedError', '499', ...params);
+
+    Object.setPrototypeOf(this, QueryAbortedError.prototype);
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, QueryAbortedError);
+    }
+  }
+
+  /**
+   * Throw a QueryAbortedError if the given AbortSignal has been aborted
+   * @param {AbortSignal} abortSignal - may be undefined, in which case nothing happens
+   */
+  static throwIfAborted(abortSignal) {
+    if (abortSignal?.aborted) {
+      throw new QueryAbortedError();
+    }
+  }
+}
+
+module.exports = QueryAbortedError;
@@ -183,6 +183,15 @@ module.exports = class KnowledgeGraph {
     };
   }
 
+  /**
+   * Merge TRAPI-formatted nodes and edges, e.g. from the response of a sub-query
+   * @param {object} kg - TRAPI knowledge graph with nodes and edges
+   */
+  merge(kg) {
+    Object.assign(this.nodes, kg.nodes);
+    Object.assign(this.edges, kg.edges);
+  }
+
   update(bteGraph) {
     Object.keys(bteGraph.nodes).map((node) => {
       this.nodes[bteGraph.nodes[node]._primaryCurie] = this._createNode(bteGraph.nodes[node]);
@@ -1,26 +1,60 @@
-const meta_kg = require('@biothings-explorer/smartapi-kg');
 var path = require('path');
 const BatchEdgeQueryHandler = require('./batch_edge_query');
 const QueryGraph = require('./query_graph');
 const KnowledgeGraph = require('./graph/knowledge_graph');
 const TrapiResultsAssembler = require('./results_assembly/query_results');
 const InvalidQueryGraphError = require('./exceptions/invalid_query_graph_error');
+const QueryAbortedError = require('./exceptions/query_aborted_error');
 const debug = require('debug')('bte:biothings-explorer-trapi:main');
 const Graph = require('./graph/graph');
 const EdgeManager = require('./edge_manager');
+const QueryPlanner = require('./planner/query_planner');
+const { OperationStats } = require('./planner/operation_stats');
 const _ = require('lodash');
 const QEdge2APIEdgeHandler = require('./qedge2apiedge');
+const InferredQueryHandler = require('./inferred_mode/inferred_mode');
+const WorkflowRunner = require('./workflow_runner');
+const MetaKGProvider = require('./metakg_provider');
+const { loadRecordDump } = require('./replay');
 const LogEntry = require('./log_entry');
 const redisClient = require('./redis-client');
 const config = require('./config');
+const utils = require('./utils');
+const biolink = require('./biolink');
+const QueryDiagnostics = require('./diagnostics');
+const { apiPolicies } = require('./api_policy');
 const fs = require('fs').promises;
+const EventEmitter = require('events');
 
 exports.InvalidQueryGraphError = InvalidQueryGraphError;
+exports.QueryAbortedError = QueryAbortedError;
 exports.redisClient = redisClient;
 exports.LogEntry = LogEntry;
+exports.MetaKGProvider = MetaKGProvider;
+// per-API execution limits shared by all queries, e.g. apiPolicies.configure('infores:semmeddb', {maxConcurrent: 2})
+exports.apiPolicies = apiPolicies;
 
-exports.TRAPIQueryHandler = class TRAPIQueryHandler {
-  constructor(options = {}, smartAPIPath = undefined, predicatesPath = undefined, includeReasoner = true) {
+/**
+ * Progress of a running query is emitted as events:
+ * edgeStarted, edgeFinished, apiCallCompleted, cacheHit, recordsFiltered, assemblyStarted and resultsReady.
+ * apiCallCompleted events come in bursts, once each request to call-apis is done (per API, or per APIEdge of throttled APIs).
+ */
+exports.TRAPIQueryHandler = class TRAPIQueryHandler extends EventEmitter {
+  /**
+   * @param {object} options - query options
+   * @param {string} smartAPIPath - path to the SmartAPI specs file
+   * @param {string} predicatesPath - path to the predicates file
+   * @param {boolean} includeReasoner - whether to include TRAPI (reasoner) APIs
+   * @param {MetaKGProvider} metaKGProvider - shared MetaKG; one is built for this handler if not given
+   */
+  constructor(
+    options = {},
+    smartAPIPath = undefined,
+    predicatesPath = undefined,
+    includeReasoner = true,
+    metaKGProvider = undefined,
+  ) {
+    super();
     this.logs = [];
     this.options = options;
     this.includeReasoner = includeReasoner;
@@ -28,19 +62,23 @@ exports.TRAPIQueryHandler = class TRAPIQueryHandler {
       typeof this.options.enableIDResolution === 'undefined' ? true : this.options.enableIDResolution;
     this.path = smartAPIPath || path.resolve(__dirname, './smartapi_specs.json');
     this.predicatePath = predicatesPath || path.resolve(__dirname, './predicates.json');
+    this.metaKGProvider = metaKGProvider || new MetaKGProvider(this.path, this.predicatePath, this.includeReasoner);
+    this.workflowRunner = new WorkflowRunner();
   }
 
+  /**
+   * Get the MetaKG, restricted to options.smartAPIID, options.teamName or options.component if given
+   * @private
+   */
   _loadMetaKG() {
-    const metaKG = new meta_kg.default(this.path, this.predicatePath);
     debug(`Query options are: ${JSON.stringify(this.options)}`);
-    debug(`SmartAPI Specs read from path: ${this.path}`);
-    metaKG.constructMetaKGSync(this.includeReasoner, this.options);
-    return metaKG;
+    debug(`SmartAPI Specs read from path: ${this.metaKGProvider.path}`);
+    return this.metaKGProvider.getMetaKG(this.options);
   }
 
   getResponse() {
-    return {
-      workflow: [{ id: 'lookup' }],
+    const response = {
+      workflow: this.workflowRunner.executed.length ? this.workflowRunner.executed : [{ id: 'lookup' }],
       message: {
         query_graph: this.queryGraph,
         knowledge_graph: this.knowledgeGraph.kg,
@@ -48,6 +86,29 @@ exports.TRAPIQueryHandler = class TRAPIQueryHandler {
       },
       logs: this.logs.map((log) => log.toJSON()),
     };
+    const auxiliaryGraphs = this.trapiResultsAssembler.getAuxiliaryGraphs();
+    if (Object.keys(auxiliaryGraphs).length) {
+      response.message.auxiliary_graphs = auxiliaryGraphs;
+    }
+    if (this.executionPlan) {
+      response.execution_plan = this.executionPlan;
+    }
+    if (this.relaxations.length) {
+      response.relaxations = this.relaxations;
+    }
+    if (Object.keys(this.skippedAPIs).length) {
+      response.skipped_apis = Object.values(this.skippedAPIs);
+    }
+    if (Object.keys(this.diagnostics.qEdges).length) {
+      response.diagnostics = this.diagnostics.toJSON();
+    }
+    if (Object.keys(this.cutOffQEdges).length) {
+      response.status = 'Partial';
+      response.description = `Query reached its time limit; results are partial. Cut off qEdges: ${Object.keys(
+        this.cutOffQEdges,
+      ).join(', ')}`;
+    }
+    return response;
   }
 
   /**
@@ -72,7 +133,24 @@ exports.TRAPIQueryHandler = class TRAPIQueryHandler {
     this.queryGraph = queryGraph;
   }
 
+  /**
+   * Set the TRAPI workflow to run; operations other than lookup run in order once lookup is done
+   * @param {object[]} workflow - TRAPI workflow, a list of {id, parameters}
+   */
+  setWorkflow(workflow) {
+    this.workflowRunner = new WorkflowRunner(workflow);
+  }
+
   _initializeResponse() {
+    // set by a dryrun
+    this.executionPlan = undefined;
+    // qEdgeID: names of APIs cut off by the time limit (empty if the qEdge wasn't executed at all)
+    this.cutOffQEdges = {};
+    // relaxations made to qEdges which got no records (options.relax)
+    this.relaxations = [];
+    this.diagnostics = new QueryDiagnostics();
+    // APIs left out by options.apis, by api name
+    this.skippedAPIs = {};
     this.knowledgeGraph = new KnowledgeGraph();
     this.trapiResultsAssembler = new TrapiResultsAssembler();
     this.bteGraph = new Graph();
@@ -85,8 +163,9 @@ exports.TRAPIQueryHandler = class TRAPIQueryHandler {
    */
   async _processQueryGraph(queryGraph) {
     try {
-      let queryGraphHandler = new QueryGraph(queryGraph);
+      let queryGraphHandler = new QueryGraph(queryGraph, this.options);
       let queryExecutionEdges = await queryGraphHandler.calculateEdges();
+      this.queryGraphComponents = queryGraphHandler.getConnectedComponents();
       this.logs = [...this.logs, ...queryGraphHandler.logs];
       return queryExecutionEdges;
     } catch (err) {
@@ -102,26 +181,117 @@ exports.TRAPIQueryHandler = class TRAPIQueryHandler {
     let handler = new BatchEdgeQueryHandler(metaKG, this.resolveOutputIDs, {
       caching: this.options.caching,
       recordHashEdgeAttributes: config.EDGE_ATTRIBUTES_USED_IN_RECORD_HASH,
+      timeout: this._getEdgeTimeout(),
+      abortSignal: this.options.abortSignal,
+      emitter: this,
+      operationStats: this.operationStats,
+      apis: this.options.apis,
     });
     handler.setEdges(currentQXEdge);
     return handler;
   }
 
+  /**
+   * Milliseconds left before the query deadline (options.timeout), or undefined if there is none
+   * @private
+   */
+  _getRemainingTime() {
+    if (this.deadline === undefined) {
+      return undefined;
+    }
+    return Math.max(this.deadline - Date.now(), 0);
+  }
+
+  /**
+   * Time budget of the next qEdge: the smaller of options.edgeTimeout and the time left for the query
+   * @private
+   */
+  _getEdgeTimeout() {
+    const budgets = [this._getRemainingTime(), this.options.edgeTimeout].filter((budget) => budget !== undefined);
+    return budgets.length ? Math.min(...budgets) : undefined;
+  }
+
+  /**
+   * @private
+   */
+  _logCutOffQEdges() {
+    const cutOff = Object.entries(this.cutOffQEdges).map(([qEdgeID, apis]) => {
+      return apis.length ? `${qEdgeID} (APIs: ${apis.join(', ')})` : `${qEdgeID} (not executed)`;
+    });
+    const message = `Query reached its time limit, results are partial. Cut off: ${cutOff.join('; ')}`;
+    debug(message);
+    this.logs.push(new LogEntry('WARNING', null, message).getLog());
+  }
+
+  /**
+   * Describe how a qEdge would be executed, for the dryrun execution plan
+   * @private
+   * @param {object} qXEdge - the qEdge, set to the direction it would be executed in
+   * @param {object[]} metaXEdges - metaKG edges which would be queried
+   * @param {object} edgeConverter - QEdge2APIEdgeHandler used to find the metaKG edges
+   * @param {object} estimate - cost estimate of the qEdge from the query planner, if planning by cost
+   */
+  _planEdge(qXEdge, metaXEdges, edgeConverter, estimate = undefined) {
+    const inputCount = qXEdge.getInputNode().entity_count || 0;
+    const operations = metaXEdges.map((metaXEdge) => {
+      const supportsBatch = metaXEdge.query_operation.supportBatch !== false;
+      const batchSize = supportsBatch ? edgeConverter.getBatchSize(metaXEdge) : 1;
+      return {
+        api: metaXEdge.association.api_name,
+        smartapi_id: metaXEdge.association.smartapi?.id,
+        input_prefix: metaXEdge.association.input_id,
+        input_type: metaXEdge.association.input_type,
+        predicate: metaXEdge.association.predicate,
+        output_type: metaXEdge.association.output_type,
+        // unlimited batch size is reported as null
+        batch_size: batchSize === Infinity ? null : batchSize,
+        expected_api_calls: inputCount && Math.max(Math.ceil(inputCount / batchSize), 1),
+      };
+    });
+    if (estimate) {
+      operations.forEach((operation, i) => {
+        const { expected_records, latency_ms, failure_rate, has_stats } = estimate.operations[i];
+        Object.assign(operation, { expected_records, latency_ms, failure_rate, has_stats });
+      });
+    }
+    return {
+      qEdgeID: qXEdge.getID(),
+      reversed: qXEdge.isReversed(),
+      input: { qNodeID: qXEdge.getInputNode().id, projected_entity_count: inputCount },
+      output: { qNodeID: qXEdge.getOutputNode().id },
+      operations,
+      expected_api_calls: operations.reduce((sum, operation) => sum + operation.expected_api_calls, 0),
+      ...(estimate && {
+        expected_records: estimate.expected_records,
+        expected_time_ms: estimate.expected_time_ms,
+        estimated_cost: estimate.cost,
+      }),
+    };
+  }
+
   async _edgesSupported(qXEdges, metaKG) {
     if (this.options.dryrun) {
       let log_msg =
         'Running dryrun of query, no API calls will be performed. Actual query execution order may vary based on API responses received.';
       this.logs.push(new LogEntry('INFO', null, log_msg).getLog());
+      this.executionPlan = { qEdges: [], expected_api_calls: 0 };
     }
 
     // _.cloneDeep() is resource-intensive but only runs once per query
     qXEdges = _.cloneDeep(qXEdges);
-    const manager = new EdgeManager(qXEdges);
+    const manager = new EdgeManager(qXEdges, {
+      planner: this.queryPlanner,
+      entityLimitStrategy: this.options.entityLimitStrategy,
+      entityLimitSeed: this.options.entityLimitSeed,
+    });
     const qEdgesMissingOps = {};
     while (manager.getEdgesNotExecuted()) {
       let currentQXEdge = manager.getNext();
-      const edgeConverter = new QEdge2APIEdgeHandler([currentQXEdge], metaKG);
+      const edgeConverter = new QEdge2APIEdgeHandler([currentQXEdge], metaKG, { apis: this.options.apis });
       const metaXEdges = edgeConverter.getMetaXEdges(currentQXEdge);
+      Object.assign(this.skippedAPIs, edgeConverter.skippedAPIs);
+      const estimate = this.queryPlanner?.estimate(currentQXEdge);
+      this.diagnostics.record(currentQXEdge.getID(), 'metakg', { operations: metaXEdges.length });
 
       if (this.options.dryrun) {
         let apiNames = [...new Set(metaXEdges.map((metaXEdge) => metaXEdge.association.api_name))];
@@ -149,14 +319,28 @@ exports.TRAPIQueryHandler = class TRAPIQueryHandler {
         });
       }
 
-      if (!metaXEdges.length) {
+      let plannedEdge;
+      if (this.options.dryrun) {
+        plannedEdge = this._planEdge(currentQXEdge, metaXEdges, edgeConverter, estimate);
+        this.executionPlan.qEdges.push(plannedEdge);
+        this.executionPlan.expected_api_calls += plannedEdge.expected_api_calls;
+      }
+
+      if (!metaXEdges.length && currentQXEdge.isOptional()) {
+        // an optional qEdge nothing can answer just won't be bound to results
+        this.logs.push(
+          new LogEntry('INFO', null, `Optional qEdge ${currentQXEdge.qEdge.id} has no MetaKG edges.`).getLog(),
+        );
+      } else if (!metaXEdges.length) {
         qEdgesMissingOps[currentQXEdge.qEdge.id] = currentQXEdge.reverse;
       }
       // assume results so next edge may be reversed or not
       currentQXEdge.executed = true;
 
-      //use # of APIs as estimate of # of records
-      if (metaXEdges.length) {
+      //use the planner's estimate of # of records, or else # of APIs
+      if (metaXEdges.length && estimate?.input_count) {
+        currentQXEdge.getOutputNode().entity_count = Math.max(estimate.expected_records, 1);
+      } else if (metaXEdges.length) {
         if (currentQXEdge.reverse) {
           currentQXEdge.subject.entity_count = currentQXEdge.object.entity_count * metaXEdges.length;
         } else {
@@ -166,6 +350,9 @@ exports.TRAPIQueryHandler = class TRAPIQueryHandler {
         currentQXEdge.object.entity_count = 1;
         currentQXEdge.subject.entity_count = 1;
       }
+      if (plannedEdge) {
+        plannedEdge.output.projected_entity_count = currentQXEdge.getOutputNode().entity_count;
+      }
     }
 
     const len = Object.keys(qEdgesMissingOps).length;
@@ -202,6 +389,53 @@ exports.TRAPIQueryHandler = class TRAPIQueryHandler {
     });
   }
 
+  /**
+   * Answer an inferred (creative mode) edge by running the matching templates as sub-queries
+   * @private
+   */
+  async _handleInferredEdge() {
+    const inferredQueryHandler = new InferredQueryHandler(this.queryGraph, () => {
+      // templates share the time left for the whole query
+      const subQueryHandler = new TRAPIQueryHandler(
+        { ...this.options, timeout: this._getRemainingTime() },
+        this.path,
+        this.predicatePath,
+        this.includeReasoner,
+        this.metaKGProvider,
+      );
+      // pass on the progress of each template, the combined results are announced once all are done
+      ['edgeStarted', 'edgeFinished', 'apiCallCompleted', 'cacheHit', 'recordsFiltered'].forEach((event) => {
+        subQueryHandler.on(event, (data) => this.emit(event, data));
+      });
+      return subQueryHandler;
+    });
+    const combinedResponse = await inferredQueryHandler.query();
+    this.logs = [...this.logs, ...inferredQueryHandler.logs];
+    this.cutOffQEdges = { ...this.cutOffQEdges, ...inferredQueryHandler.cutOffQEdges };
+    if (Object.keys(this.cutOffQEdges).length) {
+      this._logCutOffQEdges();
+    }
+    if (!combinedResponse) {
+      return;
+    }
+    this.knowledgeGraph.merge(combinedResponse.knowledge_graph);
+    this.trapiResultsAssembler.setResults(combinedResponse.results);
+    this.emit('resultsReady', {
+      nodes: Object.keys(this.knowledgeGraph.nodes).length,
+      edges: Object.keys(this.knowledgeGraph.edges).length,
+      results: combinedResponse.results.length,
+    });
+    this.logs.push(
+      new LogEntry(
+        'INFO',
+        null,
+        `Execution Summary: (${Object.keys(this.knowledgeGraph.nodes).length}) nodes / (${
+          Object.keys(this.knowledgeGraph.edges).length
+        }) edges / (${combinedResponse.results.length}) results from inferred-mode templates`,
+      ).getLog(),
+    );
+  }
+
   async dumpRecords(records) {
     let filePath = path.resolve('../../..', process.env.DUMP_RECORDS);
     // create new (unique) file if arg is directory
@@ -222,127 +456,590 @@ exports.TRAPIQueryHandler = class TRAPIQueryHandler {
     debug(logMessage);
   }
 
+  /**
+   * Build the knowledge graph and results from collected records
+   * @private
+   * @param {object[]} records - all records, in the direction of the query graph
+   * @param {object[]} components - per connected component of the query graph:
+   *   {recordsByQEdgeID, excludedRecordsByQEdgeID}, records organized by qEdge as by the edge manager
+   * @param {boolean} shouldScore - whether to query for result scores
+   */
+  async _assembleResults(records, components, shouldScore = true) {
+    // update query graph
+    this.bteGraph.update(records);
+    //update query results
+    this.emit('assemblyStarted', { records: records.length });
+    if (components.length > 1) {
+      await this._combineComponentResults(components, shouldScore);
+    } else {
+      const [{ recordsByQEdgeID, excludedRecordsByQEdgeID }] = components;
+      await this.trapiResultsAssembler.update(recordsByQEdgeID, shouldScore, this.queryGraph, excludedRecordsByQEdgeID);
+      this.logs = [...this.logs, ...this.trapiResultsAssembler.logs];
+    }
+    // prune bteGraph
+    this.bteGraph.prune(this.trapiResultsAssembler.getResults());
+    this.bteGraph.notify();
+  }
+
+  /**
+   * Assemble the results of each connected component of the query graph on its own,
+   * then combine them as a cartesian product (scores multiply).
+   * @private
+   * @param {object[]} components - see _assembleResults
+   * @param {boolean} shouldScore - whether to query for result scores
+   */
+  async _combineComponentResults(components, shouldScore) {
+    const assemblers = [];
+    for (const { recordsByQEdgeID, excludedRecordsByQEdgeID } of components) {
+      const assembler = new TrapiResultsAssembler();
+      await assembler.update(recordsByQEdgeID, shouldScore, this.queryGraph, excludedRecordsByQEdgeID);
+      this.logs = [...this.logs, ...assembler.logs];
+      assemblers.push(assembler);
+    }
+    const resultsByComponent = assemblers.map((assembler) => assembler.getResults());
+    const countCombined = (byComponent) => byComponent.reduce((count, componentResults) => count * componentResults.length, 1);
+    const combinedCount = countCombined(resultsByComponent);
+    // best scored first, so that trimming drops the worst
+    const keptByComponent = resultsByComponent.map((componentResults) =>
+      [...componentResults].sort((result1, result2) => (result2.score ?? 0) - (result1.score ?? 0)),
+    );
+    if (combinedCount > config.MAX_COMBINED_RESULTS) {
+      while (countCombined(keptByComponent) > config.MAX_COMBINED_RESULTS) {
+        _.maxBy(keptByComponent, 'length').pop();
+      }
+      const message = `Combining (${combinedCount}) results would exceed the limit of (${
+        config.MAX_COMBINED_RESULTS
+      }), only the best scored results of each component are combined: (${keptByComponent
+        .map((componentResults) => componentResults.length)
+        .join(') x (')}).`;
+      debug(message);
+      this.logs.push(new LogEntry('WARNING', null, message).getLog());
+    }
+    // a component without results leaves none to combine
+    const combined = combinedCount === 0 ? [] : utils.cartesian([...keptByComponent]);
+    const results = combined
+      .map((componentResults) => ({
+        node_bindings: Object.assign({}, ...componentResults.map((result) => result.node_bindings)),
+        edge_bindings: Object.assign({}, ...componentResults.map((result) => result.edge_bindings)),
+        score: componentResults.reduce((score, result) => score * result.score, 1),
+      }))
+      .sort((result1, result2) => result2.score - result1.score);
+    this.trapiResultsAssembler.setResults(
+      results,
+      Object.assign({}, ...assemblers.map((assembler) => assembler.getAuxiliaryGraphs())),
+    );
+    const message = `Combined the results of (${components.length}) query graph components: (${resultsByComponent
+      .map((componentResults) => componentResults.length)
+      .join(') x (')}) = (${results.length}) results.`;
+    debug(message);
+    this.logs.push(new LogEntry('INFO', null, message).getLog());
+  }
+
+  /**
+   * Split records organized by qEdge by the connected components of the query graph,
+   * if they're to be combined (option disconnectedComponents: 'cartesian')
+   * @private
+   * @return {object[]} components, see _assembleResults
+   */
+  _splitComponentRecords(recordsByQEdgeID, excludedRecordsByQEdgeID) {
+    const components =
+      this.options.disconnectedComponents === 'cartesian'
+        ? new QueryGraph(this.queryGraph, this.options).getConnectedComponents()
+        : [];
+    if (components.length < 2) {
+      return [{ recordsByQEdgeID, excludedRecordsByQEdgeID }];
+    }
+    return components.map(({ edges }) => ({
+      recordsByQEdgeID: _.pick(recordsByQEdgeID, edges),
+      excludedRecordsByQEdgeID: _.pick(excludedRecordsByQEdgeID, edges),
+    }));
+  }
+
+  /**
+   * Rebuild the response of a query from records dumped with DUMP_RECORDS, without querying any API.
+   * The query graph of the dumped query must be set first.
+   * @param {string} filePath - the dump file
+   * @param {boolean} shouldScore - whether to query for result scores (the only network access)
+   */
+  async replay(filePath, shouldScore = false) {
+    if (!this.queryGraph) {
+      throw new InvalidQueryGraphError('The query graph of the dumped query must be set to replay its records.');
+    }
+    this._initializeResponse();
+    const { records, recordsByQEdgeID, excludedRecordsByQEdgeID, logs } = await loadRecordDump(
+      filePath,
+      this.queryGraph,
+      { EDGE_ATTRIBUTES_USED_IN_RECORD_HASH: config.EDGE_ATTRIBUTES_USED_IN_RECORD_HASH },
+    );
+    this.logs = [...this.logs, ...logs];
+    await this._assembleResults(
+      records,
+      this._splitComponentRecords(recordsByQEdgeID, excludedRecordsByQEdgeID),
+      shouldScore,
+    );
+    this.workflowRunner.run(this.trapiResultsAssembler, this.knowledgeGraph, this.queryGraph);
+    this.logs = [...this.logs, ...this.workflowRunner.logs];
+    const results = this.trapiResultsAssembler.getResults().length;
+    this.emit('resultsReady', {
+      nodes: Object.keys(this.knowledgeGraph.nodes).length,
+      edges: Object.keys(this.knowledgeGraph.edges).length,
+      results,
+    });
+    this.logs.push(
+      new LogEntry(
+        'INFO',
+        null,
+        `Replay Summary: (${Object.keys(this.knowledgeGraph.nodes).length}) nodes / (${
+          Object.keys(this.knowledgeGraph.edges).length
+        }) edges / (${results}) results from (${records.length}) dumped records`,
+      ).getLog(),
+    );
+  }
+
   async query() {
+    this.deadline = this.options.timeout !== undefined ? Date.now() + this.options.timeout : undefined;
     this._initializeResponse();
-    debug('Start to load metakg.');
-    const metaKG = this._loadMetaKG(this.smartapiID, this.team);
-    debug('MetaKG successfully loaded!');
-    if (global.missingAPIs) {
+    await this._lookup();
+    this.workflowRunner.run(this.trapiResultsAssembler, this.knowledgeGraph, this.queryGraph);
+    this.logs = [...this.logs, ...this.workflowRunner.logs];
+  }
+
+  /**
+   * An optional qEdge without records leaves the rest of its option group nothing to bind,
+   * so the group is skipped instead of terminating the query.
+   * @param {EdgeManager} manager
+   * @param {QueryExecutionEdge} qXEdge - the optional qEdge without records
+   * @param {string} verb - 'got' (from the APIs) or 'kept' (after filtering)
+   */
+  _skipOptionGroup(manager, qXEdge, verb) {
+    const optionGroupID = qXEdge.getOptionGroupID();
+    const skipped = manager.skipOptionGroup(optionGroupID).map((skippedQXEdge) => skippedQXEdge.getID());
+    debug(`(X) Optional "${qXEdge.getID()}" ${verb} 0 records, skipping option group '${optionGroupID}'.`);
+    this.logs.push(
+      new LogEntry(
+        'INFO',
+        null,
+        `Optional qEdge (${qXEdge.getID()}) ${verb} 0 records, option group '${optionGroupID}' won't be bound to results${
+          skipped.length > 1 ? ` (skipping qEdges ${skipped.filter((qEdgeID) => qEdgeID !== qXEdge.getID()).join(', ')})` : ''
+        }.`,
+      ).getLog(),
+    );
+  }
+
+  /**
+   * Query the APIs for a qEdge
+   * @private
+   * @param {QueryExecutionEdge} currentQXEdge
+   * @param {MetaKG} metaKG
+   * @param {object} unavailableAPIs - api name: # queries skipped, shared across calls
+   * @return {Promise<object>} {handler, queryRecords}
+   */
+  async _queryQXEdge(currentQXEdge, metaKG, unavailableAPIs) {
+    //crate queries from edge
+    let handler = this._createBatchEdgeQueryHandlersForCurrent(currentQXEdge, metaKG);
+    this.logs.push(
+      new LogEntry(
+        'INFO',
+        null,
+        `Executing ${currentQXEdge.getID()}${currentQXEdge.isReversed() ? ' (reversed)' : ''}: ${
+          currentQXEdge.subject.id
+        } ${currentQXEdge.isReversed() ? '<--' : '-->'} ${currentQXEdge.object.id}`,
+      ).getLog(),
+    );
+    this.emit('edgeStarted', {
+      qEdgeID: currentQXEdge.getID(),
+      reversed: currentQXEdge.isReversed(),
+      subject: currentQXEdge.subject.id,
+      object: currentQXEdge.object.id,
+    });
+    debug(`(5) Executing current edge >> "${currentQXEdge.getID()}"`);
+    //execute current edge query
+    let queryRecords = await handler.query(handler.qXEdges, unavailableAPIs);
+    return { handler, queryRecords };
+  }
+
+  /**
+   * Retry a qEdge which got no records with looser constraints, each level on top of the one before:
+   * its predicates widened to their parents, its output qNode's categories widened to their parents,
+   * then no predicate at all. Stops at the first level which gets records.
+   * A copy of the qEdge and its output qNode is relaxed, so the query graph and the qEdges sharing the qNode
+   * are left as they were; the records found are stored on the qEdge itself, which keeps the widened categories.
+   * @private
+   * @param {QueryExecutionEdge} currentQXEdge
+   * @param {MetaKG} metaKG
+   * @param {object} unavailableAPIs - api name: # queries skipped, shared across calls
+   * @param {object} queried - {handler, queryRecords} of the unrelaxed query
+   * @return {Promise<object>} {handler, queryRecords} of the last level tried
+   */
+  async _relaxQXEdge(currentQXEdge, metaKG, unavailableAPIs, queried) {
+    const outputNode = _.clone(currentQXEdge.getOutputNode());
+    const qEdge = _.clone(currentQXEdge.qEdge);
+    qEdge[currentQXEdge.isReversed() ? 'subject' : 'object'] = outputNode;
+    const relaxedQXEdge = _.clone(currentQXEdge);
+    Object.assign(relaxedQXEdge, { qEdge, subject: qEdge.subject, object: qEdge.object });
+    const toParents = (values, getParent) => {
+      if (values === undefined) {
+        return undefined;
+      }
+      const parents = utils.toArray(values).map((value) => {
+        const parent = getParent(utils.removeBioLinkPrefix(value));
+        return parent ? `biolink:${parent.replace(/ /g, '_')}` : value;
+      });
+      return utils.getUnique(parents);
+    };
+    const parentPredicates = (predicates) => toParents(predicates, (p) => biolink.getParentPredicate(p));
+    const parentClasses = (categories) => toParents(categories, (c) => biolink.getParentClass(c));
+    const levels = [
+      ['parent_predicate', qEdge, 'predicate', parentPredicates],
+      ['parent_category', outputNode, 'category', parentClasses],
+      ['no_predicate', qEdge, 'predicate', () => undefined],
+    ];
+    for (const [relaxation, target, field, relax] of levels) {
+      const from = target[field];
+      const to = relax(from);
+      if (_.isEqual(utils.toArray(from ?? []), utils.toArray(to ?? []))) {
+        continue;
+      }
+      target[field] = to;
+      qEdge.init();
+      this.relaxations.push({ qEdgeID: currentQXEdge.getID(), relaxation, from, to });
+      const message = `qEdge (${currentQXEdge.getID()}) got 0 records, relaxing it (${relaxation}): ${field} ${JSON.stringify(
+        from,
+      )} -> ${JSON.stringify(to)}`;
+      debug(message);
+      this.logs.push(new LogEntry('WARNING', null, message).getLog());
+      // keep the logs of the try which got nothing
+      this.logs = [...this.logs, ...queried.handler.logs];
+      queried = await this._queryQXEdge(relaxedQXEdge, metaKG, unavailableAPIs);
+      if (queried.queryRecords.length) {
+        break;
+      }
+    }
+    if (outputNode.category !== currentQXEdge.getOutputNode().category) {
+      currentQXEdge.relaxed_categories[outputNode.id] = outputNode.getCategories();
+    }
+    return queried;
+  }
+
+  /**
+   * Store the records of an executed qEdge and filter its neighbors with them
+   * @private
+   * @param {EdgeManager} manager
+   * @param {QueryExecutionEdge} currentQXEdge
+   * @param {object} handler - BatchEdgeQueryHandler which queried the qEdge
+   * @param {object[]} queryRecords
+   * @param {object} unavailableAPIs - api name: # queries skipped, shared across calls
+   * @return {string} 'continue', 'stop' if the query ran out of time, or 'terminate' if it has no results
+   */
+  _storeQXEdgeRecords(manager, currentQXEdge, handler, queryRecords, unavailableAPIs) {
+    this.logs = [...this.logs, ...handler.logs];
+    Object.assign(this.skippedAPIs, handler.skippedAPIs);
+    if (handler.timedOutAPIs.length) {
+      this.cutOffQEdges[currentQXEdge.getID()] = handler.timedOutAPIs;
+    }
+    // create an edge execution summary
+    let success = 0,
+      fail = 0,
+      total = 0;
+    let cached = this.logs.filter(
+      ({ data }) => data?.qEdgeID === currentQXEdge.qEdge.id && data?.type === 'cacheHit',
+    ).length;
+    this.logs
+      .filter(({ data }) => data?.qEdgeID === currentQXEdge.qEdge.id && data?.type === 'query')
+      .forEach(({ data }) => {
+        !data.error ? success++ : fail++;
+        total++;
+      });
+    this.logs.push(
+      new LogEntry(
+        'INFO',
+        null,
+        `${currentQXEdge.qEdge.id} execution: ${total} queries (${success} success/${fail} fail) and (${cached}) cached qEdges return (${queryRecords.length}) records`,
+        {},
+      ).getLog(),
+    );
+    this.diagnostics.recordQXEdge(currentQXEdge, 'cache', handler.stageRecords.cache);
+    this.diagnostics.recordQXEdge(currentQXEdge, 'api_calls', handler.stageRecords.api_calls, {
+      calls: total,
+      failed_calls: fail,
+    });
+    this.emit('edgeFinished', {
+      qEdgeID: currentQXEdge.getID(),
+      queries: total,
+      succeeded: success,
+      failed: fail,
+      cached,
+      records: queryRecords.length,
+    });
+    if (currentQXEdge.executed) {
+      // its option group was skipped while it was running
+      return 'continue';
+    }
+    if (queryRecords.length === 0 && currentQXEdge.isExcluded()) {
       this.logs.push(
-        new LogEntry(
-          'WARNING',
-          null,
-          `The following APIs were unavailable at the time of execution: ${global.missingAPIs
-            .map((spec) => spec.info.title)
-            .join(', ')}`,
-        ).getLog(),
+        new LogEntry('INFO', null, `Excluded qEdge (${currentQXEdge.getID()}) got 0 records, nothing to exclude.`).getLog(),
       );
+      currentQXEdge.executed = true;
+      return 'continue';
     }
-    let queryExecutionEdges = await this._processQueryGraph(this.queryGraph);
-    debug(`(3) All edges created ${JSON.stringify(queryExecutionEdges)}`);
-    if (!(await this._edgesSupported(queryExecutionEdges, metaKG))) {
-      return;
+    if (queryRecords.length === 0 && currentQXEdge.isOptional()) {
+      this._skipOptionGroup(manager, currentQXEdge, 'got');
+      return 'continue';
     }
-    const manager = new EdgeManager(queryExecutionEdges);
-    const unavailableAPIs = {};
-    while (manager.getEdgesNotExecuted()) {
-      //next available/most efficient edge
-      let currentQXEdge = manager.getNext();
-      //crate queries from edge
-      let handler = this._createBatchEdgeQueryHandlersForCurrent(currentQXEdge, metaKG);
+    if (queryRecords.length === 0) {
+      if (this.cutOffQEdges[currentQXEdge.getID()]) {
+        // assemble what the executed qEdges returned in time
+        return 'stop';
+      }
+      this._logSkippedQueries(unavailableAPIs);
+      debug(`(X) Terminating..."${currentQXEdge.getID()}" got 0 records.`);
       this.logs.push(
         new LogEntry(
-          'INFO',
+          'WARNING',
           null,
-          `Executing ${currentQXEdge.getID()}${currentQXEdge.isReversed() ? ' (reversed)' : ''}: ${
-            currentQXEdge.subject.id
-          } ${currentQXEdge.isReversed() ? '<--' : '-->'} ${currentQXEdge.object.id}`,
+          `qEdge (${currentQXEdge.getID()}) got 0 records. Your query terminates.`,
         ).getLog(),
       );
-      debug(`(5) Executing current edge >> "${currentQXEdge.getID()}"`);
-      //execute current edge query
-      let queryRecords = await handler.query(handler.qXEdges, unavailableAPIs);
-      this.logs = [...this.logs, ...handler.logs];
-      // create an edge execution summary
-      let success = 0,
-        fail = 0,
-        total = 0;
-      let cached = this.logs.filter(
-        ({ data }) => data?.qEdgeID === currentQXEdge.qEdge.id && data?.type === 'cacheHit',
-      ).length;
-      this.logs
-        .filter(({ data }) => data?.qEdgeID === currentQXEdge.qEdge.id && data?.type === 'query')
-        .forEach(({ data }) => {
-          !data.error ? success++ : fail++;
-          total++;
-        });
+      return 'terminate';
+    }
+    //storing records will trigger a node entity count update
+    currentQXEdge.storeRecords(queryRecords);
+    this.diagnostics.recordQXEdge(currentQXEdge, 'constraint_filter', currentQXEdge.records);
+    //filter records
+    manager.updateEdgeRecords(currentQXEdge);
+    //update and filter neighbors
+    manager.updateAllOtherEdges(currentQXEdge);
+    // qEdges executed before lose records to this one as well
+    this._recordIntersections(manager, currentQXEdge);
+    // check that any records are kept (excluded edges may keep none)
+    if (!currentQXEdge.records.length && currentQXEdge.isOptional()) {
+      this._skipOptionGroup(manager, currentQXEdge, 'kept');
+      return 'continue';
+    }
+    if (!currentQXEdge.records.length && !currentQXEdge.isExcluded()) {
+      if (this.cutOffQEdges[currentQXEdge.getID()]) {
+        return 'stop';
+      }
+      this._logSkippedQueries(unavailableAPIs);
+      debug(`(X) Terminating..."${currentQXEdge.getID()}" kept 0 records.`);
       this.logs.push(
         new LogEntry(
-          'INFO',
+          'WARNING',
           null,
-          `${currentQXEdge.qEdge.id} execution: ${total} queries (${success} success/${fail} fail) and (${cached}) cached qEdges return (${queryRecords.length}) records`,
-          {},
+          `qEdge (${currentQXEdge.getID()}) kept 0 records. Your query terminates.`,
         ).getLog(),
       );
-      if (queryRecords.length === 0) {
-        this._logSkippedQueries(unavailableAPIs);
-        debug(`(X) Terminating..."${currentQXEdge.getID()}" got 0 records.`);
+      return 'terminate';
+    }
+    // edge all done
+    currentQXEdge.executed = true;
+    debug(`(10) Edge successfully queried.`);
+    return 'continue';
+  }
+
+  /**
+   * Record the records each qEdge which stored some keeps after intersecting with the others
+   * @private
+   * @param {EdgeManager} manager
+   * @param {QueryExecutionEdge} currentQXEdge - being stored, not yet marked executed
+   */
+  _recordIntersections(manager, currentQXEdge) {
+    [...manager.getExecutedEdges(), currentQXEdge]
+      .filter((qXEdge) => this.diagnostics.qEdges[qXEdge.getID()]?.constraint_filter)
+      .forEach((qXEdge) => this.diagnostics.recordQXEdge(qXEdge, 'intersection', qXEdge.records));
+  }
+
+  /**
+   * Record the records and results each qEdge has after assembly
+   * @private
+   * @param {EdgeManager[]} managers - after collecting records
+   */
+  _recordAssembly(managers) {
+    const results = this.trapiResultsAssembler.getResults();
+    managers.forEach((manager) => {
+      const organizedRecords = manager.getOrganizedRecords();
+      // qEdges missing from the organized records were dropped from assembly (e.g. a broken chain)
+      manager
+        .getExecutedEdges()
+        .filter((qXEdge) => !qXEdge.isExcluded() && this.diagnostics.qEdges[qXEdge.getID()]?.intersection)
+        .forEach((qXEdge) => {
+          const qEdgeID = qXEdge.getID();
+          this.diagnostics.record(qEdgeID, 'assembly', {
+            ...QueryDiagnostics.countRecords(organizedRecords[qEdgeID]?.records ?? []),
+            results: results.filter((result) => result.edge_bindings[qEdgeID]?.length).length,
+          });
+        });
+    });
+  }
+
+  /**
+   * Execute qEdges until all are done (or the query runs out of time).
+   * qEdges which don't depend on each other are queried concurrently, unless options.parallelEdges is false.
+   * With options.relax, qEdges which get no records are relaxed instead of terminating the query.
+   * @private
+   * @param {object} queryExecutionEdges - QueryExecutionEdges, as from _processQueryGraph
+   * @param {MetaKG} metaKG
+   * @param {object} unavailableAPIs - api name: # queries skipped, shared across calls
+   * @return {Promise<EdgeManager|undefined>} the edge manager holding the records, undefined if the query terminates
+   */
+  async _executeQXEdges(queryExecutionEdges, metaKG, unavailableAPIs) {
+    const manager = new EdgeManager(queryExecutionEdges, {
+      emitter: this,
+      planner: this.queryPlanner,
+      entityLimitStrategy: this.options.entityLimitStrategy,
+      entityLimitSeed: this.options.entityLimitSeed,
+    });
+    while (manager.getEdgesNotExecuted()) {
+      QueryAbortedError.throwIfAborted(this.options.abortSignal);
+      if (this._getRemainingTime() === 0) {
+        debug(`(X) Query reached its time limit, skipping remaining qEdges.`);
+        break;
+      }
+      //next available/most efficient edges
+      const batch = this.options.parallelEdges === false ? [manager.getNext()] : manager.getNextBatch();
+      if (batch.length > 1) {
         this.logs.push(
           new LogEntry(
-            'WARNING',
+            'INFO',
             null,
-            `qEdge (${currentQXEdge.getID()}) got 0 records. Your query terminates.`,
+            `Executing qEdges ${batch.map((qXEdge) => qXEdge.getID()).join(', ')} concurrently.`,
           ).getLog(),
         );
+      }
+      const queried = await Promise.all(
+        batch.map((currentQXEdge) => this._queryQXEdge(currentQXEdge, metaKG, unavailableAPIs)),
+      );
+      if (this.options.relax) {
+        for (const [i, currentQXEdge] of batch.entries()) {
+          if (
+            !queried[i].queryRecords.length &&
+            !currentQXEdge.isExcluded() &&
+            !currentQXEdge.isOptional() &&
+            !queried[i].handler.timedOutAPIs.length
+          ) {
+            queried[i] = await this._relaxQXEdge(currentQXEdge, metaKG, unavailableAPIs, queried[i]);
+          }
+        }
+      }
+      // store in batch order, so the outcome doesn't depend on which qEdge finished first
+      let outcome;
+      for (const [i, currentQXEdge] of batch.entries()) {
+        outcome = this._storeQXEdgeRecords(
+          manager,
+          currentQXEdge,
+          queried[i].handler,
+          queried[i].queryRecords,
+          unavailableAPIs,
+        );
+        if (outcome !== 'continue') {
+          break;
+        }
+      }
+      if (outcome === 'terminate') {
+        this.logs = [...this.logs, ...manager.logs];
         return;
       }
-      //storing records will trigger a node entity count update
-      currentQXEdge.storeRecords(queryRecords);
-      //filter records
-      manager.updateEdgeRecords(currentQXEdge);
-      //update and filter neighbors
-      manager.updateAllOtherEdges(currentQXEdge);
-      // check that any records are kept
-      if (!currentQXEdge.records.length) {
-        this._logSkippedQueries(unavailableAPIs);
-        debug(`(X) Terminating..."${currentQXEdge.getID()}" kept 0 records.`);
+      if (outcome === 'stop') {
+        break;
+      }
+    }
+    return manager;
+  }
+
+  /**
+   * Run the lookup operation of the workflow
+   * @private
+   */
+  async _lookup() {
+    if (InferredQueryHandler.isInferredQuery(this.queryGraph)) {
+      debug('Query graph has an inferred edge, using inferred mode.');
+      await this._handleInferredEdge();
+      return;
+    }
+    debug('Start to load metakg.');
+    const metaKG = this._loadMetaKG();
+    debug('MetaKG successfully loaded!');
+    if (this.options.costBasedPlanning) {
+      this.operationStats = new OperationStats();
+      await this.operationStats.load();
+      this.queryPlanner = new QueryPlanner(metaKG, this.operationStats, { apis: this.options.apis });
+    }
+    if (global.missingAPIs) {
+      this.logs.push(
+        new LogEntry(
+          'WARNING',
+          null,
+          `The following APIs were unavailable at the time of execution: ${global.missingAPIs
+            .map((spec) => spec.info.title)
+            .join(', ')}`,
+        ).getLog(),
+      );
+    }
+    let queryExecutionEdges = await this._processQueryGraph(this.queryGraph);
+    debug(`(3) All edges created ${JSON.stringify(queryExecutionEdges)}`);
+    if (!(await this._edgesSupported(queryExecutionEdges, metaKG))) {
+      return;
+    }
+    const unavailableAPIs = {};
+    // each connected component of the query graph is executed on its own
+    const managers = [];
+    for (const [i, component] of this.queryGraphComponents.entries()) {
+      if (this.queryGraphComponents.length > 1) {
         this.logs.push(
           new LogEntry(
-            'WARNING',
+            'INFO',
             null,
-            `qEdge (${currentQXEdge.getID()}) kept 0 records. Your query terminates.`,
+            `Executing query graph component ${i + 1}/${this.queryGraphComponents.length}: qEdges ${component.edges.join(', ')}`,
           ).getLog(),
         );
+      }
+      const componentQXEdges = _.pickBy(queryExecutionEdges, ([qXEdge]) => component.edges.includes(qXEdge.getID()));
+      const manager = await this._executeQXEdges(componentQXEdges, metaKG, unavailableAPIs);
+      if (!manager) {
+        await this.operationStats?.save();
         return;
       }
-      // edge all done
-      currentQXEdge.executed = true;
-      debug(`(10) Edge successfully queried.`);
+      managers.push(manager);
     }
+    await this.operationStats?.save();
+    QueryAbortedError.throwIfAborted(this.options.abortSignal);
     this._logSkippedQueries(unavailableAPIs);
+    if (Object.keys(this.cutOffQEdges).length || this._getRemainingTime() === 0) {
+      _.flatten(Object.values(queryExecutionEdges))
+        .filter((qXEdge) => !qXEdge.executed && !(qXEdge.getID() in this.cutOffQEdges))
+        .forEach((qXEdge) => (this.cutOffQEdges[qXEdge.getID()] = []));
+      if (Object.keys(this.cutOffQEdges).length) {
+        this._logCutOffQEdges();
+      }
+    }
     // collect and organize records
-    manager.collectRecords();
+    managers.forEach((manager) => manager.collectRecords());
+    const records = managers.flatMap((manager) => manager.getRecords());
     // dump records if set to do so
     if (process.env.DUMP_RECORDS) {
-      await this.dumpRecords(manager.getRecords());
+      await this.dumpRecords([
+        ...records,
+        ...managers.flatMap((manager) => _.flatten(Object.values(manager.getExcludedRecords()))),
+      ]);
     }
-    this.logs = [...this.logs, ...manager.logs];
-    // update query graph
-    this.bteGraph.update(manager.getRecords());
-    //update query results
-    await this.trapiResultsAssembler.update(manager.getOrganizedRecords());
-    this.logs = [...this.logs, ...this.trapiResultsAssembler.logs];
-    // prune bteGraph
-    this.bteGraph.prune(this.trapiResultsAssembler.getResults());
-    this.bteGraph.notify();
+    this.logs = [...this.logs, ...managers.flatMap((manager) => manager.logs)];
+    await this._assembleResults(
+      records,
+      managers.map((manager) => ({
+        recordsByQEdgeID: manager.getOrganizedRecords(),
+        excludedRecordsByQEdgeID: manager.getExcludedRecords(),
+      })),
+    );
+    this._recordAssembly(managers);
     // finishing logs
     const KGNodes = Object.keys(this.knowledgeGraph.nodes).length;
     const kgEdges = Object.keys(this.knowledgeGraph.edges).length;
     const results = this.trapiResultsAssembler.getResults().length;
     const resultQueries = this.logs.filter(({ data }) => data?.type === 'query' && data?.hits).length;
     const queries = this.logs.filter(({ data }) => data?.type === 'query').length;
-    const sources = [...new Set(manager._records.map((rec) => rec.api))];
+    const sources = [...new Set(records.map((rec) => rec.api))];
     let cached = this.logs.filter(({ data }) => data?.type === 'cacheHit').length;
+    this.emit('resultsReady', { nodes: KGNodes, edges: kgEdges, results });
     this.logs.push(
       new LogEntry(
         'INFO',
@@ -0,0 +1,177 @@
+const _ = require('lodash');
+const debug = require('debug')('bte:biothings-explorer-trapi:inferred-mode');
+const LogEntry = require('../log_entry');
+const InvalidQueryGraphError = require('../exceptions/invalid_query_graph_error');
+const QueryAbortedError = require('../exceptions/query_aborted_error');
+const { getTemplates } = require('./template_lookup');
+
+/**
+ * Answer a single inferred (creative mode) edge by running every matching template
+ * from data/templates as its own lookup query and merging the responses.
+ */
+module.exports = class InferredQueryHandler {
+  /**
+   * @param {object} queryGraph - TRAPI Query Graph Object
+   * @param {function} createSubQueryHandler - returns a fresh TRAPIQueryHandler for each template
+   * @param {string} templatesPath - optional override of the template directory
+   */
+  constructor(queryGraph, createSubQueryHandler, templatesPath = undefined) {
+    this.queryGraph = queryGraph;
+    this.createSubQueryHandler = createSubQueryHandler;
+    this.templatesPath = templatesPath;
+    this.logs = [];
+    // `<template>/<qEdgeID>`: APIs cut off by the time limit
+    this.cutOffQEdges = {};
+  }
+
+  /**
+   * Whether any edge of the query graph asks for inferred knowledge
+   * @param {object} queryGraph - TRAPI Query Graph Object
+   */
+  static isInferredQuery(queryGraph) {
+    return Object.values(queryGraph?.edges || {}).some((qEdge) => qEdge.knowledge_type === 'inferred');
+  }
+
+  validate() {
+    const qEdgeIDs = Object.keys(this.queryGraph.edges);
+    if (qEdgeIDs.length !== 1) {
+      throw new InvalidQueryGraphError('Inferred mode queries must have exactly one query edge.');
+    }
+    const qEdge = this.queryGraph.edges[qEdgeIDs[0]];
+    const subject = this.queryGraph.nodes[qEdge.subject];
+    const object = this.queryGraph.nodes[qEdge.object];
+    if (!subject || !object) {
+      throw new InvalidQueryGraphError(`The subject or object of edge ${qEdgeIDs[0]} is not defined in the query graph.`);
+    }
+    if (!subject.ids?.length && !object.ids?.length) {
+      throw new InvalidQueryGraphError('Inferred mode queries must have IDs on the subject or object node.');
+    }
+  }
+
+  /**
+   * Fill the pinned IDs/categories of the original query into each matching template.
+   * Template query graphs use the node IDs `subject` and `object` for the ends of the inferred edge.
+   * @return {Promise<object[]>} list of {name, queryGraph}
+   */
+  async createQueryGraphs() {
+    const [qEdgeID, qEdge] = Object.entries(this.queryGraph.edges)[0];
+    const subject = this.queryGraph.nodes[qEdge.subject];
+    const object = this.queryGraph.nodes[qEdge.object];
+    const templates = await getTemplates(
+      {
+        subject: subject.categories,
+        predicates: qEdge.predicates,
+        object: object.categories,
+      },
+      this.templatesPath,
+    );
+
+    return templates
+      .filter(({ name, queryGraph }) => {
+        if (queryGraph.nodes.subject && queryGraph.nodes.object) {
+          return true;
+        }
+        const message = `Template ${name} has no 'subject'/'object' nodes and was skipped.`;
+        debug(message);
+        this.logs.push(new LogEntry('WARNING', null, message).getLog());
+        return false;
+      })
+      .map(({ name, queryGraph }) => {
+        [
+          ['subject', subject],
+          ['object', object],
+        ].forEach(([templateNodeID, qNode]) => {
+          const templateNode = queryGraph.nodes[templateNodeID];
+          if (qNode.categories?.length) {
+            templateNode.categories = [...qNode.categories];
+          }
+          if (qNode.ids?.length) {
+            templateNode.ids = [...qNode.ids];
+          } else {
+            delete templateNode.ids;
+          }
+        });
+        debug(`Filled template ${name} for qEdge ${qEdgeID}`);
+        return { name, queryGraph };
+      });
+  }
+
+  /**
+   * Re-key a template result onto the original query graph.
+   * The template's subject/object bindings become the bindings of the original nodes, and
+   * every edge of the template path is bound to the original (inferred) qEdge.
+   */
+  _convertResult(templateResult, templateName) {
+    const [qEdgeID, qEdge] = Object.entries(this.queryGraph.edges)[0];
+    const edgeIDs = _.uniq(
+      Object.values(templateResult.edge_bindings).flatMap((bindings) => bindings.map((binding) => binding.id)),
+    );
+    return {
+      node_bindings: {
+        [qEdge.subject]: templateResult.node_bindings.subject,
+        [qEdge.object]: templateResult.node_bindings.object,
+      },
+      edge_bindings: {
+        [qEdgeID]: edgeIDs.map((id) => ({ id })),
+      },
+      score: templateResult.score,
+      template: templateName,
+    };
+  }
+
+  /**
+   * Run every filled template and combine the sub-responses.
+   * @return {Promise<object|undefined>} {knowledge_graph, results}, or undefined if no template matched
+   */
+  async query() {
+    this.validate();
+    const subQueries = await this.createQueryGraphs();
+    if (!subQueries.length) {
+      const message = 'No inferred-mode templates match this query. Your query terminates.';
+      debug(message);
+      this.logs.push(new LogEntry('WARNING', null, message).getLog());
+      return;
+    }
+    this.logs.push(
+      new LogEntry(
+        'INFO',
+        null,
+        `Inferred mode: running (${subQueries.length}) template${subQueries.length > 1 ? 's' : ''}: ${subQueries
+          .map(({ name }) => name)
+          .join(', ')}`,
+      ).getLog(),
+    );
+
+    const combined = { knowledge_graph: { nodes: {}, edges: {} }, results: [] };
+    for (const { name, queryGraph } of subQueries) {
+      debug(`Running template ${name}`);
+      const handler = this.createSubQueryHandler();
+      handler.setQueryGraph(queryGraph);
+      try {
+        await handler.query();
+      } catch (error) {
+        if (error instanceof QueryAbortedError) {
+          throw error;
+        }
+        const message = `Template ${name} failed due to error ${error}. Other templates are unaffected.`;
+        debug(message);
+        this.logs = [...this.logs, ...handler.logs];
+        this.logs.push(new LogEntry('WARNING', null, message).getLog());
+        continue;
+      }
+      const { message } = handler.getResponse();
+      this.logs = [...this.logs, ...handler.logs];
+      Object.entries(handler.cutOffQEdges || {}).forEach(([qEdgeID, apis]) => {
+        this.cutOffQEdges[`${name}/${qEdgeID}`] = apis;
+      });
+      Object.assign(combined.knowledge_graph.nodes, message.knowledge_graph.nodes);
+      Object.assign(combined.knowledge_graph.edges, message.knowledge_graph.edges);
+      combined.results.push(...message.results.map((result) => this._convertResult(result, name)));
+      this.logs.push(
+        new LogEntry('INFO', null, `Template ${name} returned (${message.results.length}) results.`).getLog(),
+      );
+    }
+    combined.results.sort((result1, result2) => result2.score - result1.score);
+    return combined;
+  }
+};
@@ -0,0 +1,96 @@
+const path = require('path');
+const fs = require('fs').promises;
+const _ = require('lodash');
+const biolink = require('../biolink');
+const utils = require('../utils');
+const debug = require('debug')('bte:biothings-explorer-trapi:template-lookup');
+
+const TEMPLATES_PATH = path.resolve(__dirname, '../../data/templates');
+
+/**
+ * Template groups are stored as directories named `<SubjectCategory>-<predicate>-<ObjectCategory>`,
+ * e.g. `ChemicalEntity-treats-DiseaseOrPhenotypicFeature`.
+ * @param {string} groupName - name of the template group directory
+ * @return {object} the subject category, predicate and object category of the group
+ */
+const parseTemplateGroupName = (groupName) => {
+  const [subject, predicate, object] = groupName.split('-');
+  return { subject, predicate, object };
+};
+
+/**
+ * Two categories are compatible if either one is a descendant of (or the same as) the other.
+ * @param {string[]} queryCategories - categories of a query node (with or without biolink prefix)
+ * @param {string} templateCategory - category used by a template group
+ */
+const categoriesMatch = (queryCategories, templateCategory) => {
+  if (!queryCategories || !queryCategories.length) {
+    return true;
+  }
+  const templateDescendants = utils.toArray(biolink.getDescendantClasses(templateCategory));
+  return utils.toArray(queryCategories).some((category) => {
+    category = utils.removeBioLinkPrefix(category);
+    return (
+      templateDescendants.includes(category) ||
+      utils.toArray(biolink.getDescendantClasses(category)).includes(templateCategory)
+    );
+  });
+};
+
+/**
+ * A template predicate answers the query if it is one of the query predicates or their descendants.
+ * @param {string[]} queryPredicates - predicates of the query edge (with or without biolink prefix)
+ * @param {string} templatePredicate - predicate used by a template group
+ */
+const predicatesMatch = (queryPredicates, templatePredicate) => {
+  if (!queryPredicates || !queryPredicates.length) {
+    return true;
+  }
+  return utils
+    .toArray(queryPredicates)
+    .some((predicate) =>
+      biolink.getDescendantPredicates(utils.removeBioLinkPrefix(predicate)).includes(templatePredicate),
+    );
+};
+
+/**
+ * Find the template query graphs matching a lookup.
+ * @param {object} lookup - {subject: string[], predicates: string[], object: string[]}
+ * @param {string} templatesPath - directory holding the template groups
+ * @return {Promise<object[]>} list of {name, queryGraph}, sorted by name
+ */
+const getTemplates = async (lookup, templatesPath = TEMPLATES_PATH) => {
+  const groups = (await fs.readdir(templatesPath, { withFileTypes: true }))
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .filter((groupName) => {
+      const group = parseTemplateGroupName(groupName);
+      return (
+        categoriesMatch(lookup.subject, group.subject) &&
+        predicatesMatch(lookup.predicates, group.predicate) &&
+        categoriesMatch(lookup.object, group.object)
+      );
+    });
+  debug(`Found (${groups.length}) matching template groups: ${groups.join(', ')}`);
+
+  const templates = [];
+  for (const groupName of groups.sort()) {
+    const files = (await fs.readdir(path.resolve(templatesPath, groupName)))
+      .filter((file) => file.endsWith('.json'))
+      .sort();
+    for (const file of files) {
+      const template = JSON.parse(await fs.readFile(path.resolve(templatesPath, groupName, file), 'utf8'));
+      templates.push({
+        name: `${groupName}/${path.basename(file, '.json')}`,
+        queryGraph: _.cloneDeep(template.message.query_graph),
+      });
+    }
+  }
+  return templates;
+};
+
+module.exports = {
+  TEMPLATES_PATH,
+  parseTemplateGroupName,
+  getTemplates,
+};
@@ -0,0 +1,92 @@
+const meta_kg = require('@biothings-explorer/smartapi-kg');
+const path = require('path');
+const fs = require('fs');
+const _ = require('lodash');
+const debug = require('debug')('bte:biothings-explorer-trapi:metakg-provider');
+const config = require('./config');
+
+// query options the smartapi-kg loaders select APIs by
+const LOADER_OPTIONS = ['smartAPIID', 'teamName', 'component', 'tag', 'apiNames'];
+
+/**
+ * Builds the MetaKG once and shares it between queries (and TRAPIQueryHandler instances).
+ * The MetaKG is rebuilt when the SmartAPI spec or predicates file changes on disk.
+ */
+module.exports = class MetaKGProvider {
+  /**
+   * @param {string} smartAPIPath - path to the SmartAPI specs file
+   * @param {string} predicatesPath - path to the predicates file
+   * @param {boolean} includeReasoner - whether to include TRAPI (reasoner) APIs
+   */
+  constructor(smartAPIPath = undefined, predicatesPath = undefined, includeReasoner = true) {
+    this.path = smartAPIPath || path.resolve(__dirname, './smartapi_specs.json');
+    this.predicatePath = predicatesPath || path.resolve(__dirname, './predicates.json');
+    this.includeReasoner = includeReasoner;
+    this._metaKG = undefined;
+    this._builtFrom = undefined;
+    // MetaKGs restricted by loader options, by the options as JSON, least recently used first
+    this._restrictedMetaKGs = new Map();
+  }
+
+  /**
+   * Modification times of the files the MetaKG is built from
+   * @private
+   */
+  _getFileVersions() {
+    return [this.path, this.predicatePath]
+      .map((filePath) => {
+        try {
+          return fs.statSync(filePath).mtimeMs;
+        } catch (error) {
+          return undefined;
+        }
+      })
+      .join(',');
+  }
+
+  /**
+   * The MetaKG of all APIs, (re)built if it hasn't been yet or the spec files changed since
+   */
+  getFullMetaKG() {
+    const versions = this._getFileVersions();
+    if (this._metaKG && versions === this._builtFrom) {
+      return this._metaKG;
+    }
+    debug(`${this._metaKG ? 'Rebuilding' : 'Building'} MetaKG from ${this.path}`);
+    const metaKG = new meta_kg.default(this.path, this.predicatePath);
+    metaKG.constructMetaKGSync(this.includeReasoner, {});
+    this._metaKG = metaKG;
+    this._builtFrom = versions;
+    this._restrictedMetaKGs.clear();
+    return metaKG;
+  }
+
+  /**
+   * Get a MetaKG, restricted to the APIs selected by the query options, if any.
+   * Restricted MetaKGs are built by the smartapi-kg loaders and shared as well,
+   * up to config.MAX_RESTRICTED_METAKGS of them: the least recently used is dropped to make room.
+   * @param {object} options - {smartAPIID, teamName, component, tag, apiNames}, as used by smartapi-kg loaders
+   */
+  getMetaKG(options = {}) {
+    const fullMetaKG = this.getFullMetaKG();
+    const loaderOptions = _.pickBy(_.pick(options, LOADER_OPTIONS), (value) => value !== undefined);
+    if (_.isEmpty(loaderOptions)) {
+      return fullMetaKG;
+    }
+    const key = JSON.stringify(loaderOptions);
+    let metaKG = this._restrictedMetaKGs.get(key);
+    if (metaKG) {
+      // move it to the most recently used end
+      this._restrictedMetaKGs.delete(key);
+    } else {
+      metaKG = new meta_kg.default(this.path, this.predicatePath);
+      metaKG.constructMetaKGSync(this.includeReasoner, loaderOptions);
+      debug(`MetaKG restricted by ${key} to (${metaKG.ops.length}) of (${fullMetaKG.ops.length}) operations.`);
+    }
+    this._restrictedMetaKGs.set(key, metaKG);
+    if (this._restrictedMetaKGs.size > config.MAX_RESTRICTED_METAKGS) {
+      this._restrictedMetaKGs.delete(this._restrictedMetaKGs.keys().next().value);
+    }
+    return metaKG;
+  }
+};
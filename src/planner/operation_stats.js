@@ -0,0 +1,155 @@
+const fs = require('fs').promises;
+const _ = require('lodash');
+const debug = require('debug')('bte:biothings-explorer-trapi:operation-stats');
+const redisClient = require('../redis-client');
+
+const REDIS_KEY = 'bte:operationStats';
+// cumulative counters kept per operation
+const COUNTERS = ['calls', 'failed_calls', 'inputs', 'records', 'time_ms'];
+
+/**
+ * Key identifying a metaKG operation across queries
+ * @param {object} association - association of a metaKG edge or APIEdge
+ * @return {string}
+ */
+const getOperationKey = (association) => {
+  return [
+    association.smartapi?.id || association.api_name,
+    association.input_type,
+    association.predicate,
+    association.output_type,
+  ].join('|');
+};
+
+/**
+ * Records-per-input, latency and failure rate of metaKG operations, observed across queries.
+ * Stats are kept in Redis if it's enabled, otherwise in the JSON file at options.path
+ * (defaults to process.env.OPERATION_STATS_PATH), otherwise only in memory.
+ */
+class OperationStats {
+  /**
+   * @param {object} options - {path}: JSON file to keep stats in when Redis isn't enabled
+   */
+  constructor(options = {}) {
+    this.path = options.path || process.env.OPERATION_STATS_PATH;
+    this.useRedis = redisClient.hgetallAsync !== undefined && !process.env.INTERNAL_DISABLE_REDIS;
+    // totals as last loaded from the store
+    this._totals = {};
+    // counts recorded since, merged into the store on save
+    this._pending = {};
+  }
+
+  /**
+   * @private
+   */
+  _add(target, key, counts) {
+    if (!(key in target)) {
+      target[key] = Object.fromEntries(COUNTERS.map((counter) => [counter, 0]));
+    }
+    COUNTERS.forEach((counter) => {
+      target[key][counter] += counts[counter] || 0;
+    });
+  }
+
+  /**
+   * @private
+   */
+  _merge(...statsList) {
+    const merged = {};
+    statsList.forEach((stats) => Object.entries(stats).forEach(([key, counts]) => this._add(merged, key, counts)));
+    return merged;
+  }
+
+  /**
+   * @private
+   * @return {Promise<object>} totals currently in the store
+   */
+  async _read() {
+    if (this.useRedis) {
+      const stored = (await redisClient.hgetallAsync(REDIS_KEY)) || {};
+      return _.mapValues(stored, (counts) => JSON.parse(counts));
+    }
+    if (this.path) {
+      try {
+        return JSON.parse(await fs.readFile(this.path, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+    return {};
+  }
+
+  /**
+   * Load the stats gathered by previous queries; a store which can't be read is treated as empty
+   */
+  async load() {
+    try {
+      this._totals = await this._read();
+      debug(`Loaded stats of ${Object.keys(this._totals).length} operations.`);
+    } catch (error) {
+      debug(`Failed to load operation stats due to ${error}`);
+      this._totals = {};
+    }
+  }
+
+  /**
+   * Record the outcome of querying an operation
+   * @param {string} key - operation key, see getOperationKey
+   * @param {object} counts - {calls, failed_calls, inputs, records, time_ms}
+   */
+  record(key, counts) {
+    this._add(this._pending, key, counts);
+  }
+
+  /**
+   * @param {string} key - operation key, see getOperationKey
+   * @return {object|undefined} {calls, fan_out, latency_ms, failure_rate}, undefined if never queried
+   */
+  get(key) {
+    const counts = this._merge(
+      key in this._totals ? { [key]: this._totals[key] } : {},
+      key in this._pending ? { [key]: this._pending[key] } : {},
+    )[key];
+    if (!counts || !counts.calls) {
+      return undefined;
+    }
+    return {
+      calls: counts.calls,
+      fan_out: counts.inputs ? counts.records / counts.inputs : 0,
+      latency_ms: counts.time_ms / counts.calls,
+      failure_rate: counts.failed_calls / counts.calls,
+    };
+  }
+
+  /**
+   * Add the recorded counts to the store, on top of whatever other queries saved meanwhile
+   */
+  async save() {
+    if (!Object.keys(this._pending).length || (!this.useRedis && !this.path)) {
+      return;
+    }
+    let unlock = () => null;
+    try {
+      if (this.useRedis) {
+        unlock = await redisClient.lock('redisLock:' + REDIS_KEY);
+      }
+      const totals = this._merge(await this._read(), this._pending);
+      if (this.useRedis) {
+        await redisClient.hmsetAsync(REDIS_KEY, _.mapValues(totals, (counts) => JSON.stringify(counts)));
+      } else {
+        await fs.writeFile(this.path, JSON.stringify(totals));
+      }
+      this._totals = totals;
+      this._pending = {};
+      debug(`Saved stats of ${Object.keys(totals).length} operations.`);
+    } catch (error) {
+      debug(`Failed to save operation stats due to ${error}`);
+    } finally {
+      unlock();
+    }
+  }
+}
+
+module.exports = { OperationStats, getOperationKey };
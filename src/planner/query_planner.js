@@ -0,0 +1,96 @@
+const _ = require('lodash');
+const debug = require('debug')('bte:biothings-explorer-trapi:query-planner');
+const QEdge2APIEdgeHandler = require('../qedge2apiedge');
+const { getOperationKey } = require('./operation_stats');
+
+// assumed for operations without stats; a fan-out of 1 matches the estimate used without a planner
+const DEFAULT_STATS = { fan_out: 1, latency_ms: 1000, failure_rate: 0 };
+// cost of a record (ms), for handling it and for the inputs it adds to the qEdges after it
+const RECORD_COST_MS = 1;
+
+/**
+ * Chooses which qEdge to execute next, and in which direction, by estimating the cost of each
+ * from the stats of the metaKG operations it would query.
+ */
+module.exports = class QueryPlanner {
+  /**
+   * @param {object} metaKG - SmartAPI Knowledge Graph Object
+   * @param {OperationStats} stats - stats of metaKG operations, defaults are used if not given
+   * @param {object} options - {apis}: {include, exclude} lists of APIs to use, see QEdge2APIEdgeHandler
+   */
+  constructor(metaKG, stats = undefined, options = {}) {
+    this.metaKG = metaKG;
+    this.stats = stats;
+    this.apis = options.apis;
+  }
+
+  /**
+   * Estimate the records and time executing a qXEdge would take
+   * @param {QueryExecutionEdge} qXEdge
+   * @param {boolean} reverse - direction to estimate, defaults to the qXEdge's current one
+   * @return {object} {reversed, input_count, operations, expected_records, expected_time_ms, cost}
+   */
+  estimate(qXEdge, reverse = qXEdge.isReversed()) {
+    const currentDirection = qXEdge.reverse;
+    qXEdge.reverse = reverse;
+    try {
+      const inputCount = qXEdge.getInputNode().entity_count || 0;
+      const edgeConverter = new QEdge2APIEdgeHandler([qXEdge], this.metaKG, { apis: this.apis });
+      const operations = edgeConverter.getMetaXEdges(qXEdge).map((metaXEdge) => {
+        const key = getOperationKey(metaXEdge.association);
+        const stats = this.stats?.get(key);
+        const { fan_out, latency_ms, failure_rate } = stats || DEFAULT_STATS;
+        const supportsBatch = metaXEdge.query_operation.supportBatch !== false;
+        const batchSize = supportsBatch ? edgeConverter.getBatchSize(metaXEdge) : 1;
+        return {
+          key,
+          api: metaXEdge.association.api_name,
+          expected_api_calls: inputCount && Math.max(Math.ceil(inputCount / batchSize), 1),
+          expected_records: Math.round(inputCount * fan_out),
+          latency_ms: Math.round(latency_ms),
+          failure_rate,
+          has_stats: stats !== undefined,
+        };
+      });
+      // APIs are queried in parallel, calls to the same API add up; failed calls are time lost
+      const expectedTime = Math.max(
+        0,
+        ...Object.values(_.groupBy(operations, 'api')).map((apiOperations) =>
+          _.sumBy(apiOperations, (op) => op.expected_api_calls * op.latency_ms * (1 + op.failure_rate)),
+        ),
+      );
+      const expectedRecords = _.sumBy(operations, 'expected_records');
+      return {
+        reversed: reverse,
+        input_count: inputCount,
+        operations,
+        expected_records: expectedRecords,
+        expected_time_ms: Math.round(expectedTime),
+        cost: Math.round(expectedTime + expectedRecords * RECORD_COST_MS),
+      };
+    } finally {
+      qXEdge.reverse = currentDirection;
+    }
+  }
+
+  /**
+   * Pick the cheapest qXEdge and direction, among directions whose input node has entities
+   * @param {QueryExecutionEdge[]} qXEdges - qXEdges available for execution
+   * @return {object|undefined} {qXEdge, reverse, estimate}, undefined if no qXEdge has entities to start from
+   */
+  chooseNext(qXEdges) {
+    let best;
+    qXEdges.forEach((qXEdge) => {
+      [false, true]
+        .filter((reverse) => (reverse ? qXEdge.object : qXEdge.subject).entity_count)
+        .forEach((reverse) => {
+          const estimate = this.estimate(qXEdge, reverse);
+          debug(`'${qXEdge.getID()}'${reverse ? ' (reversed)' : ''} estimated cost: ${estimate.cost}`);
+          if (!best || estimate.cost < best.estimate.cost) {
+            best = { qXEdge, reverse, estimate };
+          }
+        });
+    });
+    return best;
+  }
+};
@@ -1,6 +1,10 @@
 const _ = require('lodash');
 const LogEntry = require('./log_entry');
 const config = require('./config');
+const QueryAbortedError = require('./exceptions/query_aborted_error');
+const BTEError = require('./exceptions/bte_error');
+const utils = require('./utils');
+const { apiPolicies } = require('./api_policy');
 const CURIE_WITH_PREFIXES = ['MONDO', 'DOID', 'UBERON', 'EFO', 'HP', 'CHEBI', 'CL', 'MGI', 'NCIT'];
 const debug = require('debug')('bte:biothings-explorer-trapi:qedge2btedge');
 
@@ -10,10 +14,42 @@ const setImmediatePromise = () => {
   });
 };
 
+/**
+ * Check options.apis is {include, exclude}, both optional lists of API identifiers
+ * @param {object} apis
+ */
+const validateAPIFilter = (apis) => {
+  if (apis === undefined) {
+    return;
+  }
+  if (typeof apis !== 'object' || apis === null || Array.isArray(apis)) {
+    throw new BTEError('Option apis must be an object of {include, exclude} lists.');
+  }
+  ['include', 'exclude'].forEach((list) => {
+    const ids = apis[list];
+    if (ids !== undefined && (!Array.isArray(ids) || ids.some((id) => typeof id !== 'string'))) {
+      throw new BTEError(`Option apis.${list} must be a list of API names, SmartAPI IDs or infores curies.`);
+    }
+  });
+};
+
 module.exports = class QEdge2APIEdgeHandler {
-  constructor(qEdges, metaKG) {
+  /**
+   * @param {object[]} qEdges - QExeEdges to convert
+   * @param {object} metaKG - SmartAPI Knowledge Graph Object
+   * @param {object} options - {abortSignal, apis, apiPolicies}, apis: {include, exclude} lists of
+   *   API names, SmartAPI IDs or infores curies to restrict the metaKG edges used to,
+   *   apiPolicies: APIPolicies limiting batch sizes, the shared ones by default
+   */
+  constructor(qEdges, metaKG, options = {}) {
     this.qEdges = qEdges;
     this.metaKG = metaKG;
+    this.abortSignal = options.abortSignal;
+    this.apiPolicies = options.apiPolicies || apiPolicies;
+    validateAPIFilter(options.apis);
+    this.apis = options.apis;
+    // api name: {api_name, smartapi_id, infores, reason} of APIs left out by options.apis
+    this.skippedAPIs = {};
     this.logs = [];
   }
 
@@ -25,6 +61,47 @@ module.exports = class QEdge2APIEdgeHandler {
     return metaEdges.map((edge) => edge.association.api_name);
   }
 
+  /**
+   * Drop the metaKG edges of APIs options.apis leaves out, keeping track of the APIs skipped
+   * @private
+   * @param {object[]} metaXEdges
+   * @param {object} qXEdge - TRAPI Query Edge Object
+   */
+  _filterAPIs(metaXEdges, qXEdge) {
+    if (!this.apis) {
+      return metaXEdges;
+    }
+    const { include, exclude = [] } = this.apis;
+    const kept = metaXEdges.filter((metaXEdge) => {
+      const ids = utils.getAPIIdentifiers(metaXEdge.association);
+      let reason;
+      if (include && !ids.some((id) => include.includes(id))) {
+        reason = 'not included';
+      } else if (ids.some((id) => exclude.includes(id))) {
+        reason = 'excluded';
+      }
+      if (reason) {
+        const { api_name, smartapi } = metaXEdge.association;
+        this.skippedAPIs[api_name] = {
+          api_name,
+          smartapi_id: smartapi?.id,
+          infores: metaXEdge.association['x-translator']?.infores,
+          reason,
+        };
+      }
+      return !reason;
+    });
+    if (kept.length < metaXEdges.length) {
+      const skipped = _.uniq(_.difference(this._findAPIsFromMetaEdges(metaXEdges), this._findAPIsFromMetaEdges(kept)));
+      const message =
+        `Skipped (${metaXEdges.length - kept.length}) metaKG edges of ${qXEdge.getID()} by option apis, ` +
+        `from APIs: ${skipped.join(', ')}`;
+      debug(message);
+      this.logs.push(new LogEntry('INFO', null, message).getLog());
+    }
+    return kept;
+  }
+
   /**
    * Get SmartAPI Edges based on TRAPI Query Edge.
    * @private
@@ -49,10 +126,9 @@ module.exports = class QEdge2APIEdgeHandler {
       predicate: qXEdge.getPredicate(),
     };
     debug(`KG Filters: ${JSON.stringify(filterCriteria, null, 2)}`);
-    let metaXEdges = metaKG.filter(filterCriteria).map((metaEdge) => {
-      metaEdge.reasoner_edge = qXEdge;
-      return metaEdge;
-    });
+    // copied, as the metaKG's edges are shared by qEdges executed concurrently
+    let metaXEdges = metaKG.filter(filterCriteria).map((metaEdge) => ({ ...metaEdge, reasoner_edge: qXEdge }));
+    metaXEdges = this._filterAPIs(metaXEdges, qXEdge);
     if (metaXEdges.length === 0) {
       debug(`No smartapi edge found for ${qXEdge.getID()}`);
       this.logs.push(
@@ -122,6 +198,28 @@ module.exports = class QEdge2APIEdgeHandler {
     return APIEdges;
   }
 
+  /**
+   * Max number of inputs per query to the API of a metaKG edge which supports batch queries,
+   * further limited by the API's policy (which shrinks it while the API is overloaded)
+   * @param {object} metaXEdge
+   * @return {number} Infinity if unlimited
+   */
+  getBatchSize(metaXEdge) {
+    let batchSize = Infinity;
+    if (metaXEdge.tags.includes('biothings')) {
+      batchSize = 1000;
+    }
+    let configuredLimit = metaXEdge.query_operation.batchSize;
+    let hardLimit = config.API_BATCH_SIZE.find((api) => {
+      return api.id === metaXEdge.association.smartapi.id || api.name === metaXEdge.association.api_name;
+    });
+    // BTE internal configured limit takes precedence over annotated limit
+    batchSize = hardLimit
+      ? hardLimit.max
+      : configuredLimit ? configuredLimit : batchSize;
+    return this.apiPolicies.get(metaXEdge.association).getBatchSize(batchSize);
+  }
+
   /**
    * @private
    * @param {object} resolvedIDs
@@ -159,18 +257,7 @@ module.exports = class QEdge2APIEdgeHandler {
       });
     }
 
-    let batchSize = Infinity;
-    if (metaXEdge.tags.includes('biothings')) {
-      batchSize = 1000;
-    }
-    let configuredLimit = metaXEdge.query_operation.batchSize;
-    let hardLimit = config.API_BATCH_SIZE.find((api) => {
-      return api.id === metaXEdge.association.smartapi.id || api.name === metaXEdge.association.api_name;
-    });
-    // BTE internal configured limit takes precedence over annotated limit
-    batchSize = hardLimit
-      ? hardLimit.max
-      : configuredLimit ? configuredLimit : batchSize;
+    const batchSize = this.getBatchSize(metaXEdge);
     if (Object.keys(id_mapping).length > 0) {
       await Promise.all(_.chunk(inputs, batchSize).map(async (chunk) => {
         let blockingSince = Date.now();
@@ -179,6 +266,7 @@ module.exports = class QEdge2APIEdgeHandler {
           await setImmediatePromise();
           blockingSince = Date.now();
         }
+        QueryAbortedError.throwIfAborted(this.abortSignal);
         APIEdge.input = chunk;
         APIEdge.input_resolved_identifiers = input_resolved_identifiers;
         APIEdge.original_input = id_mapping;
@@ -265,18 +353,7 @@ module.exports = class QEdge2APIEdgeHandler {
         }
       });
     }
-    let batchSize = Infinity;
-    if (metaXEdge.tags.includes('biothings')) {
-      batchSize = 1000;
-    }
-    let configuredLimit = metaXEdge.query_operation.batchSize;
-    let hardLimit = config.API_BATCH_SIZE.find((api) => {
-      return api.id === metaXEdge.association.smartapi.id || api.name === metaXEdge.association.api_name;
-    });
-    // BTE internal configured limit takes precedence over annotated limit
-    batchSize = hardLimit
-      ? hardLimit.max
-      : configuredLimit ? configuredLimit : batchSize;
+    const batchSize = this.getBatchSize(metaXEdge);
     if (Object.keys(id_mapping).length > 0) {
       await Promise.all(_.chunk(inputs, batchSize).map(async (chunk) => {
         let blockingSince = Date.now();
@@ -285,6 +362,7 @@ module.exports = class QEdge2APIEdgeHandler {
           await setImmediatePromise();
           blockingSince = Date.now();
         }
+        QueryAbortedError.throwIfAborted(this.abortSignal);
         APIEdge.input = { queryInputs: chunk, ...APIEdge.query_operation.templateInputs };
         APIEdge.input_resolved_identifiers = input_resolved_identifiers;
         APIEdge.original_input = id_mapping;
@@ -318,15 +396,22 @@ module.exports = class QEdge2APIEdgeHandler {
   async convert(qXEdges) {
     let APIEdges = [];
     await Promise.all(qXEdges.map(async (qXEdge) => {
+      QueryAbortedError.throwIfAborted(this.abortSignal);
       const metaXedges = await this.getMetaXEdges(qXEdge);
       const apis = _.uniq(metaXedges.map(api => api.association.api_name));
       debug(`${apis.length} APIs being used:`, JSON.stringify(apis));
       debug(`${metaXedges.length} SmartAPI edges are retrieved....`);
       await Promise.all(metaXedges.map(async (metaXEdge) => {
+        QueryAbortedError.throwIfAborted(this.abortSignal);
         let newEdges = await this._createAPIEdges(metaXEdge);
         debug(`${newEdges.length} metaKG are created....`);
+        const qualifierConstraints = qXEdge.getQualifierConstraints?.() || [];
         newEdges = newEdges.map((e) => {
           e.filter = qXEdge.filter;
+          //TRAPI APIs apply qualifier constraints themselves; other APIs' records are filtered afterwards
+          if (qualifierConstraints.length && e.tags.includes('bte-trapi')) {
+            e.qualifier_constraints = qualifierConstraints;
+          }
           return e;
         });
         APIEdges = [...APIEdges, ...newEdges];
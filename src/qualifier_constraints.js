@@ -0,0 +1,125 @@
+const InvalidQueryGraphError = require('./exceptions/invalid_query_graph_error');
+const biolink = require('./biolink');
+const utils = require('./utils');
+
+/**
+ * Check the TRAPI qualifier_constraints of a qEdge: a list of {qualifier_set: [{qualifier_type_id, qualifier_value}]}
+ * @param {object[]} constraints
+ * @param {string} where - what the constraints belong to, for the error message (e.g. `qEdge e0`)
+ */
+const validateQualifierConstraints = (constraints, where) => {
+  if (constraints === undefined || constraints === null) {
+    return;
+  }
+  if (!Array.isArray(constraints)) {
+    throw new InvalidQueryGraphError(`Qualifier constraints of ${where} must be a list.`);
+  }
+  constraints.forEach((constraint) => {
+    if (!Array.isArray(constraint?.qualifier_set)) {
+      throw new InvalidQueryGraphError(`Each qualifier constraint of ${where} must have a 'qualifier_set' list.`);
+    }
+    constraint.qualifier_set.forEach((qualifier) => {
+      if (typeof qualifier?.qualifier_type_id !== 'string' || qualifier?.qualifier_value === undefined) {
+        throw new InvalidQueryGraphError(
+          `Qualifiers of ${where} must have a 'qualifier_type_id' and a 'qualifier_value'.`,
+        );
+      }
+      if (!qualifier.qualifier_type_id.startsWith('biolink:')) {
+        throw new InvalidQueryGraphError(
+          `Qualifier type '${qualifier.qualifier_type_id}' of ${where} is not a biolink qualifier.`,
+        );
+      }
+    });
+  });
+};
+
+const reverseQualifierTypeID = (qualifierTypeID) => {
+  const name = utils.removeBioLinkPrefix(qualifierTypeID);
+  if (name.startsWith('subject_')) {
+    return `biolink:object_${name.slice('subject_'.length)}`;
+  }
+  if (name.startsWith('object_')) {
+    return `biolink:subject_${name.slice('object_'.length)}`;
+  }
+  return qualifierTypeID;
+};
+
+/**
+ * Swap subject and object qualifiers (and invert qualified predicates), for querying an edge in reverse
+ * @param {object[]} constraints - TRAPI qualifier_constraints
+ * @return {object[]} reversed qualifier_constraints
+ */
+const reverseQualifierConstraints = (constraints) => {
+  return constraints.map(({ qualifier_set }) => ({
+    qualifier_set: qualifier_set.map(({ qualifier_type_id, qualifier_value }) => {
+      if (qualifier_type_id === 'biolink:qualified_predicate') {
+        const inverse = biolink.reverse(utils.removeBioLinkPrefix(qualifier_value));
+        return { qualifier_type_id, qualifier_value: inverse ? `biolink:${inverse}` : qualifier_value };
+      }
+      return { qualifier_type_id: reverseQualifierTypeID(qualifier_type_id), qualifier_value };
+    }),
+  }));
+};
+
+/**
+ * Qualifiers a record carries, either as {qualifier_type_id: qualifier_value} or as a TRAPI qualifier list
+ * @param {Record} record
+ * @return {object[]} [{qualifier_type_id, qualifier_value}]
+ */
+const getRecordQualifiers = (record) => {
+  const qualifiers = record.qualifiers;
+  if (!qualifiers) {
+    return [];
+  }
+  if (Array.isArray(qualifiers)) {
+    return qualifiers.filter((qualifier) => qualifier?.qualifier_type_id);
+  }
+  return Object.entries(qualifiers).map(([qualifier_type_id, qualifier_value]) => ({
+    qualifier_type_id: qualifier_type_id.startsWith('biolink:') ? qualifier_type_id : `biolink:${qualifier_type_id}`,
+    qualifier_value,
+  }));
+};
+
+/**
+ * Whether a qualifier of a record satisfies a qualifier of a constraint, taking the biolink
+ * hierarchies of qualifier types and values (or predicates, for qualified_predicate) into account
+ */
+const qualifierMatches = (wanted, found) => {
+  const wantedType = utils.removeBioLinkPrefix(wanted.qualifier_type_id);
+  if (!biolink.getDescendantQualifiers(wantedType).includes(utils.removeBioLinkPrefix(found.qualifier_type_id))) {
+    return false;
+  }
+  const wantedValue = utils.removeBioLinkPrefix(String(wanted.qualifier_value));
+  const allowedValues =
+    wantedType === 'qualified_predicate'
+      ? biolink.getDescendantPredicates(wantedValue)
+      : biolink.getDescendantQualifierValues(wantedValue);
+  return utils.toArray(found.qualifier_value).some((value) => {
+    return allowedValues.includes(utils.removeBioLinkPrefix(String(value)));
+  });
+};
+
+/**
+ * Match the qualifiers of a record against TRAPI qualifier_constraints.
+ * Constraints are met if every qualifier of at least one qualifier_set is matched by the record.
+ * @param {object[]} constraints - TRAPI qualifier_constraints
+ * @param {object[]} recordQualifiers - from getRecordQualifiers
+ * @return {object[]|undefined} the record qualifiers that matched, or undefined if the constraints aren't met
+ */
+const getMatchedQualifiers = (constraints, recordQualifiers) => {
+  let matched;
+  constraints.forEach(({ qualifier_set }) => {
+    const matchedInSet = qualifier_set.map((wanted) => recordQualifiers.find((found) => qualifierMatches(wanted, found)));
+    if (matchedInSet.every((found) => found !== undefined)) {
+      matched = [...new Set([...(matched || []), ...matchedInSet])];
+    }
+  });
+  return matched;
+};
+
+module.exports = {
+  validateQualifierConstraints,
+  reverseQualifierConstraints,
+  getRecordQualifiers,
+  getMatchedQualifiers,
+};
@@ -2,6 +2,9 @@ const helper = require('./helper');
 const debug = require('debug')('bte:biothings-explorer-trapi:QEdge');
 const utils = require('./utils');
 const reverse = require('./biolink');
+const { validateAttributeConstraints } = require('./attribute_constraints');
+const { validateQualifierConstraints } = require('./qualifier_constraints');
+const InvalidQueryGraphError = require('./exceptions/invalid_query_graph_error');
 
 module.exports = class QEdge {
   /**
@@ -14,8 +17,27 @@ module.exports = class QEdge {
     this.predicate = info.predicates;
     this.subject = info.subject;
     this.object = info.object;
+    //edge attribute constraints, applied to records when they're stored
+    this.attribute_constraints = info.attribute_constraints || [];
+    //qualifier sets, any of which records must match
+    this.qualifier_constraints = info.qualifier_constraints || [];
+    //excluded edges remove the solutions they match instead of being part of them
+    this.exclude = info.exclude === true;
+    //optional edges are bound to results if an edge group matches, without being required
+    this.option_group_id = info.option_group_id === null ? undefined : info.option_group_id;
     this.expanded_predicates = [];
     this.init();
+    validateAttributeConstraints(this.attribute_constraints, `qEdge ${id}`);
+    validateQualifierConstraints(this.qualifier_constraints, `qEdge ${id}`);
+    if (info.exclude !== undefined && typeof info.exclude !== 'boolean') {
+      throw new InvalidQueryGraphError(`The exclude flag of qEdge ${id} must be a boolean.`);
+    }
+    if (this.option_group_id !== undefined && typeof this.option_group_id !== 'string') {
+      throw new InvalidQueryGraphError(`The option_group_id of qEdge ${id} must be a string.`);
+    }
+    if (this.exclude && this.option_group_id !== undefined) {
+      throw new InvalidQueryGraphError(`qEdge ${id} can't be both excluded and optional.`);
+    }
   }
 
   init() {
@@ -26,6 +48,18 @@ module.exports = class QEdge {
     return this.id;
   }
 
+  isExcluded() {
+    return this.exclude;
+  }
+
+  isOptional() {
+    return this.option_group_id !== undefined;
+  }
+
+  getOptionGroupID() {
+    return this.option_group_id;
+  }
+
   getHashedEdgeRepresentation() {
     const toBeHashed =
       this.subject.getCategories() + this.predicate + this.object.getCategories() + this.getInputCurie();
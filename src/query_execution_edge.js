@@ -2,6 +2,17 @@ const helper = require('./helper');
 const debug = require('debug')('bte:biothings-explorer-trapi:QueryExecutionEdge');
 const utils = require('./utils');
 const biolink = require('./biolink');
+const LogEntry = require('./log_entry');
+const {
+  meetsAttributeConstraint,
+  getRecordEdgeAttributeValues,
+  meetsNodeConstraints,
+} = require('./attribute_constraints');
+const {
+  reverseQualifierConstraints,
+  getRecordQualifiers,
+  getMatchedQualifiers,
+} = require('./qualifier_constraints');
 
 module.exports = class QueryExecutionEdge {
   /**
@@ -28,6 +39,8 @@ module.exports = class QueryExecutionEdge {
     this.logs = [];
     //this edges query response records
     this.records = [];
+    //qNodeID: categories a node was widened to when relaxing this edge (for this edge only)
+    this.relaxed_categories = {};
     debug(`(2) Created Edge` +
     ` ${JSON.stringify(this.qEdge.getID())} Reverse = ${this.reverse}`)
   }
@@ -61,13 +74,27 @@ module.exports = class QueryExecutionEdge {
     }
   }
 
+  chooseDirection(reverse) {
+    //edge has both subject and object entity counts and the direction was
+    //picked elsewhere (e.g. by the query planner): query from the input end
+    debug(`(8) Using ${reverse ? 'object' : 'subject'} as input as chosen`);
+    this.reverse = reverse;
+    this.getOutputNode().holdCurie();
+  }
+
+  /**
+   * Categories of one of the edge's nodes, as widened by relaxing this edge if it was
+   * @param {QNode} qNode
+   */
+  getNodeCategories(qNode) {
+    return this.relaxed_categories[qNode.id] || qNode.getCategories();
+  }
+
   extractCuriesFromRecords(records, isReversed) {
     //will give you all curies found by semantic type, each type will have
     //a main ID and all of it's aliases
     debug(`(7) Updating Entities in "${this.qEdge.getID()}"`);
-    let typesToInclude = isReversed ?
-    this.qEdge.subject.getCategories() :
-    this.qEdge.object.getCategories();
+    let typesToInclude = this.getNodeCategories(isReversed ? this.qEdge.subject : this.qEdge.object);
     debug(`(7) Collecting Types: "${JSON.stringify(typesToInclude)}"`);
     let all = {};
     records.forEach((record) => {
@@ -227,196 +254,118 @@ module.exports = class QueryExecutionEdge {
     let curies_by_semantic_type = this.extractCuriesFromRecords(records, this.reverse);
     let combined_curies = this._combineCuries(curies_by_semantic_type);
     this.reverse ?
-    this.qEdge.subject.updateCuries(combined_curies) :
-    this.qEdge.object.updateCuries(combined_curies);
+    this._updateNodeCuries(this.qEdge.subject, combined_curies) :
+    this._updateNodeCuries(this.qEdge.object, combined_curies);
     //update node used as input (1 [update]) ---> ()
     let curies_by_semantic_type_2 = this.extractCuriesFromRecords(records, !this.reverse);
     let combined_curies_2 = this._combineCuries(curies_by_semantic_type_2);
     !this.reverse ?
-    this.qEdge.subject.updateCuries(combined_curies_2) :
-    this.qEdge.object.updateCuries(combined_curies_2);
+    this._updateNodeCuries(this.qEdge.subject, combined_curies_2) :
+    this._updateNodeCuries(this.qEdge.object, combined_curies_2);
+  }
+
+  _updateNodeCuries(qNode, curies) {
+    //optional edges don't narrow down the nodes of required edges
+    if (this.isOptional() && !qNode.isOptional()) {
+      qNode.restoreHeldCurie();
+      return;
+    }
+    qNode.updateCuries(curies);
   }
 
   applyNodeConstraints() {
     debug(`(6) Applying Node Constraints to ${this.records.length} records.`);
-    let kept = [];
-    let save_kept = false;
-    let sub_constraints = this.subject.constraints;
-    if (sub_constraints && sub_constraints.length) {
-      let from = this.reverse ? 'object' : 'subject';
-      debug(`Node (subject) constraints: ${JSON.stringify(sub_constraints)}`);
-      save_kept = true;
-      for (let i = 0; i < this.records.length; i++) {
-        const res = this.records[i];
-        let keep = true;
-        //apply constraints
-        for (let x = 0; x < sub_constraints.length; x++) {
-          const constraint = sub_constraints[x];
-          keep = this.meetsConstraint(constraint, res, from)
-        }
-        //pass or not
-        if (keep) {
-          kept.push(res);
-        }
-      }
+    //records run in reverse hold the qEdge's subject as their object
+    const checks = [
+      [this.subject.constraints, this.reverse ? 'object' : 'subject'],
+      [this.object.constraints, this.reverse ? 'subject' : 'object'],
+    ].filter(([constraints]) => constraints && constraints.length);
+    if (!checks.length) {
+      debug(`(6) No constraints. Skipping...`);
+      return;
     }
+    checks.forEach(([constraints, from]) => {
+      debug(`Node (${from}) constraints: ${JSON.stringify(constraints)}`);
+    });
+    //a record must meet every constraint on both of its nodes
+    this.records = this.records.filter((record) => {
+      return checks.every(([constraints, from]) => meetsNodeConstraints(constraints, record[from]));
+    });
+    debug(`(6) Reduced to (${this.records.length}) records.`);
+  }
 
-    let obj_constraints = this.object.constraints;
-    if (obj_constraints && obj_constraints.length) {
-      let from = this.reverse ? 'subject' : 'object';
-      debug(`Node (object) constraints: ${JSON.stringify(obj_constraints)}`);
-      save_kept = true;
-      for (let i = 0; i < this.records.length; i++) {
-        const res = this.records[i];
-        let keep = true;
-        //apply constraints
-        for (let x = 0; x < obj_constraints.length; x++) {
-          const constraint = obj_constraints[x];
-          keep = this.meetsConstraint(constraint, res, from)
-        }
-        //pass or not
-        if (keep) {
-          kept.push(res);
-        }
-      }
+  applyAttributeConstraints(records) {
+    const constraints = this.qEdge.attribute_constraints;
+    if (!constraints || !constraints.length) {
+      return records;
     }
-    if (save_kept) {
-      //only override recordss if there was any filtering done.
-      this.records =  kept;
-      debug(`(6) Reduced to (${this.records.length}) records.`);
-    } else {
-      debug(`(6) No constraints. Skipping...`);
+    const kept = records.filter((record) => {
+      return constraints.every((constraint) => {
+        return meetsAttributeConstraint(constraint, getRecordEdgeAttributeValues(record, constraint.id));
+      });
+    });
+    const dropped = records.length - kept.length;
+    debug(`(6) Attribute constraints on "${this.getID()}" dropped (${dropped}) of (${records.length}) records.`);
+    if (dropped) {
+      this.logs.push(
+        new LogEntry(
+          'INFO',
+          null,
+          `qEdge '${this.getID()}' attribute constraints dropped (${dropped}) of (${records.length}) records.`,
+        ).getLog(),
+      );
     }
+    return kept;
+  }
+
+  /**
+   * Qualifier constraints of the qEdge, with subject/object swapped if this edge runs in reverse
+   */
+  getQualifierConstraints() {
+    const constraints = this.qEdge.qualifier_constraints || [];
+    return this.reverse ? reverseQualifierConstraints(constraints) : constraints;
   }
 
-  meetsConstraint(constraint, record, from) {
-    //list of attribute ids in node
-    let available_attributes = new Set();
-    for (const key in record[from].obj[0].attributes) {
-      available_attributes.add(key)
+  applyQualifierConstraints(records) {
+    const constraints = this.getQualifierConstraints();
+    if (!constraints.length) {
+      return records;
     }
-    available_attributes = [...available_attributes];
-    // debug(`ATTRS ${JSON.stringify(record[from].obj[0]._leafSemanticType)}` +
-    // ` ${from} : ${JSON.stringify(available_attributes)}`);
-    //determine if node even contains right attributes
-    let filters_found = available_attributes.filter((attr) => attr == constraint.id);
-    if (!filters_found.length) {
-      //node doesn't have the attribute needed
-      return false;
-    } else {
-      //match attr by name, parse only attrs of interest
-      let node_attributes = {};
-      filters_found.forEach((filter) => {
-        node_attributes[filter] = record[from].obj[0].attributes[filter];
-      });
-      switch (constraint.operator) {
-        case "==":
-            for (const key in node_attributes) {
-              if (!isNaN(constraint.value)) {
-                if (Array.isArray(node_attributes[key])) {
-                  if (node_attributes[key].includes(constraint.value) ||
-                  node_attributes[key].includes(constraint.value.toString())) {
-                    return true;
-                  }
-                } else {
-                  if (node_attributes[key] == constraint.value ||
-                    node_attributes[key] == constraint.value.toString() ||
-                    node_attributes[key] == parseInt(constraint.value)) {
-                    return true;
-                  }
-                }
-              } else {
-                if (Array.isArray(node_attributes[key])) {
-                  if (node_attributes[key].includes(constraint.value)) {
-                    return true;
-                  }
-                } else {
-                  if (node_attributes[key] == constraint.value ||
-                    node_attributes[key] == constraint.value.toString() ||
-                    node_attributes[key] == parseInt(constraint.value)) {
-                    return true;
-                  }
-                }
-              }
-            }
-            return false;
-        case ">":
-            for (const key in node_attributes) {
-              if (Array.isArray(node_attributes[key])) {
-                for (let index = 0; index < node_attributes[key].length; index++) {
-                  const element = node_attributes[key][index];
-                  if (parseInt(element) > parseInt(constraint.value)) {
-                    return true;
-                  }
-                }
-              } else {
-                if (parseInt(node_attributes[key]) > parseInt(constraint.value)) {
-                  return true;
-                }
-              }
-            }
-            return false;
-        case ">=":
-          for (const key in node_attributes) {
-            if (Array.isArray(node_attributes[key])) {
-              for (let index = 0; index < node_attributes[key].length; index++) {
-                const element = node_attributes[key][index];
-                if (parseInt(element) >= parseInt(constraint.value)) {
-                  return true;
-                }
-              }
-            } else {
-              if (parseInt(node_attributes[key]) >= parseInt(constraint.value)) {
-                return true;
-              }
-            }
-          }
-          return false;
-        case "<":
-          for (const key in node_attributes) {
-            if (Array.isArray(node_attributes[key])) {
-              for (let index = 0; index < node_attributes[key].length; index++) {
-                const element = node_attributes[key][index];
-                if (parseInt(element) > parseInt(constraint.value)) {
-                  return true;
-                }
-              }
-            } else {
-              if (parseInt(node_attributes[key]) < parseInt(constraint.value)) {
-                return true;
-              }
-            }
-          }
-          return false;
-        case "<=":
-          for (const key in node_attributes) {
-            if (Array.isArray(node_attributes[key])) {
-              for (let index = 0; index < node_attributes[key].length; index++) {
-                const element = node_attributes[key][index];
-                if (parseInt(element) <= parseInt(constraint.value)) {
-                  return true;
-                }
-              }
-            } else {
-              if (parseInt(node_attributes[key]) <= parseInt(constraint.value)) {
-                return true;
-              }
-            }
-          }
-          return false;
-        default:
-          debug(`Node operator not handled ${constraint.operator}`);
-          return false;
-      };
+    //records without qualifiers come from APIs that can't express them and are kept
+    const kept = records.filter((record) => {
+      const recordQualifiers = getRecordQualifiers(record);
+      return !recordQualifiers.length || getMatchedQualifiers(constraints, recordQualifiers) !== undefined;
+    });
+    const dropped = records.length - kept.length;
+    debug(`(6) Qualifier constraints on "${this.getID()}" dropped (${dropped}) of (${records.length}) records.`);
+    if (dropped) {
+      this.logs.push(
+        new LogEntry(
+          'INFO',
+          null,
+          `qEdge '${this.getID()}' qualifier constraints dropped (${dropped}) of (${records.length}) records.`,
+        ).getLog(),
+      );
     }
+    return kept;
   }
 
   storeRecords(records) {
     debug(`(6) Storing records...`);
+    //drop records failing the edge's attribute or qualifier constraints
+    records = this.applyAttributeConstraints(records);
+    records = this.applyQualifierConstraints(records);
     //store new records in current edge
     this.records = records;
     //will update records if any constraints are found
     this.applyNodeConstraints();
+    if (this.isExcluded()) {
+      //records of excluded edges only remove solutions, they don't narrow down node curies
+      debug(`(7) "${this.getID()}" is excluded, not updating nodes.`);
+      this.qEdge.subject.restoreHeldCurie();
+      this.qEdge.object.restoreHeldCurie();
+      return;
+    }
     debug(`(7) Updating nodes based on edge records...`);
     this.updateNodesCuries(records);
   }
@@ -468,6 +417,18 @@ module.exports = class QueryExecutionEdge {
     return this.reverse;
   }
 
+  isExcluded() {
+    return this.qEdge.exclude === true;
+  }
+
+  isOptional() {
+    return this.qEdge.option_group_id !== undefined;
+  }
+
+  getOptionGroupID() {
+    return this.qEdge.option_group_id;
+  }
+
   getInputCurie() {
     let curie = this.qEdge.subject.getCurie() || this.qEdge.object.getCurie();
     if (Array.isArray(curie)) {
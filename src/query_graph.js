@@ -10,8 +10,13 @@ const _ = require('lodash');
 const utils = require('./utils');
 
 module.exports = class QueryGraphHandler {
-  constructor(queryGraph) {
+  /**
+   * @param {object} queryGraph - TRAPI Query Graph Object
+   * @param {object} options - query options; disconnectedComponents: 'reject' (default) or 'cartesian'
+   */
+  constructor(queryGraph, options = {}) {
     this.queryGraph = queryGraph;
+    this.options = options;
     this.logs = [];
   }
 
@@ -38,10 +43,134 @@ module.exports = class QueryGraphHandler {
     }
   }
 
+  _validateExcludedEdges(queryGraph) {
+    const edges = Object.entries(queryGraph.edges);
+    const includedEdges = edges.filter(([, qEdge]) => !qEdge.exclude);
+    if (!includedEdges.length) {
+      throw new InvalidQueryGraphError('Your Query Graph has only excluded edges.');
+    }
+    const includedQNodeIDs = new Set(includedEdges.flatMap(([, qEdge]) => [qEdge.subject, qEdge.object]));
+    edges
+      .filter(([, qEdge]) => qEdge.exclude)
+      .forEach(([qEdgeID, qEdge]) => {
+        if (!includedQNodeIDs.has(qEdge.subject) && !includedQNodeIDs.has(qEdge.object)) {
+          throw new InvalidQueryGraphError(`Excluded edge ${qEdgeID} is not connected to any edge that isn't excluded.`);
+        }
+      });
+  }
+
+  _validateOptionalEdges(queryGraph) {
+    const isRequired = (qEdge) => !qEdge.exclude && (qEdge.option_group_id === undefined || qEdge.option_group_id === null);
+    const edges = Object.entries(queryGraph.edges);
+    const requiredEdges = edges.filter(([, qEdge]) => isRequired(qEdge));
+    if (!requiredEdges.length) {
+      throw new InvalidQueryGraphError('Your Query Graph has no edges that are required.');
+    }
+    const requiredQNodeIDs = new Set(requiredEdges.flatMap(([, qEdge]) => [qEdge.subject, qEdge.object]));
+    const optionGroups = _.groupBy(
+      edges.filter(([, qEdge]) => !qEdge.exclude && !isRequired(qEdge)),
+      ([, qEdge]) => qEdge.option_group_id,
+    );
+    Object.entries(optionGroups).forEach(([optionGroupID, groupEdges]) => {
+      if (!groupEdges.some(([, qEdge]) => requiredQNodeIDs.has(qEdge.subject) || requiredQNodeIDs.has(qEdge.object))) {
+        throw new InvalidQueryGraphError(`Option group ${optionGroupID} is not connected to any required edge.`);
+      }
+    });
+  }
+
+  _validateConnectedComponents() {
+    const components = this.getConnectedComponents();
+    if (components.length > 1 && this.options.disconnectedComponents !== 'cartesian') {
+      throw new InvalidQueryGraphError(
+        `Your Query Graph has ${components.length} disconnected components (${components
+          .map(({ edges }) => `[${edges.join(', ')}]`)
+          .join(', ')}). Connect them, or set the disconnectedComponents option to 'cartesian' ` +
+          `to combine the results of each component.`,
+      );
+    }
+  }
+
   _validate(queryGraph) {
     this._validateEmptyEdges(queryGraph);
     this._validateEmptyNodes(queryGraph);
     this._validateNodeEdgeCorrespondence(queryGraph);
+    this._validateExcludedEdges(queryGraph);
+    this._validateOptionalEdges(queryGraph);
+    this._validateConnectedComponents();
+  }
+
+  /**
+   * Split the query graph into its connected components.
+   * Components are connected by required edges; each option group and excluded edge
+   * belongs to the component it's attached to, and may not join two components.
+   * @return {object[]} [{nodes: qNodeIDs, edges: qEdgeIDs}], in the order of the query graph's edges
+   */
+  getConnectedComponents() {
+    const edges = Object.entries(this.queryGraph.edges);
+    const isAttached = ([, qEdge]) =>
+      qEdge.exclude || (qEdge.option_group_id !== undefined && qEdge.option_group_id !== null);
+    // qNodeID: index of its component, merging components sharing a node as required edges come in
+    const componentOf = {};
+    const components = [];
+    edges
+      .filter((edge) => !isAttached(edge))
+      .forEach(([qEdgeID, { subject, object }]) => {
+        const merged = [...new Set([componentOf[subject], componentOf[object]])]
+          .filter((index) => index !== undefined)
+          .sort();
+        let index = merged.length ? merged[0] : components.push({ nodes: new Set(), edges: [] }) - 1;
+        merged.slice(1).forEach((other) => {
+          components[other].nodes.forEach((qNodeID) => {
+            components[index].nodes.add(qNodeID);
+            componentOf[qNodeID] = index;
+          });
+          components[index].edges.push(...components[other].edges);
+          components[other] = undefined;
+        });
+        components[index].nodes.add(subject).add(object);
+        components[index].edges.push(qEdgeID);
+        componentOf[subject] = index;
+        componentOf[object] = index;
+      });
+    // option groups are attached as a whole, then excluded edges one by one (possibly to optional nodes)
+    const attachments = [
+      ...Object.values(
+        _.groupBy(
+          edges.filter((edge) => isAttached(edge) && !edge[1].exclude),
+          ([, qEdge]) => qEdge.option_group_id,
+        ),
+      ),
+      ...edges.filter(([, qEdge]) => qEdge.exclude).map((edge) => [edge]),
+    ];
+    attachments.forEach((attachedEdges) => {
+      const qNodeIDs = attachedEdges.flatMap(([, { subject, object }]) => [subject, object]);
+      const touched = [...new Set(qNodeIDs.map((qNodeID) => componentOf[qNodeID]))].filter(
+        (index) => index !== undefined,
+      );
+      if (touched.length > 1) {
+        throw new InvalidQueryGraphError(
+          `Edge${attachedEdges.length > 1 ? 's' : ''} ${attachedEdges
+            .map(([qEdgeID]) => qEdgeID)
+            .join(', ')} can't connect separate components of the query graph.`,
+        );
+      }
+      if (!touched.length) {
+        return;
+      }
+      attachedEdges.forEach(([qEdgeID]) => components[touched[0]].edges.push(qEdgeID));
+      qNodeIDs.forEach((qNodeID) => {
+        components[touched[0]].nodes.add(qNodeID);
+        componentOf[qNodeID] = touched[0];
+      });
+    });
+    const edgeOrder = edges.map(([qEdgeID]) => qEdgeID);
+    return components
+      .filter((component) => component !== undefined)
+      .map(({ nodes, edges: qEdgeIDs }) => ({
+        nodes: [...nodes],
+        edges: _.sortBy(qEdgeIDs, (qEdgeID) => edgeOrder.indexOf(qEdgeID)),
+      }))
+      .sort((component0, component1) => edgeOrder.indexOf(component0.edges[0]) - edgeOrder.indexOf(component1.edges[0]));
   }
 
   /**
@@ -170,7 +299,7 @@ module.exports = class QueryGraphHandler {
           Object.hasOwnProperty.call(this.queryGraph.nodes[qNodeID], 'ids'))
           ) {
           let userAssignedCategories = this.queryGraph.nodes[qNodeID].categories;
-          let categories = await this._findNodeCategories(this.queryGraph.nodes[qNodeID].ids)
+          let categories = await this._findNodeCategories(QNode.getQueryIDs(this.queryGraph.nodes[qNodeID]))
           if (typeof userAssignedCategories !== 'undefined') {
             userAssignedCategories = [...userAssignedCategories]; // new Array for accurate logging after node updated
             categories = categories.filter((category) => !userAssignedCategories.includes(category));
@@ -237,6 +366,10 @@ module.exports = class QueryGraphHandler {
 
       edges[qEdgeID] = new QEdge(qEdgeID, edge_info);
     }
+    //nodes only connected to optional edges may be narrowed down by them
+    Object.values(this.nodes)
+      .filter((qNode) => qNode.getConnections().every((qEdgeID) => edges[qEdgeID].isOptional()))
+      .forEach((qNode) => qNode.markOptional());
     this.logs.push(
       new LogEntry('DEBUG', null, `BTE identified ${Object.keys(edges).length} qEdges from your query graph`).getLog(),
     );
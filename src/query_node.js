@@ -4,6 +4,10 @@ const biolink = require('./biolink');
 const debug = require('debug')('bte:biothings-explorer-trapi:NewQNode');
 const InvalidQueryGraphError = require('./exceptions/invalid_query_graph_error');
 
+const SET_INTERPRETATIONS = ['BATCH', 'ALL', 'MANY'];
+// QNode: {curie, expanded_curie, index} its curie index was built from
+const curieIndexes = new WeakMap();
+
 module.exports = class QNode {
     /**
      *
@@ -13,13 +17,18 @@ module.exports = class QNode {
     constructor(id, info) {
         this.id = id;
         this.category = info.categories || 'NamedThing';
+        //BATCH, ALL or MANY (TRAPI 1.5); the older is_set flag means MANY
+        this.set_interpretation = info.set_interpretation || (info.is_set ? 'MANY' : 'BATCH');
+        //members of a set node, queried in place of its (set) id
+        this.member_ids = info.member_ids;
+        this.validateSetInterpretation();
         // mainIDs
-        this.curie = info.ids;
+        this.curie = QNode.getQueryIDs(info);
         //is_set
-        this.is_set = info.is_set;
+        this.is_set = this.set_interpretation !== 'BATCH';
         //mainID : its equivalent ids
         this.expanded_curie = {};
-        this.entity_count = info.ids ? info.ids.length : 0;
+        this.entity_count = this.curie ? this.curie.length : 0;
         debug(`(1) Node "${this.id}" has (${this.entity_count}) entities at start.`);
         //when choosing a lower entity count a node with higher count
         // might be told to store its curies temporarily
@@ -29,16 +38,49 @@ module.exports = class QNode {
         this.constraints = info.constraints;
         //list of edge ids that are connected to this node
         this.connected_to = new Set();
+        //only connected to optional edges
+        this.optional = false;
         //object-ify array of initial curies
         this.expandCurie();
         this.validateConstraints();
     }
 
+    /**
+     * IDs to query for a qNode: the members of a set node (TRAPI 1.5 member_ids), otherwise its ids
+     * @param {object} info - TRAPI QNode
+     */
+    static getQueryIDs(info) {
+        if (['ALL', 'MANY'].includes(info.set_interpretation) && info.member_ids && info.member_ids.length) {
+            return info.member_ids;
+        }
+        return info.ids;
+    }
+
     isSet() {
         //query node specified as set
         return this.is_set ? true : false;
     }
 
+    getSetInterpretation() {
+        return this.set_interpretation;
+    }
+
+    validateSetInterpretation() {
+        if (!SET_INTERPRETATIONS.includes(this.set_interpretation)) {
+            throw new InvalidQueryGraphError(
+                `Invalid set_interpretation '${this.set_interpretation}' of node ${this.id}, must be one of (${SET_INTERPRETATIONS}).`);
+        }
+        if (this.member_ids !== undefined && this.member_ids !== null) {
+            if (!Array.isArray(this.member_ids)) {
+                throw new InvalidQueryGraphError(`member_ids of node ${this.id} must be a list.`);
+            }
+            if (this.set_interpretation === 'BATCH' && this.member_ids.length) {
+                throw new InvalidQueryGraphError(
+                    `Node ${this.id} has member_ids, which require set_interpretation ALL or MANY.`);
+            }
+        }
+    }
+
     validateConstraints() {
         const required = ['id', 'operator', 'value'];
         if (this.constraints && this.constraints.length) {
@@ -72,6 +114,14 @@ module.exports = class QNode {
         return [...this.connected_to];
     }
 
+    markOptional() {
+        this.optional = true;
+    }
+
+    isOptional() {
+        return this.optional;
+    }
+
     holdCurie() {
         //hold curie aside temp
         debug(`(8) Node "${this.id}" holding ${JSON.stringify(this.curie)} aside.`);
@@ -81,6 +131,18 @@ module.exports = class QNode {
         this.expanded_curie = {};
     }
 
+    restoreHeldCurie() {
+        //bring back curie held aside without intersecting it with new ones
+        if (this.held_curie.length) {
+            debug(`(8) Node "${this.id}" restored curie.`);
+            this.curie = this.held_curie;
+            this.expanded_curie = this.held_expanded;
+            this.held_curie = [];
+            this.held_expanded = {};
+            this.entity_count = this.curie.length;
+        }
+    }
+
     updateCuries(curies) {
         // {originalID : [aliases]}
         if (!this.curie) {
@@ -126,16 +188,11 @@ module.exports = class QNode {
 
     intersectWithExpandedCuries(newCuries) {
         let keep = {};
+        let index = this.getCurieIndex();
         for (const mainID in newCuries) {
-            let current_list_of_aliases = newCuries[mainID];
-            for (const existingMainID in this.expanded_curie) {
-                let existing_list_of_aliases = this.expanded_curie[existingMainID];
-                let idsMatchFound = _.intersection(current_list_of_aliases, existing_list_of_aliases);
-                if (idsMatchFound.length) {
-                    if (!Object.hasOwnProperty.call(keep, mainID)) {
-                        keep[mainID] = current_list_of_aliases;
-                    }
-                }
+            let current_list_of_aliases = utils.toArray(newCuries[mainID]);
+            if (current_list_of_aliases.some((alias) => index.has(alias))) {
+                keep[mainID] = newCuries[mainID];
             }
         }
         //save expanded curies (main + aliases)
@@ -145,6 +202,41 @@ module.exports = class QNode {
         debug(`Node "${this.id}" kept (${Object.keys(keep).length}) curies...`);
     }
 
+    /**
+     * Index of this node's curies and their aliases, for lookups by any equivalent id.
+     * Curies held aside while the node is queried for are still indexed.
+     * Built on first use and again whenever the node's curies change.
+     * @return {Map} alias: main ID
+     */
+    getCurieIndex() {
+        let curie = this.curie || this.held_curie;
+        let expanded_curie = this.curie ? this.expanded_curie : this.held_expanded;
+        let cached = curieIndexes.get(this);
+        if (cached && cached.curie === curie && cached.expanded_curie === expanded_curie) {
+            return cached.index;
+        }
+        let index = new Map();
+        (curie || []).forEach((mainID) => {
+            index.set(mainID, mainID);
+            utils.toArray(expanded_curie[mainID] || []).forEach((alias) => {
+                if (!index.has(alias)) {
+                    index.set(alias, mainID);
+                }
+            });
+        });
+        curieIndexes.set(this, { curie, expanded_curie, index });
+        return index;
+    }
+
+    limitCuries(curies) {
+        //keep only the given curies, e.g. to stay under the entity limit
+        let keep = new Set(curies);
+        this.curie = this.curie.filter((curie) => keep.has(curie));
+        this.expanded_curie = _.pickBy(this.expanded_curie, (aliases, mainID) => keep.has(mainID));
+        this.entity_count = this.curie.length;
+        debug(`Node "${this.id}" limited to (${this.entity_count}) curies.`);
+    }
+
     intersectCuries(curies, newCuries) {
         //curies is a list ['ID']
         // new curies {originalID : ['aliasID']}
@@ -0,0 +1,159 @@
+const fs = require('fs').promises;
+const path = require('path');
+const debug = require('debug')('bte:biothings-explorer-trapi:replay');
+const { Record } = require('@biothings-explorer/api-response-transform');
+const QNode = require('./query_node');
+const QEdge = require('./query_edge');
+const QueryExecutionEdge = require('./query_execution_edge');
+const LogEntry = require('./log_entry');
+const utils = require('./utils');
+
+/**
+ * Build the qEdges of a query graph without resolving any IDs (so without network access).
+ * Each qEdge gets an execution edge per direction, as records may have been dumped in either.
+ * @param {object} queryGraph - TRAPI Query Graph Object
+ * @return {object} qEdgeID: {forward, reversed} QueryExecutionEdges
+ */
+const buildQXEdges = (queryGraph) => {
+  const qNodes = {};
+  Object.entries(queryGraph.nodes).forEach(([qNodeID, info]) => {
+    qNodes[qNodeID] = new QNode(qNodeID, info);
+  });
+  const qXEdges = {};
+  Object.entries(queryGraph.edges).forEach(([qEdgeID, info]) => {
+    qNodes[info.subject].updateConnection(qEdgeID);
+    qNodes[info.object].updateConnection(qEdgeID);
+    const qEdge = new QEdge(qEdgeID, { ...info, subject: qNodes[info.subject], object: qNodes[info.object] });
+    qXEdges[qEdgeID] = {
+      forward: new QueryExecutionEdge(qEdge, false),
+      reversed: new QueryExecutionEdge(qEdge, true),
+    };
+  });
+  return qXEdges;
+};
+
+/**
+ * Find the qEdge a frozen record belongs to, by the qNodes it connects (and its predicate if that's ambiguous).
+ * @return {object|undefined} the QueryExecutionEdge matching the direction of the record
+ */
+const findQXEdge = (frozenRecord, qXEdges) => {
+  const subjectQNodeID = frozenRecord.subject.qNodeID;
+  const objectQNodeID = frozenRecord.object.qNodeID;
+  let candidates = Object.values(qXEdges)
+    .map(({ forward, reversed }) => {
+      if (forward.subject.id === subjectQNodeID && forward.object.id === objectQNodeID) {
+        return forward;
+      }
+      if (forward.subject.id === objectQNodeID && forward.object.id === subjectQNodeID) {
+        return reversed;
+      }
+      return undefined;
+    })
+    .filter((qXEdge) => qXEdge !== undefined);
+  if (candidates.length > 1 && frozenRecord.predicate) {
+    const predicate = utils.removeBioLinkPrefix(frozenRecord.predicate);
+    const matching = candidates.filter((qXEdge) => (qXEdge.getPredicate() || [predicate]).includes(predicate));
+    candidates = matching.length ? matching : candidates;
+  }
+  return candidates[0];
+};
+
+/**
+ * Load records written by TRAPIQueryHandler.dumpRecords() and organize them the way the edge manager does.
+ * @param {string} filePath - the dump file
+ * @param {object} queryGraph - TRAPI Query Graph Object of the dumped query
+ * @param {object} recordConfig - config used to create the records
+ * @return {Promise<object>} {records, recordsByQEdgeID, excludedRecordsByQEdgeID, logs}
+ */
+const loadRecordDump = async (filePath, queryGraph, recordConfig = {}) => {
+  const logs = [];
+  const frozenRecords = JSON.parse(await fs.readFile(path.resolve(filePath), 'utf8'));
+  const qXEdges = buildQXEdges(queryGraph);
+  const recordsByQEdgeID = {};
+  const excludedRecordsByQEdgeID = {};
+  Object.entries(qXEdges).forEach(([qEdgeID, { forward }]) => {
+    if (forward.isExcluded()) {
+      excludedRecordsByQEdgeID[qEdgeID] = [];
+      return;
+    }
+    recordsByQEdgeID[qEdgeID] = {
+      records: [],
+      connected_to: [
+        ...new Set([...forward.subject.getConnections(), ...forward.object.getConnections()]),
+      ].filter((connectedQEdgeID) => connectedQEdgeID !== qEdgeID && !qXEdges[connectedQEdgeID].forward.isExcluded()),
+    };
+    if (forward.isOptional()) {
+      recordsByQEdgeID[qEdgeID].option_group_id = forward.getOptionGroupID();
+    }
+  });
+
+  let unmatched = 0;
+  let records = [];
+  frozenRecords.forEach((frozenRecord) => {
+    const qXEdge = findQXEdge(frozenRecord, qXEdges);
+    if (!qXEdge) {
+      unmatched++;
+      return;
+    }
+    // records dumped in execution direction are turned back to the direction of the query graph
+    const record = new Record(frozenRecord, recordConfig, undefined, qXEdge).queryDirection();
+    if (qXEdge.isExcluded()) {
+      excludedRecordsByQEdgeID[qXEdge.getID()].push(record);
+      return;
+    }
+    recordsByQEdgeID[qXEdge.getID()].records.push(record);
+    records.push(record);
+  });
+
+  const message = `Replaying (${records.length}) records from ${filePath}${
+    unmatched ? `; (${unmatched}) records didn't match any qEdge and were skipped` : ''
+  }.`;
+  debug(message);
+  logs.push(new LogEntry(unmatched ? 'WARNING' : 'INFO', null, message).getLog());
+  Object.entries(recordsByQEdgeID).forEach(([qEdgeID, { records }]) => {
+    logs.push(new LogEntry('INFO', null, `'${qEdgeID}' keeps (${records.length}) records!`).getLog());
+  });
+  // option groups having a qEdge without records can't be bound to any result
+  const brokenOptionGroups = new Set(
+    Object.values(recordsByQEdgeID)
+      .filter(({ records, option_group_id }) => option_group_id !== undefined && !records.length)
+      .map(({ option_group_id }) => option_group_id),
+  );
+  brokenOptionGroups.forEach((optionGroupID) => {
+    logs.push(
+      new LogEntry(
+        'INFO',
+        null,
+        `Option group '${optionGroupID}' resulted in (0) records for some of its qEdges, results won't bind it.`,
+      ).getLog(),
+    );
+  });
+  Object.keys(recordsByQEdgeID)
+    .filter((qEdgeID) => brokenOptionGroups.has(recordsByQEdgeID[qEdgeID].option_group_id))
+    .forEach((qEdgeID) => {
+      const dropped = new Set(recordsByQEdgeID[qEdgeID].records);
+      records = records.filter((record) => !dropped.has(record));
+      delete recordsByQEdgeID[qEdgeID];
+    });
+  Object.values(recordsByQEdgeID).forEach((entry) => {
+    entry.connected_to = entry.connected_to.filter((connectedQEdgeID) => connectedQEdgeID in recordsByQEdgeID);
+  });
+  const brokenEdges = Object.keys(recordsByQEdgeID).filter((qEdgeID) => !recordsByQEdgeID[qEdgeID].records.length);
+  if (brokenEdges.length) {
+    logs.push(
+      new LogEntry(
+        'WARNING',
+        null,
+        `qEdges ${JSON.stringify(brokenEdges)} resulted in (0) records. No complete paths can be formed.`,
+      ).getLog(),
+    );
+    return { records, recordsByQEdgeID: {}, excludedRecordsByQEdgeID, logs };
+  }
+  return { records, recordsByQEdgeID, excludedRecordsByQEdgeID, logs };
+};
+
+module.exports = {
+  buildQXEdges,
+  findQXEdge,
+  loadRecordDump,
+};
@@ -1,9 +1,11 @@
-const { cloneDeep, keys, spread, toPairs, values, zip } = require('lodash');
+const { cloneDeep, groupBy, keys, minBy, pickBy, spread, toPairs, values, zip } = require('lodash');
 const debug = require('debug')('bte:biothings-explorer-trapi:QueryResult');
 const LogEntry = require('../log_entry');
+const helper = require('../helper');
 const { getScores, calculateScore } = require('./score');
 const { Record } = require('@biothings-explorer/api-response-transform');
 const { getPfocr } = require('./pfocr');
+const { getRecordQualifiers, getMatchedQualifiers } = require('../qualifier_constraints');
 
 
 /**
@@ -49,6 +51,11 @@ module.exports = class TrapiResultsAssembler {
      * @private
      */
     this._results = [];
+    /**
+     * @property {object} _auxiliaryGraphs - auxiliaryGraphID: {edges, attributes} of set nodes in results
+     * @private
+     */
+    this._auxiliaryGraphs = {};
     this.logs = [];
   }
 
@@ -56,8 +63,34 @@ module.exports = class TrapiResultsAssembler {
     return this._results;
   }
 
+  getAuxiliaryGraphs() {
+    return this._auxiliaryGraphs;
+  }
+
+  /**
+   * Replace the assembled results, e.g. with results merged from inferred-mode sub-queries.
+   * Only the auxiliary graphs the results still refer to are kept.
+   * @param {Result[]} results
+   * @param {object} auxiliaryGraphs - auxiliary graphs the results refer to, the current ones if not given
+   */
+  setResults(results, auxiliaryGraphs = this._auxiliaryGraphs) {
+    this._results = results;
+    const referenced = new Set(
+      results.flatMap((result) =>
+        values(result.node_bindings)
+          .flat()
+          .flatMap((binding) => binding.attributes || [])
+          .filter(({ attribute_type_id }) => attribute_type_id === 'biolink:support_graphs')
+          .flatMap(({ value }) => value),
+      ),
+    );
+    this._auxiliaryGraphs = pickBy(auxiliaryGraphs, (auxiliaryGraph, auxiliaryGraphID) => referenced.has(auxiliaryGraphID));
+  }
+
   /**
-   * Find all QNodes having only one QEdge, sorted by least records first
+   * Find all QNodes having only one QEdge, sorted by least records first.
+   * If there are none (every QNode is on a cycle), fall back to all QNodes,
+   * each paired with its QEdge having the least records.
    * @return {string[][]}
    */
   _getValidInitialPairs(recordsByQEdgeID) {
@@ -77,15 +110,41 @@ module.exports = class TrapiResultsAssembler {
       },
       {},
     );
+    const byRecordCount = ([qNodeID_0, qEdgeID_0], [qNodeID_1, qEdgeID_1]) => {
+      return recordsByQEdgeID[qEdgeID_0].records.length - recordsByQEdgeID[qEdgeID_1].records.length;
+    };
     // qNodeID: qEdgeID for valid 'leaf' nodes, sorted by # records ascending
     const validNodes = toPairs(qNodeEdgeCounts)
       .filter(([qNodeID, qEdgeIDs]) => qEdgeIDs.size < 2)
       .map(([qNodeID, qEdgeIDs]) => [qNodeID, [...qEdgeIDs][0]])
-      .sort(([qNodeID_0, qEdgeID_0], [qNodeID_1, qEdgeID_1]) => {
-        return recordsByQEdgeID[qEdgeID_0].records.length - recordsByQEdgeID[qEdgeID_1].records.length;
-      });
+      .sort(byRecordCount);
+    if (validNodes.length) {
+      return validNodes;
+    }
 
-    return validNodes;
+    return toPairs(qNodeEdgeCounts)
+      .map(([qNodeID, qEdgeIDs]) => [qNodeID, minBy([...qEdgeIDs], (qEdgeID) => recordsByQEdgeID[qEdgeID].records.length)])
+      .sort(byRecordCount);
+  }
+
+  /**
+   * Order the QEdges breadth-first from the initial QEdge, following connected_to,
+   * so every QEdge after the first shares a QNode with a QEdge before it.
+   * QEdges that can't be reached from the initial QEdge are left out.
+   * @param {RecordsByQEdgeID} recordsByQEdgeID
+   * @param {string} initialQEdgeID
+   * @return {string[]} qEdgeIDs
+   */
+  _getQEdgeOrder(recordsByQEdgeID, initialQEdgeID) {
+    const qEdgeOrder = [initialQEdgeID];
+    for (let i = 0; i < qEdgeOrder.length; i++) {
+      recordsByQEdgeID[qEdgeOrder[i]].connected_to.forEach((connectedQEdgeID) => {
+        if (recordsByQEdgeID[connectedQEdgeID] && !qEdgeOrder.includes(connectedQEdgeID)) {
+          qEdgeOrder.push(connectedQEdgeID);
+        }
+      });
+    }
+    return qEdgeOrder;
   }
 
   /**
@@ -96,9 +155,11 @@ module.exports = class TrapiResultsAssembler {
    * These combinations are called queryGraphSolutions, because they hold the data used to
    * assemble the actual results.
    *
-   * This is a recursive function, and it traverses the query graph as a tree, with
-   * every recursion passing its output queryNodeID and primaryCurie to the next call
-   * to use as a matching criteria for its input.
+   * This is a backtracking search over the QEdges in qEdgeOrder. It keeps track of the
+   * primaryCurie bound to every QNode visited so far, and a record can only be added to a
+   * queryGraphSolution if it agrees with the bindings of both of its QNodes. Because the
+   * QNode at the far end of a QEdge may already be bound, this also closes cycles (and
+   * self-loops) in the query graph, not just trees.
    *
    * This graphic helps to explain how this works:
    * https://github.com/biothings/BioThings_Explorer_TRAPI/issues/341#issuecomment-972140186
@@ -108,10 +169,15 @@ module.exports = class TrapiResultsAssembler {
    * represents every valid combination of primaryCuries and recordHashes but excludes
    * invalid combinations like B-1-Z, which is a dead-end.
    *
-   * NOTE: this currently only works for trees (no cycles). If we want to handle cycles,
-   * we'll probably need to keep track of what's been visited.
-   * But A.S. said we don't have to worry about cycles for now.
+   * Every queryGraphSolution lists its QEdges in qEdgeOrder, which consolidation relies on.
+   *
+   * Starting from the bindings of a queryGraphSolution, this also finds the ways an option
+   * group (optional QEdges) extends that solution.
    *
+   * @param {RecordsByQEdgeID} recordsByQEdgeID
+   * @param {string[]} qEdgeOrder - from _getQEdgeOrder
+   * @param {Map} initialBindings - qNodeID: primaryCurie already bound, if any
+   * @param {object[]} indexedRecords - from _indexRecords, to reuse an index across calls
    * @return {
    *   inputQNodeID: string,
    *   outputQNodeID: string,
@@ -119,92 +185,218 @@ module.exports = class TrapiResultsAssembler {
    *   outputPrimaryCurie: string,
    *   qEdgeID: string,
    *   recordHash: string,
-   * }
+   * }[][]
    */
   _getQueryGraphSolutions(
     recordsByQEdgeID,
-    qEdgeID,
-    edgeCount,
-    queryGraphSolutions,
-    queryGraphSolution,
-    qNodeIDToMatch,
-    primaryCurieToMatch
+    qEdgeOrder,
+    initialBindings = new Map(),
+    indexedRecords = this._indexRecords(recordsByQEdgeID, qEdgeOrder),
   ) {
-    //connected_to and records of starting edge of tree
-    const {connected_to, records} = recordsByQEdgeID[qEdgeID];
-
-    //get a valid record from records to continue
-    let record = records.find(rec => rec !== undefined);
-
-    // queryNodeID example: 'n0'
-    const inputQNodeID = record.subject.qNodeID;
-    const outputQNodeID = record.object.qNodeID;
-
-    let otherQNodeID, getMatchingPrimaryCurie, getOtherPrimaryCurie;
-
-    if ([inputQNodeID, undefined].indexOf(qNodeIDToMatch) > -1) {
-      qNodeIDToMatch = inputQNodeID;
-      otherQNodeID = outputQNodeID;
-      getMatchingPrimaryCurie = (record) => record.subject.curie;
-      getOtherPrimaryCurie = (record) => record.object.curie;
-    } else if (qNodeIDToMatch === outputQNodeID) {
-      otherQNodeID = inputQNodeID;
-      getMatchingPrimaryCurie = (record) => record.object.curie;
-      getOtherPrimaryCurie = (record) => record.subject.curie;
-    } else {
-      return;
-    }
+    const queryGraphSolutions = [];
+    const queryGraphSolution = [];
+    // qNodeID: primaryCurie
+    const nodeBindings = new Map(initialBindings);
+
+    const addQEdge = (depth) => {
+      if (depth === indexedRecords.length) {
+        queryGraphSolutions.push([...queryGraphSolution]);
+        return;
+      }
+      const { qEdgeID, records, bySubject, byObject } = indexedRecords[depth];
+      if (!records.length) {
+        return;
+      }
+      const subjectQNodeID = records[0].subject.qNodeID;
+      const objectQNodeID = records[0].object.qNodeID;
+      let candidates = records;
+      if (nodeBindings.has(subjectQNodeID)) {
+        candidates = bySubject[nodeBindings.get(subjectQNodeID)] || [];
+      } else if (nodeBindings.has(objectQNodeID)) {
+        candidates = byObject[nodeBindings.get(objectQNodeID)] || [];
+      }
 
-    const solutionClone = [...queryGraphSolution];
+      candidates.forEach((record) => {
+        const newlyBound = [];
+        const bind = (qNodeID, primaryCurie) => {
+          if (nodeBindings.has(qNodeID)) {
+            return nodeBindings.get(qNodeID) === primaryCurie;
+          }
+          nodeBindings.set(qNodeID, primaryCurie);
+          newlyBound.push(qNodeID);
+          return true;
+        };
 
-    records.filter((record) => {
-      return [getMatchingPrimaryCurie(record), undefined].indexOf(primaryCurieToMatch) > -1 ;
-    }).forEach((record, i) => {
-      // primaryCurie example: 'NCBIGene:1234'
-      const matchingPrimaryCurie = getMatchingPrimaryCurie(record); //not used?
-      const otherPrimaryCurie = getOtherPrimaryCurie(record);
+        if (bind(record.subject.qNodeID, record.subject.curie) && bind(record.object.qNodeID, record.object.curie)) {
+          queryGraphSolution.push({
+            inputQNodeID: record.subject.qNodeID,
+            outputQNodeID: record.object.qNodeID,
+            inputPrimaryCurie: record.subject.curie,
+            outputPrimaryCurie: record.object.curie,
+            inputUMLS: record.subject.UMLS, //add umls for scoring
+            outputUMLS: record.object.UMLS, //add umls for scoring
+            qEdgeID: qEdgeID,
+            recordHash: record.recordHash,
+          });
+          addQEdge(depth + 1);
+          queryGraphSolution.pop();
+        }
+        newlyBound.forEach((qNodeID) => nodeBindings.delete(qNodeID));
+      });
+    };
 
-      if (i !== 0) {
-        queryGraphSolution = [...solutionClone];
-      }
+    addQEdge(0);
+    return queryGraphSolutions;
+  }
+
+  /**
+   * Records of each QEdge in qEdgeOrder, indexed by the primaryCurie at either end
+   * @param {RecordsByQEdgeID} recordsByQEdgeID
+   * @param {string[]} qEdgeOrder
+   * @return {object[]} [{qEdgeID, records, bySubject, byObject}]
+   */
+  _indexRecords(recordsByQEdgeID, qEdgeOrder) {
+    return qEdgeOrder.map((qEdgeID) => {
+      const records = recordsByQEdgeID[qEdgeID].records.filter((record) => record !== undefined);
+      return {
+        qEdgeID,
+        records,
+        bySubject: groupBy(records, (record) => record.subject.curie),
+        byObject: groupBy(records, (record) => record.object.curie),
+      };
+    });
+  }
+
+  /**
+   * Order the QEdges of an option group so every QEdge shares a QNode with one bound before it,
+   * starting from the QNodes bound by the required QEdges.
+   * @param {RecordsByQEdgeID} recordsByQEdgeID
+   * @param {string[]} qEdgeIDs - QEdges of the option group
+   * @param {string[]} boundQNodeIDs - QNodes of the required QEdges
+   * @return {string[]} qEdgeIDs, leaving out those that can't be reached
+   */
+  _getOptionGroupOrder(recordsByQEdgeID, qEdgeIDs, boundQNodeIDs) {
+    const bound = new Set(boundQNodeIDs);
+    const qEdgeOrder = [];
+    let remaining = [...qEdgeIDs].sort();
+    const isReachable = (qEdgeID) => {
+      const { subject, object } = recordsByQEdgeID[qEdgeID].records[0];
+      return bound.has(subject.qNodeID) || bound.has(object.qNodeID);
+    };
+    let next = remaining.find(isReachable);
+    while (next !== undefined) {
+      qEdgeOrder.push(next);
+      bound.add(recordsByQEdgeID[next].records[0].subject.qNodeID);
+      bound.add(recordsByQEdgeID[next].records[0].object.qNodeID);
+      remaining = remaining.filter((qEdgeID) => qEdgeID !== next);
+      next = remaining.find(isReachable);
+    }
+    return qEdgeOrder;
+  }
 
-      queryGraphSolution.push({
-        inputQNodeID: record.subject.qNodeID,
-        outputQNodeID: record.object.qNodeID,
-        inputPrimaryCurie: record.subject.curie,
-        outputPrimaryCurie: record.object.curie,
-        inputUMLS: record.subject.UMLS, //add umls for scoring
-        outputUMLS: record.object.UMLS, //add umls for scoring
-        qEdgeID: qEdgeID,
-        recordHash: record.recordHash,
+  /**
+   * Bind option groups to the queryGraphSolutions of one result: every way an option group
+   * extends any of the solutions is consolidated into extra records for the result, in the
+   * format of consolidatedSolutions (marked optional). Option groups extending none of the
+   * solutions add nothing.
+   * @param {RecordsByQEdgeID} recordsByQEdgeID
+   * @param {object[][]} queryGraphSolutions - solutions consolidated into one result
+   * @param {object[]} optionGroups - [{qEdgeOrder, indexedRecords}]
+   * @return {object[]} consolidated records of optional QEdges
+   */
+  _bindOptionGroups(recordsByQEdgeID, queryGraphSolutions, optionGroups) {
+    const consolidated = {};
+    queryGraphSolutions.forEach((queryGraphSolution) => {
+      const nodeBindings = new Map();
+      queryGraphSolution.forEach(({ inputQNodeID, outputQNodeID, inputPrimaryCurie, outputPrimaryCurie }) => {
+        nodeBindings.set(inputQNodeID, inputPrimaryCurie);
+        nodeBindings.set(outputQNodeID, outputPrimaryCurie);
+      });
+      optionGroups.forEach(({ qEdgeOrder, indexedRecords }) => {
+        this._getQueryGraphSolutions(recordsByQEdgeID, qEdgeOrder, nodeBindings, indexedRecords)
+          .flat()
+          .forEach(({ inputQNodeID, outputQNodeID, inputPrimaryCurie, outputPrimaryCurie, qEdgeID, recordHash }) => {
+            if (!consolidated[qEdgeID]) {
+              consolidated[qEdgeID] = {
+                inputQNodeID,
+                outputQNodeID,
+                inputPrimaryCuries: new Set(),
+                outputPrimaryCuries: new Set(),
+                qEdgeID,
+                recordHashes: new Set(),
+                optional: true,
+              };
+            }
+            consolidated[qEdgeID].inputPrimaryCuries.add(inputPrimaryCurie);
+            consolidated[qEdgeID].outputPrimaryCuries.add(outputPrimaryCurie);
+            consolidated[qEdgeID].recordHashes.add(recordHash);
+          });
       });
+    });
+    return values(consolidated);
+  }
 
-      if (queryGraphSolution.length == edgeCount) {
-        queryGraphSolutions.push(queryGraphSolution);
-      }
+  /**
+   * Remove the queryGraphSolutions matched by a record of an excluded QEdge.
+   *
+   * A record matches a queryGraphSolution if its primaryCuries are the ones the solution binds
+   * to the same QNodes. The end of an excluded QEdge on a QNode that no solution binds (because
+   * only excluded QEdges use it) matches any solution.
+   *
+   * @param {object[][]} queryGraphSolutions - from _getQueryGraphSolutions
+   * @param {object} excludedRecordsByQEdgeID - qEdgeID: records of excluded QEdges
+   * @return {object[][]} remaining queryGraphSolutions
+   */
+  _removeExcludedSolutions(queryGraphSolutions, excludedRecordsByQEdgeID) {
+    if (!queryGraphSolutions.length) {
+      return queryGraphSolutions;
+    }
+    // every solution binds the same QNodes
+    const boundQNodeIDs = new Set(
+      queryGraphSolutions[0].flatMap(({ inputQNodeID, outputQNodeID }) => [inputQNodeID, outputQNodeID]),
+    );
+    const exclusions = toPairs(excludedRecordsByQEdgeID)
+      .map(([qEdgeID, records]) => {
+        records = records.filter((record) => record !== undefined);
+        if (!records.length) {
+          return undefined;
+        }
+        const ends = ['subject', 'object'].filter((end) => boundQNodeIDs.has(records[0][end].qNodeID));
+        const qNodeIDs = ends.map((end) => records[0][end].qNodeID);
+        const keys = new Set(records.map((record) => ends.map((end) => record[end].curie).join('_&_')));
+        return { qEdgeID, qNodeIDs, keys };
+      })
+      .filter((exclusion) => exclusion && exclusion.qNodeIDs.length);
+    if (!exclusions.length) {
+      return queryGraphSolutions;
+    }
 
-      connected_to.forEach((connectedQEdgeID) => {
-        this._getQueryGraphSolutions(
-          recordsByQEdgeID,
-          connectedQEdgeID,
-          edgeCount,
-          queryGraphSolutions,
-          queryGraphSolution,
-          otherQNodeID,
-          otherPrimaryCurie
-        );
+    const remaining = queryGraphSolutions.filter((queryGraphSolution) => {
+      const nodeBindings = {};
+      queryGraphSolution.forEach(({ inputQNodeID, outputQNodeID, inputPrimaryCurie, outputPrimaryCurie }) => {
+        nodeBindings[inputQNodeID] = inputPrimaryCurie;
+        nodeBindings[outputQNodeID] = outputPrimaryCurie;
+      });
+      return !exclusions.some(({ qNodeIDs, keys }) => {
+        return keys.has(qNodeIDs.map((qNodeID) => nodeBindings[qNodeID]).join('_&_'));
       });
     });
+    const message = `Excluded qEdges (${exclusions.map(({ qEdgeID }) => qEdgeID).join(', ')}) removed (${
+      queryGraphSolutions.length - remaining.length
+    }) of (${queryGraphSolutions.length}) query graph solutions.`;
+    debug(message);
+    this.logs.push(new LogEntry('INFO', null, message).getLog());
+    return remaining;
   }
 
   /**
    * For the purposes of consolidating results, a unique node ID just
-   * depends on whether 'is_set' is true or false.
+   * depends on whether the QNode is a set (set_interpretation ALL or MANY, or 'is_set').
    *
-   * If it's true, then we only care about the QNode ID
+   * If it is, then we only care about the QNode ID
    * (inputQueryNodeID or outputQueryNodeID), e.g., n1.
    *
-   * If it's false, then we additionally need to take into account the primaryCurie
+   * If it's not (set_interpretation BATCH), then we additionally need to take into account the primaryCurie
    * (inputPrimaryCurie or outputPrimaryCurie), e.g., n0-NCBIGene:3630.
    *
    * We will later use these uniqueNodeIDs to generate unique result IDs.
@@ -224,6 +416,126 @@ module.exports = class TrapiResultsAssembler {
     }
   }
 
+  /**
+   * Find the qualifiers of each record that matched the qualifier_constraints of its qEdge,
+   * so they can be listed on the edge bindings of the results.
+   * @param {RecordsByQEdgeID} recordsByQEdgeID
+   * @param {object} queryGraph - TRAPI Query Graph Object
+   * @return {object} qEdgeID: {recordHash: [{qualifier_type_id, qualifier_value}]}
+   */
+  _getMatchedQualifiers(recordsByQEdgeID, queryGraph) {
+    const matchedQualifiers = {};
+    toPairs(recordsByQEdgeID).forEach(([qEdgeID, { records }]) => {
+      const constraints = queryGraph?.edges?.[qEdgeID]?.qualifier_constraints;
+      if (!constraints?.length) {
+        return;
+      }
+      matchedQualifiers[qEdgeID] = {};
+      records.forEach((record) => {
+        const matched = record && getMatchedQualifiers(constraints, getRecordQualifiers(record));
+        if (matched?.length) {
+          matchedQualifiers[qEdgeID][record.recordHash] = matched;
+        }
+      });
+    });
+    return matchedQualifiers;
+  }
+
+  /**
+   * Find the set_interpretation of every QNode, from the query graph if given, otherwise
+   * from whether the records mark it as a set.
+   * @param {RecordsByQEdgeID} recordsByQEdgeID
+   * @param {object} queryGraph - TRAPI Query Graph Object
+   * @return {object} qNodeID: 'BATCH' | 'ALL' | 'MANY'
+   */
+  _getSetInterpretations(recordsByQEdgeID, queryGraph) {
+    const setInterpretations = {};
+    values(recordsByQEdgeID).forEach(({ records }) => {
+      [records[0].subject, records[0].object].forEach(({ qNodeID, isSet }) => {
+        const qNode = queryGraph?.nodes?.[qNodeID];
+        const isSetNode = qNode ? qNode.is_set : isSet;
+        setInterpretations[qNodeID] = qNode?.set_interpretation || (isSetNode ? 'MANY' : 'BATCH');
+      });
+    });
+    return setInterpretations;
+  }
+
+  /**
+   * Equivalent curies of the primaryCuries bound to the given QNodes
+   * @return {object} qNodeID: {primaryCurie: Set<curie>}
+   */
+  _getEquivalentCuries(recordsByQEdgeID, qNodeIDs) {
+    const equivalentCuries = {};
+    values(recordsByQEdgeID).forEach(({ records }) => {
+      records.forEach((record) => {
+        [record?.subject, record?.object]
+          .filter((recordNode) => recordNode && qNodeIDs.includes(recordNode.qNodeID))
+          .forEach(({ qNodeID, curie, equivalentCuries: curies }) => {
+            equivalentCuries[qNodeID] = equivalentCuries[qNodeID] || {};
+            equivalentCuries[qNodeID][curie] = equivalentCuries[qNodeID][curie] || new Set([curie]);
+            (curies || []).forEach((equivalentCurie) => equivalentCuries[qNodeID][curie].add(equivalentCurie));
+          });
+      });
+    });
+    return equivalentCuries;
+  }
+
+  /**
+   * Apply the set_interpretation of set QNodes to an assembled result.
+   *
+   * ALL: the set QNode must be bound to every pinned member (ids, or member_ids), so results
+   * where only some members link to the same partner(s) are rejected.
+   * ALL & MANY: the bound members get an auxiliary graph holding the edges that link them
+   * into the result, referenced from each member's node binding.
+   * Auxiliary graphs are only added once every set QNode has passed, so rejected results leave none behind.
+   *
+   * @param {Result} result
+   * @param {object[]} consolidatedSolution
+   * @param {object} setInterpretations - from _getSetInterpretations
+   * @param {object} pinnedMembers - qNodeID: curies, for pinned ALL QNodes
+   * @param {object} equivalentCuries - from _getEquivalentCuries
+   * @return {boolean} whether the result is kept
+   */
+  _applySetInterpretation(result, consolidatedSolution, setInterpretations, pinnedMembers, equivalentCuries) {
+    const setQNodes = toPairs(setInterpretations).filter(
+      ([qNodeID, setInterpretation]) => setInterpretation !== 'BATCH' && result.node_bindings[qNodeID],
+    );
+    const members = (qNodeID) => result.node_bindings[qNodeID].map(({ id }) => id);
+    const coversAllMembers = setQNodes
+      .filter(([qNodeID, setInterpretation]) => setInterpretation === 'ALL' && pinnedMembers[qNodeID])
+      .every(([qNodeID]) => {
+        const bound = members(qNodeID);
+        return pinnedMembers[qNodeID].every((member) => {
+          return bound.some((curie) => curie === member || equivalentCuries[qNodeID]?.[curie]?.has(member));
+        });
+      });
+    if (!coversAllMembers) {
+      return false;
+    }
+    setQNodes.forEach(([qNodeID, setInterpretation]) => {
+      const bound = members(qNodeID);
+      const edges = new Set();
+      consolidatedSolution
+        .filter(({ inputQNodeID, outputQNodeID }) => [inputQNodeID, outputQNodeID].includes(qNodeID))
+        .forEach(({ recordHashes }) => recordHashes.forEach((recordHash) => edges.add(recordHash)));
+      const auxiliaryGraphID = `${qNodeID}-${helper._generateHash(
+        [...bound].sort().join(',') + '|' + [...edges].sort().join(','),
+      )}`;
+      this._auxiliaryGraphs[auxiliaryGraphID] = {
+        edges: [...edges],
+        attributes: [
+          { attribute_type_id: 'biolink:set_interpretation', value: setInterpretation },
+          { attribute_type_id: 'biolink:member_ids', value: bound },
+        ],
+      };
+      result.node_bindings[qNodeID] = result.node_bindings[qNodeID].map((binding) => ({
+        ...binding,
+        attributes: [{ attribute_type_id: 'biolink:support_graphs', value: [auxiliaryGraphID] }],
+      }));
+    });
+    return true;
+  }
+
   /**
    * Assemble records into query results.
    *
@@ -241,57 +553,105 @@ module.exports = class TrapiResultsAssembler {
    * Note: with the updated code for generalized query handling, we
    * can safely assume every call to update contains all the records.
    *
+   * QEdges having an option_group_id in recordsByQEdgeID are optional: results are assembled
+   * from the required QEdges, and option groups matching a result are added to it as extra bindings.
+   *
    * @param {RecordsByQEdgeID} recordsByQEdgeID
+   * @param {boolean} shouldScore - whether to query for scores (results are scored 0 otherwise)
+   * @param {object} queryGraph - TRAPI Query Graph Object, used to list matched qualifiers
+   * @param {object} excludedRecordsByQEdgeID - qEdgeID: records of excluded QEdges, removing the results they match
    * @return {undefined} nothing returned; just cache this._results
    */
-  async update(recordsByQEdgeID) {
+  async update(recordsByQEdgeID, shouldScore = true, queryGraph = undefined, excludedRecordsByQEdgeID = {}) {
     debug(`Updating query results now!`);
 
     let scoreCombos = [];
-    try {
-      scoreCombos = await getScores(recordsByQEdgeID);
-      debug(`Successfully got ${scoreCombos.length} score combos.`);
-    } catch (err) {
-      debug("Error getting scores: ", err);
+    if (shouldScore) {
+      try {
+        scoreCombos = await getScores(recordsByQEdgeID);
+        debug(`Successfully got ${scoreCombos.length} score combos.`);
+      } catch (err) {
+        debug("Error getting scores: ", err);
+      }
     }
 
     this._results = [];
+    this._auxiliaryGraphs = {};
 
-    const qEdgeIDs = new Set(keys(recordsByQEdgeID));
-    const qEdgeCount = qEdgeIDs.size;
-
-    // find all QNodes having is_set params
-    // NOTE: is_set in the query graph and the JavaScript Set object below refer to different sets.
-    const qNodeIDsWithIsSet = new Set();
-    toPairs(recordsByQEdgeID).forEach(([qEdgeID, {connected_to, records}]) => {
-
-      const inputQNodeID = records[0].subject.qNodeID;
-      const outputQNodeID = records[0].object.qNodeID;
+    // optional QEdges are bound to the results of the required ones afterwards
+    const requiredRecordsByQEdgeID = pickBy(recordsByQEdgeID, ({ option_group_id }) => option_group_id === undefined);
+    const qEdgeCount = keys(requiredRecordsByQEdgeID).length;
+    if (qEdgeCount === 0) {
+      debug(`No records to assemble into results.`);
+      return;
+    }
 
-      if (records[0].subject.isSet) {
-        qNodeIDsWithIsSet.add(inputQNodeID)
-      }
-      if (records[0].object.isSet) {
-        qNodeIDsWithIsSet.add(outputQNodeID)
-      }
-    });
+    // find all QNodes that are sets (set_interpretation ALL or MANY)
+    // NOTE: sets in the query graph and the JavaScript Set object below refer to different sets.
+    const setInterpretations = this._getSetInterpretations(recordsByQEdgeID, queryGraph);
+    const qNodeIDsWithIsSet = new Set(
+      keys(setInterpretations).filter((qNodeID) => setInterpretations[qNodeID] !== 'BATCH'),
+    );
+    // members every result must bind for pinned ALL QNodes
+    const pinnedMembers = {};
+    keys(setInterpretations)
+      .filter((qNodeID) => setInterpretations[qNodeID] === 'ALL')
+      .forEach((qNodeID) => {
+        const qNode = queryGraph?.nodes?.[qNodeID];
+        const members = qNode?.member_ids?.length ? qNode.member_ids : qNode?.ids;
+        if (members?.length) {
+          pinnedMembers[qNodeID] = members;
+        } else {
+          debug(`Node ${qNodeID} has set_interpretation ALL but no pinned members, treating it as MANY.`);
+        }
+      });
+    const equivalentCuries = this._getEquivalentCuries(recordsByQEdgeID, keys(pinnedMembers));
 
-    debug(`Nodes with "is_set": ${JSON.stringify([...qNodeIDsWithIsSet])}`)
+    debug(`Set nodes: ${JSON.stringify(setInterpretations)}`)
 
-    // find a QNode having only one QEdge to use as the root node for tree traversal
-    let [initialQNodeIDToMatch, initialQEdgeID] = this._getValidInitialPairs(recordsByQEdgeID)[0];
+    // find a QNode having only one QEdge (if any) to start the traversal from
+    let [initialQNodeIDToMatch, initialQEdgeID] = this._getValidInitialPairs(requiredRecordsByQEdgeID)[0];
 
     debug(`initialQEdgeID: ${initialQEdgeID}, initialQNodeIDToMatch: ${initialQNodeIDToMatch}`);
 
-    const queryGraphSolutions = [];
-    this._getQueryGraphSolutions(
-      recordsByQEdgeID,
-      initialQEdgeID,
-      qEdgeCount,
-      queryGraphSolutions,
-      [], // first queryGraphSolution
-      initialQNodeIDToMatch,
+    const qEdgeOrder = this._getQEdgeOrder(requiredRecordsByQEdgeID, initialQEdgeID);
+    if (qEdgeOrder.length < qEdgeCount) {
+      debug(`Query graph isn't connected, no results can be assembled.`);
+      this.logs.push(
+        new LogEntry(
+          'WARNING',
+          null,
+          `Query graph isn't connected, no results can be assembled. ` +
+            `Set the disconnectedComponents option to 'cartesian' to combine the results of each component.`,
+        ).getLog(),
+      );
+      return;
+    }
+    const queryGraphSolutions = this._removeExcludedSolutions(
+      this._getQueryGraphSolutions(requiredRecordsByQEdgeID, qEdgeOrder),
+      excludedRecordsByQEdgeID,
     );
+    const requiredQNodeIDs = values(requiredRecordsByQEdgeID).flatMap(({ records }) => [
+      records[0].subject.qNodeID,
+      records[0].object.qNodeID,
+    ]);
+    const optionGroups = toPairs(
+      groupBy(
+        keys(recordsByQEdgeID).filter((qEdgeID) => !(qEdgeID in requiredRecordsByQEdgeID)),
+        (qEdgeID) => recordsByQEdgeID[qEdgeID].option_group_id,
+      ),
+    )
+      .sort(([optionGroupID_0], [optionGroupID_1]) => optionGroupID_0.localeCompare(optionGroupID_1))
+      .map(([optionGroupID, qEdgeIDs]) => {
+        const qEdgeOrder = this._getOptionGroupOrder(recordsByQEdgeID, qEdgeIDs, requiredQNodeIDs);
+        if (qEdgeOrder.length < qEdgeIDs.length) {
+          debug(`Option group ${optionGroupID} isn't connected to the required qEdges, it won't be bound.`);
+          return undefined;
+        }
+        return { qEdgeOrder, indexedRecords: this._indexRecords(recordsByQEdgeID, qEdgeOrder) };
+      })
+      .filter((optionGroup) => optionGroup !== undefined);
+    const matchedQualifiers = this._getMatchedQualifiers(recordsByQEdgeID, queryGraph);
 
     /**
      * Consolidation
@@ -388,6 +748,10 @@ module.exports = class TrapiResultsAssembler {
         return consolidatedSolutionRecord;
       });
     });
+    // extra bindings of option groups, per consolidatedSolution
+    const optionalSolutionRecords = values(solutionsByTrapiResultID).map((queryGraphSolutions) => {
+      return optionGroups.length ? this._bindOptionGroups(recordsByQEdgeID, queryGraphSolutions, optionGroups) : [];
+    });
 
     let resultsWithoutScore = 0;
     let resultsWithScore = 0;
@@ -395,42 +759,60 @@ module.exports = class TrapiResultsAssembler {
      * The last step is to do the minor re-formatting to turn consolidatedSolutions
      * into the desired final results.
      */
-    this._results = consolidatedSolutions.map((consolidatedSolution) => {
+    this._results = consolidatedSolutions.map((consolidatedSolution, i) => {
 
       // TODO: replace with better score implementation later
+      // (optional QEdges don't count towards the score)
       const result = {node_bindings: {}, edge_bindings: {}, score: calculateScore(consolidatedSolution, scoreCombos)};
-      if (result.score == 0) {
-        resultsWithoutScore++;
-      } else {
-        resultsWithScore++;
-      }
+      const solutionRecords = [...consolidatedSolution, ...optionalSolutionRecords[i]];
 
-      consolidatedSolution.forEach(({
+      solutionRecords.forEach(({
         inputQNodeID, outputQNodeID,
         inputPrimaryCuries, outputPrimaryCuries,
-        qEdgeID, recordHashes
+        qEdgeID, recordHashes, optional
       }) => {
-        result.node_bindings[inputQNodeID] = Array.from(inputPrimaryCuries).map(inputPrimaryCurie => {
-          return {
-            id: inputPrimaryCurie
-          };
-        });
-
-        result.node_bindings[outputQNodeID] = Array.from(outputPrimaryCuries).map(outputPrimaryCurie => {
-          return {
-            id: outputPrimaryCurie
-          };
-        });
+        // optional QEdges only add bindings for QNodes the required QEdges don't bind
+        if (!optional || !result.node_bindings[inputQNodeID]) {
+          result.node_bindings[inputQNodeID] = Array.from(inputPrimaryCuries).map(inputPrimaryCurie => {
+            return {
+              id: inputPrimaryCurie
+            };
+          });
+        }
+
+        if (!optional || !result.node_bindings[outputQNodeID]) {
+          result.node_bindings[outputQNodeID] = Array.from(outputPrimaryCuries).map(outputPrimaryCurie => {
+            return {
+              id: outputPrimaryCurie
+            };
+          });
+        }
 
         result.edge_bindings[qEdgeID] = Array.from(recordHashes).map((recordHash) => {
+          const qualifiers = matchedQualifiers[qEdgeID]?.[recordHash];
+          if (qualifiers) {
+            return {
+              id: recordHash,
+              attributes: [{ attribute_type_id: 'biolink:qualifiers', value: qualifiers }],
+            };
+          }
           return {
             id: recordHash
           };
         });
       });
 
+      if (!this._applySetInterpretation(result, solutionRecords, setInterpretations, pinnedMembers, equivalentCuries)) {
+        return undefined;
+      }
+      if (result.score == 0) {
+        resultsWithoutScore++;
+      } else {
+        resultsWithScore++;
+      }
       return result;
     })
+    .filter((result) => result !== undefined)
     .sort((result1, result2) => (result2.score - result1.score)); //sort by decreasing score
 
     debug(`Successfully scored ${resultsWithScore} results, couldn't score ${resultsWithoutScore} results.`);
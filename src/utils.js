@@ -49,3 +49,26 @@ const cartesian = (a) => { // a = array of arrays
   return o;
 }
 exports.cartesian = cartesian;
+
+// Deterministic pseudo-random numbers in [0, 1) from a seed (mulberry32)
+// see https://stackoverflow.com/a/47593316
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+exports.seededRandom = seededRandom;
+
+/**
+ * Names an API is known by in query options: API name, SmartAPI ID and infores curie
+ * @param {object} association - of a metaKG operation
+ * @return {string[]}
+ */
+exports.getAPIIdentifiers = (association) => {
+  return [association.api_name, association.smartapi?.id, association['x-translator']?.infores].filter(Boolean);
+};
@@ -0,0 +1,349 @@
+const _ = require('lodash');
+const debug = require('debug')('bte:biothings-explorer-trapi:workflow');
+const LogEntry = require('./log_entry');
+const InvalidQueryGraphError = require('./exceptions/invalid_query_graph_error');
+
+/**
+ * log(i!) for i in 0..n
+ */
+const getLogFactorials = (n) => {
+  const logFactorials = [0];
+  for (let i = 1; i <= n; i++) {
+    logFactorials[i] = logFactorials[i - 1] + Math.log(i);
+  }
+  return logFactorials;
+};
+
+/**
+ * P(X >= k) for X ~ Binomial(n, p), summed in log space to stay stable for large n
+ */
+const binomialTail = (k, n, p, logFactorials = getLogFactorials(n)) => {
+  if (k <= 0 || p >= 1) {
+    return 1;
+  }
+  let tail = 0;
+  for (let i = k; i <= n; i++) {
+    const term = Math.exp(
+      logFactorials[n] - logFactorials[i] - logFactorials[n - i] + i * Math.log(p) + (n - i) * Math.log(1 - p),
+    );
+    tail += term;
+    // past the mode the terms only shrink
+    if (i > n * p && term < tail * 1e-12) {
+      break;
+    }
+  }
+  return Math.min(tail, 1);
+};
+
+/**
+ * Run the TRAPI workflow operations requested alongside a query, in order, after lookup.
+ * Operations act on the results of a TrapiResultsAssembler and on a KnowledgeGraph.
+ */
+module.exports = class WorkflowRunner {
+  /**
+   * @param {object[]} workflow - TRAPI workflow, a list of {id, parameters}
+   */
+  constructor(workflow = undefined) {
+    this.workflow = this._validate(workflow);
+    this.executed = [];
+    this.logs = [];
+  }
+
+  static get SUPPORTED_OPERATIONS() {
+    return [
+      'lookup',
+      'filter_results_top_n',
+      'sort_results_score',
+      'filter_kgraph_orphans',
+      'filter_kgraph_top_n',
+      'filter_kgraph_percentile',
+      'enrich_results',
+    ];
+  }
+
+  /**
+   * Check the requested operations and their parameters; lookup is added first if it was left out.
+   * @private
+   */
+  _validate(workflow) {
+    if (workflow === undefined || workflow === null) {
+      return [{ id: 'lookup' }];
+    }
+    if (!Array.isArray(workflow)) {
+      throw new InvalidQueryGraphError('The workflow must be a list of operations.');
+    }
+    const unsupported = workflow.filter(
+      (operation) => !WorkflowRunner.SUPPORTED_OPERATIONS.includes(operation?.id),
+    );
+    if (unsupported.length) {
+      throw new InvalidQueryGraphError(
+        `Unsupported workflow operation${unsupported.length > 1 ? 's' : ''}: ${unsupported
+          .map((operation) => operation?.id)
+          .join(', ')}. Supported operations are ${WorkflowRunner.SUPPORTED_OPERATIONS.join(', ')}.`,
+      );
+    }
+    const lookups = workflow.filter((operation) => operation.id === 'lookup').length;
+    if (lookups > 1 || (lookups === 1 && workflow[0].id !== 'lookup')) {
+      throw new InvalidQueryGraphError('The workflow must run lookup exactly once, as its first operation.');
+    }
+    workflow = lookups ? workflow : [{ id: 'lookup' }, ...workflow];
+    workflow.forEach((operation) => this._validateParameters(operation));
+    return workflow;
+  }
+
+  /**
+   * @private
+   */
+  _validateParameters({ id, parameters = {} }) {
+    const fail = (reason) => {
+      throw new InvalidQueryGraphError(`Invalid parameters for workflow operation ${id}: ${reason}`);
+    };
+    const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+    switch (id) {
+      case 'filter_results_top_n':
+        if (!isPositiveInteger(parameters.max_results)) {
+          fail('max_results must be a positive integer.');
+        }
+        break;
+      case 'sort_results_score':
+        if (
+          parameters.ascending_or_descending !== undefined &&
+          !['ascending', 'descending'].includes(parameters.ascending_or_descending)
+        ) {
+          fail(`ascending_or_descending must be 'ascending' or 'descending'.`);
+        }
+        break;
+      case 'filter_kgraph_top_n':
+        if (typeof parameters.edge_attribute !== 'string') {
+          fail('edge_attribute is required.');
+        }
+        if (parameters.max_edges !== undefined && !isPositiveInteger(parameters.max_edges)) {
+          fail('max_edges must be a positive integer.');
+        }
+        if (parameters.order !== undefined && !['ascending', 'descending'].includes(parameters.order)) {
+          fail(`order must be 'ascending' or 'descending'.`);
+        }
+        break;
+      case 'filter_kgraph_percentile':
+        if (typeof parameters.edge_attribute !== 'string') {
+          fail('edge_attribute is required.');
+        }
+        if (parameters.threshold !== undefined && !(parameters.threshold >= 0 && parameters.threshold <= 100)) {
+          fail('threshold must be a percentile between 0 and 100.');
+        }
+        if (
+          parameters.remove_above_or_below !== undefined &&
+          !['above', 'below'].includes(parameters.remove_above_or_below)
+        ) {
+          fail(`remove_above_or_below must be 'above' or 'below'.`);
+        }
+        break;
+      case 'enrich_results':
+        if (parameters.pvalue_threshold !== undefined && !(parameters.pvalue_threshold > 0)) {
+          fail('pvalue_threshold must be a positive number.');
+        }
+        break;
+    }
+  }
+
+  /**
+   * Operations that run after lookup
+   */
+  getOperations() {
+    return this.workflow.slice(1);
+  }
+
+  /**
+   * Run every operation after lookup.
+   * @param {object} trapiResultsAssembler - holds the results of lookup
+   * @param {object} knowledgeGraph - the KnowledgeGraph of the response
+   * @param {object} queryGraph - TRAPI Query Graph Object
+   */
+  run(trapiResultsAssembler, knowledgeGraph, queryGraph) {
+    this.executed = [this.workflow[0]];
+    this.getOperations().forEach((operation) => {
+      const { id, parameters = {} } = operation;
+      const before = {
+        results: trapiResultsAssembler.getResults().length,
+        edges: Object.keys(knowledgeGraph.edges).length,
+      };
+      const results = this[`_${id}`](trapiResultsAssembler.getResults(), knowledgeGraph, parameters, queryGraph);
+      trapiResultsAssembler.setResults(results);
+      this.executed.push(operation);
+      const message = `Workflow operation ${id}: (${before.results}) -> (${results.length}) results, (${
+        before.edges
+      }) -> (${Object.keys(knowledgeGraph.edges).length}) knowledge graph edges.`;
+      debug(message);
+      this.logs.push(new LogEntry('INFO', null, message).getLog());
+    });
+  }
+
+  /**
+   * Numeric value of an edge attribute, or undefined if the edge doesn't have one
+   * @private
+   */
+  _getEdgeAttributeValue(kgEdge, edgeAttribute) {
+    const attribute = (kgEdge.attributes || []).find((attribute) => attribute.attribute_type_id === edgeAttribute);
+    if (!attribute) {
+      return undefined;
+    }
+    const values = _.flattenDeep([attribute.value])
+      .map((value) => parseFloat(value))
+      .filter((value) => !isNaN(value));
+    return values.length ? Math.max(...values) : undefined;
+  }
+
+  /**
+   * Knowledge graph edges carrying the attribute, limited to those bound to qedge_keys if given
+   * @private
+   */
+  _getScoredEdges(results, knowledgeGraph, { edge_attribute, qedge_keys }) {
+    const boundEdgeIDs = qedge_keys
+      ? new Set(
+          results.flatMap((result) =>
+            qedge_keys.flatMap((qEdgeID) => (result.edge_bindings[qEdgeID] || []).map(({ id }) => id)),
+          ),
+        )
+      : undefined;
+    return Object.entries(knowledgeGraph.edges)
+      .filter(([edgeID]) => !boundEdgeIDs || boundEdgeIDs.has(edgeID))
+      .map(([edgeID, kgEdge]) => ({ edgeID, value: this._getEdgeAttributeValue(kgEdge, edge_attribute) }))
+      .filter(({ value }) => value !== undefined);
+  }
+
+  /**
+   * Remove knowledge graph edges, the nodes they leave unconnected (if asked to),
+   * and the results which no longer have a binding for every qEdge/qNode.
+   * @private
+   */
+  _removeKGEdges(results, knowledgeGraph, edgeIDs, removeNodesWithNoEdges = true) {
+    edgeIDs.forEach((edgeID) => delete knowledgeGraph.edges[edgeID]);
+    if (removeNodesWithNoEdges) {
+      const connectedNodes = new Set(
+        Object.values(knowledgeGraph.edges).flatMap((kgEdge) => [kgEdge.subject, kgEdge.object]),
+      );
+      Object.keys(knowledgeGraph.nodes)
+        .filter((nodeID) => !connectedNodes.has(nodeID))
+        .forEach((nodeID) => delete knowledgeGraph.nodes[nodeID]);
+    }
+    return results
+      .map((result) => ({
+        ...result,
+        node_bindings: _.mapValues(result.node_bindings, (bindings) =>
+          bindings.filter(({ id }) => id in knowledgeGraph.nodes),
+        ),
+        edge_bindings: _.mapValues(result.edge_bindings, (bindings) =>
+          bindings.filter(({ id }) => id in knowledgeGraph.edges),
+        ),
+      }))
+      .filter(
+        (result) =>
+          Object.values(result.node_bindings).every((bindings) => bindings.length) &&
+          Object.values(result.edge_bindings).every((bindings) => bindings.length),
+      );
+  }
+
+  _filter_results_top_n(results, knowledgeGraph, { max_results }) {
+    return results.slice(0, max_results);
+  }
+
+  _sort_results_score(results, knowledgeGraph, { ascending_or_descending = 'descending' }) {
+    const direction = ascending_or_descending === 'ascending' ? 1 : -1;
+    return [...results].sort((result1, result2) => direction * (result1.score - result2.score));
+  }
+
+  /**
+   * Remove knowledge graph nodes and edges which aren't bound in any result
+   */
+  _filter_kgraph_orphans(results, knowledgeGraph) {
+    const boundNodes = new Set();
+    const boundEdges = new Set();
+    results.forEach((result) => {
+      Object.values(result.node_bindings).forEach((bindings) => bindings.forEach(({ id }) => boundNodes.add(id)));
+      Object.values(result.edge_bindings).forEach((bindings) => bindings.forEach(({ id }) => boundEdges.add(id)));
+    });
+    Object.keys(knowledgeGraph.nodes)
+      .filter((nodeID) => !boundNodes.has(nodeID))
+      .forEach((nodeID) => delete knowledgeGraph.nodes[nodeID]);
+    Object.keys(knowledgeGraph.edges)
+      .filter((edgeID) => !boundEdges.has(edgeID))
+      .forEach((edgeID) => delete knowledgeGraph.edges[edgeID]);
+    return results;
+  }
+
+  /**
+   * Keep the top max_edges edges by edge_attribute; edges without the attribute are left as they are
+   */
+  _filter_kgraph_top_n(results, knowledgeGraph, parameters) {
+    const { max_edges = 50, order = 'descending', remove_nodes_with_no_edges = true } = parameters;
+    const direction = order === 'ascending' ? 1 : -1;
+    const removed = this._getScoredEdges(results, knowledgeGraph, parameters)
+      .sort((edge1, edge2) => direction * (edge1.value - edge2.value))
+      .slice(max_edges)
+      .map(({ edgeID }) => edgeID);
+    return this._removeKGEdges(results, knowledgeGraph, removed, remove_nodes_with_no_edges);
+  }
+
+  /**
+   * Remove edges above/below the given percentile of edge_attribute; edges without the attribute are left as they are
+   */
+  _filter_kgraph_percentile(results, knowledgeGraph, parameters) {
+    const { threshold = 95, remove_above_or_below = 'below', remove_nodes_with_no_edges = true } = parameters;
+    const scoredEdges = this._getScoredEdges(results, knowledgeGraph, parameters);
+    if (!scoredEdges.length) {
+      return results;
+    }
+    const values = scoredEdges.map(({ value }) => value).sort((value1, value2) => value1 - value2);
+    // nearest-rank percentile
+    const cutoff = values[Math.max(Math.ceil((threshold / 100) * values.length) - 1, 0)];
+    const removed = scoredEdges
+      .filter(({ value }) => (remove_above_or_below === 'below' ? value < cutoff : value > cutoff))
+      .map(({ edgeID }) => edgeID);
+    return this._removeKGEdges(results, knowledgeGraph, removed, remove_nodes_with_no_edges);
+  }
+
+  /**
+   * Flag nodes which are bound in more results than expected if results were spread evenly over
+   * all nodes bound to the same qNode (binomial test). Node bindings of enriched nodes get a p-value attribute.
+   */
+  _enrich_results(results, knowledgeGraph, { pvalue_threshold = 1e-6, qnode_keys }, queryGraph) {
+    const qNodeIDs =
+      qnode_keys ||
+      Object.entries(queryGraph?.nodes || {})
+        .filter(([, qNode]) => !qNode.ids?.length)
+        .map(([qNodeID]) => qNodeID);
+    const pValues = {};
+    const logFactorials = getLogFactorials(results.length);
+    qNodeIDs.forEach((qNodeID) => {
+      const counts = _.countBy(
+        results.flatMap((result) => _.uniq((result.node_bindings[qNodeID] || []).map(({ id }) => id))),
+      );
+      const distinctNodes = Object.keys(counts).length;
+      if (distinctNodes < 2) {
+        return;
+      }
+      pValues[qNodeID] = _.mapValues(counts, (count) =>
+        binomialTail(count, results.length, 1 / distinctNodes, logFactorials),
+      );
+    });
+    let enriched = 0;
+    const enrichedResults = results.map((result) => ({
+      ...result,
+      node_bindings: _.mapValues(result.node_bindings, (bindings, qNodeID) =>
+        bindings.map((binding) => {
+          const pValue = pValues[qNodeID]?.[binding.id];
+          if (pValue === undefined || pValue > pvalue_threshold) {
+            return binding;
+          }
+          enriched++;
+          return {
+            ...binding,
+            attributes: [...(binding.attributes || []), { attribute_type_id: 'biolink:p_value', value: pValue }],
+          };
+        }),
+      ),
+    }));
+    debug(`enrich_results flagged (${enriched}) node bindings as enriched.`);
+    return enrichedResults;
+  }
+};